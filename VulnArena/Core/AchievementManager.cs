@@ -0,0 +1,186 @@
+using VulnArena.Models;
+using VulnArena.Services;
+
+namespace VulnArena.Core;
+
+// Achievements are derived from solve history on every request rather than stored,
+// so they stay correct when challenges are added, retired or re-scored.
+public class AchievementManager
+{
+    private readonly ILogger<AchievementManager> _logger;
+    private readonly DBService _dbService;
+    private readonly ChallengeManager _challengeManager;
+
+    private static readonly int[] StreakMilestones = { 3, 7 };
+
+    public AchievementManager(
+        ILogger<AchievementManager> logger,
+        DBService dbService,
+        ChallengeManager challengeManager)
+    {
+        _logger = logger;
+        _dbService = dbService;
+        _challengeManager = challengeManager;
+    }
+
+    // excludeChallengeId evaluates as if that challenge were still unsolved; "until" ignores later
+    // solves, so a frozen scoreboard doesn't leak through achievements such as first blood
+    public async Task<AchievementSummary> GetAchievementsAsync(string userId, string? excludeChallengeId = null, DateTime? until = null)
+    {
+        try
+        {
+            var solved = (await _dbService.GetSolvedChallengesAsync(userId))
+                .Where(c => c.ChallengeId != excludeChallengeId)
+                .Where(c => !until.HasValue || c.SolvedAt.ToUniversalTime() < until.Value)
+                .ToList();
+            var firstBloods = (await _dbService.GetFirstBloodChallengeIdsAsync(userId)).ToHashSet();
+            // Earliest reveal of any hint per challenge
+            var hintUnlocks = (await _dbService.GetHintUnlocksAsync(userId))
+                .GroupBy(u => u.ChallengeId)
+                .ToDictionary(g => g.Key, g => g.Min(u => u.UnlockedAt));
+            var challenges = (await _challengeManager.GetAllChallengesAsync()).Where(c => c.IsActive).ToList();
+
+            var achievements = new List<Achievement>();
+
+            foreach (var milestone in StreakMilestones)
+            {
+                achievements.Add(new Achievement
+                {
+                    Id = $"streak-{milestone}",
+                    Name = milestone == 3 ? "On a Roll" : "Unstoppable",
+                    Description = $"Solve at least one challenge on {milestone} consecutive days",
+                    Icon = "fa-fire",
+                    UnlockedAt = FindStreakReachedAt(solved, milestone)
+                });
+            }
+
+            achievements.Add(new Achievement
+            {
+                Id = "first-blood",
+                Name = "First Blood",
+                Description = "Be the first player to solve a challenge",
+                Icon = "fa-tint",
+                UnlockedAt = EarliestSolve(solved.Where(c => firstBloods.Contains(c.ChallengeId)))
+            });
+
+            // A hint revealed after the solve doesn't count against it
+            var challengesWithHints = challenges
+                .Where(c => c.Hints.Count > 0)
+                .Select(c => c.Id)
+                .ToHashSet();
+            achievements.Add(new Achievement
+            {
+                Id = "no-hint",
+                Name = "Pure Skill",
+                Description = "Solve a challenge that has a hint without revealing it",
+                Icon = "fa-brain",
+                UnlockedAt = EarliestSolve(solved.Where(c =>
+                    challengesWithHints.Contains(c.ChallengeId) &&
+                    (!hintUnlocks.TryGetValue(c.ChallengeId, out var unlockedAt) ||
+                     unlockedAt > c.SolvedAt.ToUniversalTime())))
+            });
+
+            var solvedById = solved.ToDictionary(c => c.ChallengeId);
+            foreach (var category in challenges.GroupBy(c => c.Category, StringComparer.OrdinalIgnoreCase).OrderBy(g => g.Key))
+            {
+                var cleared = category.All(c => solvedById.ContainsKey(c.Id));
+                achievements.Add(new Achievement
+                {
+                    Id = $"clear-{category.Key.ToLowerInvariant()}",
+                    Name = $"{category.Key} Master",
+                    Description = $"Solve every {category.Key} challenge",
+                    Icon = "fa-layer-group",
+                    // Cleared when the last challenge in the category fell
+                    UnlockedAt = cleared ? category.Max(c => solvedById[c.Id].SolvedAt.ToUniversalTime()) : null
+                });
+            }
+
+            return new AchievementSummary
+            {
+                CurrentStreak = ScoreManager.CalculateStreak(solved),
+                LongestStreak = CalculateLongestStreak(solved),
+                Achievements = achievements
+            };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error getting achievements for user {UserId}", userId);
+            return new AchievementSummary();
+        }
+    }
+
+    // Ids of unlocked achievements, for spotting which ones a submission just unlocked
+    public async Task<HashSet<string>> GetUnlockedIdsAsync(string userId, string? excludeChallengeId = null, DateTime? until = null)
+    {
+        var summary = await GetAchievementsAsync(userId, excludeChallengeId, until);
+        return summary.Achievements.Where(a => a.Unlocked).Select(a => a.Id).ToHashSet();
+    }
+
+    private static DateTime? EarliestSolve(IEnumerable<SolvedChallenge> solves)
+    {
+        return solves.Min(c => (DateTime?)c.SolvedAt.ToUniversalTime());
+    }
+
+    // Distinct UTC solve days, oldest first
+    private static List<DateTime> GetSolveDays(IEnumerable<SolvedChallenge> solved)
+    {
+        return solved
+            .Select(c => c.SolvedAt.ToUniversalTime().Date)
+            .Distinct()
+            .OrderBy(d => d)
+            .ToList();
+    }
+
+    private static int CalculateLongestStreak(IEnumerable<SolvedChallenge> solved)
+    {
+        var longest = 0;
+        var current = 0;
+        DateTime? previous = null;
+
+        foreach (var day in GetSolveDays(solved))
+        {
+            current = previous.HasValue && day == previous.Value.AddDays(1) ? current + 1 : 1;
+            longest = Math.Max(longest, current);
+            previous = day;
+        }
+
+        return longest;
+    }
+
+    // First solve on the day a run of consecutive solve days first reached the given length
+    private static DateTime? FindStreakReachedAt(List<SolvedChallenge> solved, int length)
+    {
+        var current = 0;
+        DateTime? previous = null;
+
+        foreach (var day in GetSolveDays(solved))
+        {
+            current = previous.HasValue && day == previous.Value.AddDays(1) ? current + 1 : 1;
+            if (current >= length)
+            {
+                return EarliestSolve(solved.Where(c => c.SolvedAt.ToUniversalTime().Date == day));
+            }
+            previous = day;
+        }
+
+        return null;
+    }
+}
+
+public class AchievementSummary
+{
+    public int CurrentStreak { get; set; }
+    public int LongestStreak { get; set; }
+    public List<Achievement> Achievements { get; set; } = new();
+}
+
+public class Achievement
+{
+    public string Id { get; set; } = string.Empty;
+    public string Name { get; set; } = string.Empty;
+    public string Description { get; set; } = string.Empty;
+    // Font Awesome icon class
+    public string Icon { get; set; } = string.Empty;
+    public DateTime? UnlockedAt { get; set; }
+    public bool Unlocked => UnlockedAt.HasValue;
+}
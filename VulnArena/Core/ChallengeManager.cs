@@ -1,5 +1,12 @@
+using System.Collections.Concurrent;
+using System.IO.Compression;
+using System.Security.Cryptography;
+using System.Text;
+using System.Text.Encodings.Web;
 using System.Text.Json;
+using System.Text.Json.Nodes;
 using System.Text.Json.Serialization;
+using System.Text.RegularExpressions;
 using VulnArena.Models;
 using VulnArena.Services;
 
@@ -11,8 +18,43 @@ public class ChallengeManager
     private readonly IConfiguration _configuration;
     private readonly ContainerService _containerService;
     private readonly IServiceProvider _serviceProvider;
-    private readonly Dictionary<string, Challenge> _challenges;
+    // Replaced as a whole on each load, so readers always see a complete set and never one being filled
+    private volatile IReadOnlyDictionary<string, Challenge> _challenges;
+    // Why each challenge.json was skipped on the last load, keyed by "Category/id"
+    private volatile IReadOnlyDictionary<string, string> _loadErrors;
+    // Admin edits write to disk and then reload; one at a time so their diffs don't interleave
+    private readonly SemaphoreSlim _editLock = new(1, 1);
+    // SHA-256 of each attachment by full path, recomputed when its size or write time changes
+    private readonly ConcurrentDictionary<string, (long Length, DateTime LastWriteTimeUtc, string Sha256)> _fileHashes = new();
+    // Zips of each challenge's attachments, named by their content so unchanged files reuse the same archive
+    private readonly string _archiveCachePath = Path.Combine(Path.GetTempPath(), "vulnarena-archives");
+    private readonly SemaphoreSlim _archiveLock = new(1, 1);
     private readonly string _challengesPath;
+    private readonly long _maxUploadBytes;
+
+    private const string ConfigFileName = "challenge.json";
+    // Folder names double as ids and categories, so keep them URL- and filesystem-safe
+    private static readonly Regex ChallengeIdPattern = new("^[a-z0-9][a-z0-9-]{1,63}$");
+    private static readonly Regex CategoryPattern = new("^[A-Za-z][A-Za-z0-9-]{0,31}$");
+
+    private static readonly JsonSerializerOptions ReadOptions = new()
+    {
+        PropertyNameCaseInsensitive = true,
+        Converters = { new JsonStringEnumConverter(JsonNamingPolicy.CamelCase) }
+    };
+
+    // Edits are checked strictly so a misspelt property is reported instead of silently ignored
+    private static readonly JsonSerializerOptions StrictReadOptions = new(ReadOptions)
+    {
+        UnmappedMemberHandling = JsonUnmappedMemberHandling.Disallow
+    };
+
+    // The files are edited by hand too, so keep quotes and accents readable
+    private static readonly JsonSerializerOptions WriteOptions = new()
+    {
+        WriteIndented = true,
+        Encoder = JavaScriptEncoder.UnsafeRelaxedJsonEscaping
+    };
 
     public ChallengeManager(
         ILogger<ChallengeManager> logger,
@@ -25,18 +67,28 @@ public class ChallengeManager
         _containerService = containerService;
         _serviceProvider = serviceProvider;
         _challenges = new Dictionary<string, Challenge>();
+        _loadErrors = new Dictionary<string, string>();
         _challengesPath = _configuration["VulnArena:Challenges:BasePath"] ?? "./Challenges";
+        _maxUploadBytes = long.Parse(_configuration["VulnArena:Challenges:MaxUploadSizeMB"] ?? "25") * 1024 * 1024;
     }
 
+    // Largest attachment the admin page may upload
+    public long MaxUploadBytes => _maxUploadBytes;
+
     public async Task LoadChallengesAsync()
     {
         try
         {
             _logger.LogInformation("Loading challenges from {Path}", _challengesPath);
             
+            var challenges = new Dictionary<string, Challenge>();
+            var loadErrors = new Dictionary<string, string>();
+
             if (!Directory.Exists(_challengesPath))
             {
                 _logger.LogWarning("Challenges directory does not exist: {Path}", _challengesPath);
+                _challenges = challenges;
+                _loadErrors = loadErrors;
                 return;
             }
 
@@ -49,10 +101,15 @@ public class ChallengeManager
             {
                 var category = Path.GetFileName(categoryDir);
                 _logger.LogInformation("Loading challenges from category: {Category}", category);
-                await LoadChallengesFromCategoryAsync(category, categoryDir);
+                await LoadChallengesFromCategoryAsync(category, categoryDir, challenges, loadErrors);
             }
 
-            _logger.LogInformation("Loaded {Count} challenges", _challenges.Count);
+            _logger.LogInformation("Loaded {Count} challenges", challenges.Count);
+
+            _challenges = challenges;
+            _loadErrors = loadErrors;
+
+            await SyncChallengesToDatabaseAsync(challenges);
         }
         catch (Exception ex)
         {
@@ -60,7 +117,37 @@ public class ChallengeManager
         }
     }
 
-    private async Task LoadChallengesFromCategoryAsync(string category, string categoryPath)
+    // Submissions, scoring and category rankings join against the Challenges table, so keep it in step with disk
+    private async Task SyncChallengesToDatabaseAsync(IReadOnlyDictionary<string, Challenge> challenges)
+    {
+        using var scope = _serviceProvider.CreateScope();
+        var dbService = scope.ServiceProvider.GetRequiredService<DBService>();
+
+        foreach (var challenge in challenges.Values)
+        {
+            try
+            {
+                await dbService.UpsertChallengeAsync(challenge);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error syncing challenge {ChallengeId} to the database", challenge.Id);
+            }
+        }
+
+        // Rows for challenges no longer on disk stay for their solves, but stop accepting flags
+        try
+        {
+            await dbService.DeactivateChallengesExceptAsync(challenges.Keys.ToList());
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error deactivating removed challenges in the database");
+        }
+    }
+
+    private async Task LoadChallengesFromCategoryAsync(string category, string categoryPath,
+        Dictionary<string, Challenge> challenges, Dictionary<string, string> loadErrors)
     {
         var challengeDirs = Directory.GetDirectories(categoryPath);
         _logger.LogInformation("Found {Count} challenge directories in category {Category}", challengeDirs.Length, category);
@@ -68,7 +155,7 @@ public class ChallengeManager
         foreach (var challengeDir in challengeDirs)
         {
             var challengeId = Path.GetFileName(challengeDir);
-            var configPath = Path.Combine(challengeDir, "challenge.json");
+            var configPath = Path.Combine(challengeDir, ConfigFileName);
             
             _logger.LogInformation("Processing challenge {ChallengeId} from {ConfigPath}", challengeId, configPath);
             
@@ -79,30 +166,36 @@ public class ChallengeManager
                     var json = await File.ReadAllTextAsync(configPath);
                     _logger.LogInformation("Read JSON for challenge {ChallengeId}: {JsonLength} characters", challengeId, json.Length);
                     
-                    var options = new JsonSerializerOptions
-                    {
-                        PropertyNameCaseInsensitive = true,
-                        Converters = { new JsonStringEnumConverter(JsonNamingPolicy.CamelCase) }
-                    };
-                    var challenge = JsonSerializer.Deserialize<Challenge>(json, options);
+                    var challenge = JsonSerializer.Deserialize<Challenge>(json, ReadOptions);
                     
-                    if (challenge != null)
+                    if (challenge != null && challenges.TryGetValue(challengeId, out var duplicate))
+                    {
+                        _logger.LogWarning("Skipping challenge {ChallengeId} in {Category}: the id is already used in {Existing}", challengeId, category, duplicate.Category);
+                        loadErrors[$"{category}/{challengeId}"] = $"The id {challengeId} is already used in {duplicate.Category}";
+                    }
+                    else if (challenge != null)
                     {
                         challenge.Id = challengeId;
                         challenge.Category = category;
                         challenge.Path = challengeDir;
-                        _challenges[challengeId] = challenge;
+                        if (challenge.Hints.Count == 0 && !string.IsNullOrWhiteSpace(challenge.Hint))
+                        {
+                            challenge.Hints.Add(new ChallengeHint { Text = challenge.Hint });
+                        }
+                        challenges[challengeId] = challenge;
                         
                         _logger.LogInformation("Successfully loaded challenge: {Id} ({Category}) - {Title}", challengeId, category, challenge.Title);
                     }
                     else
                     {
                         _logger.LogWarning("Failed to deserialize challenge {ChallengeId} - result is null", challengeId);
+                        loadErrors[$"{category}/{challengeId}"] = "challenge.json is empty or null";
                     }
                 }
                 catch (Exception ex)
                 {
                     _logger.LogError(ex, "Error loading challenge {ChallengeId}", challengeId);
+                    loadErrors[$"{category}/{challengeId}"] = ex.Message;
                 }
             }
             else
@@ -127,6 +220,109 @@ public class ChallengeManager
         return _challenges.Values.Where(c => c.Category.Equals(category, StringComparison.OrdinalIgnoreCase));
     }
 
+    // Full path of an attachment players may download: it must be listed in "files" and exist.
+    // Anything else in the folder, challenge.json with the flag included, stays private
+    public string? GetChallengeFilePath(Challenge challenge, string fileName)
+    {
+        if (!IsValidFileName(fileName) || !challenge.Files.Contains(fileName))
+        {
+            return null;
+        }
+
+        var path = Path.GetFullPath(Path.Combine(challenge.Path, fileName));
+        return File.Exists(path) ? path : null;
+    }
+
+    // Size and SHA-256 of each listed attachment, so players can check what they downloaded
+    public async Task<List<ChallengeFile>> GetChallengeFilesAsync(Challenge challenge)
+    {
+        var files = new List<ChallengeFile>();
+        foreach (var fileName in challenge.Files)
+        {
+            var path = GetChallengeFilePath(challenge, fileName);
+            if (path == null)
+            {
+                _logger.LogWarning("Challenge {ChallengeId} lists missing file {FileName}", challenge.Id, fileName);
+                continue;
+            }
+
+            var info = new FileInfo(path);
+            files.Add(new ChallengeFile
+            {
+                Name = fileName,
+                Size = info.Length,
+                Sha256 = await GetFileHashAsync(info)
+            });
+        }
+
+        return files;
+    }
+
+    // Path of a zip with every listed attachment. It is built once per set of file contents and
+    // reused until a file is added, removed or changed, so repeated downloads don't re-zip anything
+    public async Task<string> GetFilesArchiveAsync(Challenge challenge)
+    {
+        var files = await GetChallengeFilesAsync(challenge);
+        var contentKey = string.Join("\n", files.Select(f => $"{f.Name}:{f.Sha256}"));
+        var key = Convert.ToHexString(SHA256.HashData(Encoding.UTF8.GetBytes(contentKey))).ToLowerInvariant();
+        var archiveDir = Path.Combine(_archiveCachePath, challenge.Id);
+        var archivePath = Path.Combine(archiveDir, $"{key}.zip");
+
+        if (File.Exists(archivePath))
+        {
+            return archivePath;
+        }
+
+        await _archiveLock.WaitAsync();
+        try
+        {
+            if (File.Exists(archivePath))
+            {
+                return archivePath;
+            }
+
+            Directory.CreateDirectory(archiveDir);
+            var buildPath = archivePath + ".tmp";
+            await using (var archive = new FileStream(buildPath, FileMode.Create, FileAccess.Write))
+            using (var zip = new ZipArchive(archive, ZipArchiveMode.Create))
+            {
+                foreach (var file in files)
+                {
+                    var path = GetChallengeFilePath(challenge, file.Name);
+                    if (path == null)
+                    {
+                        continue;
+                    }
+
+                    var entry = zip.CreateEntry(file.Name);
+                    await using var entryStream = entry.Open();
+                    await using var fileStream = File.OpenRead(path);
+                    await fileStream.CopyToAsync(entryStream);
+                }
+            }
+            File.Move(buildPath, archivePath, overwrite: true);
+
+            // Earlier archives of this challenge are stale now
+            foreach (var stale in Directory.GetFiles(archiveDir, "*.zip").Where(path => path != archivePath))
+            {
+                try
+                {
+                    File.Delete(stale);
+                }
+                catch (IOException ex)
+                {
+                    _logger.LogWarning(ex, "Could not delete stale archive {Path}", stale);
+                }
+            }
+
+            return archivePath;
+        }
+        finally
+        {
+            _archiveLock.Release();
+        }
+    }
+
     public async Task<bool> StartChallengeAsync(string challengeId, string userId)
     {
         try
@@ -187,9 +383,527 @@ public class ChallengeManager
         }
     }
 
-    public async Task ReloadChallengesAsync()
+    // Re-reads every challenge.json and reports what changed compared to what was loaded before
+    public async Task<ChallengeReloadResult> ReloadChallengesAsync()
+    {
+        await _editLock.WaitAsync();
+        try
+        {
+            return await ReloadAndDiffAsync();
+        }
+        finally
+        {
+            _editLock.Release();
+        }
+    }
+
+    // Every challenge folder on disk with its raw challenge.json, including the ones that failed to load
+    public async Task<List<ChallengeDefinition>> GetChallengeDefinitionsAsync()
+    {
+        var definitions = new List<ChallengeDefinition>();
+        if (!Directory.Exists(_challengesPath))
+        {
+            return definitions;
+        }
+
+        foreach (var categoryDir in Directory.GetDirectories(_challengesPath))
+        {
+            var category = Path.GetFileName(categoryDir);
+            foreach (var challengeDir in Directory.GetDirectories(categoryDir))
+            {
+                var configPath = Path.Combine(challengeDir, ConfigFileName);
+                if (!File.Exists(configPath))
+                {
+                    continue;
+                }
+
+                var challengeId = Path.GetFileName(challengeDir);
+                definitions.Add(new ChallengeDefinition
+                {
+                    Id = challengeId,
+                    Category = category,
+                    Json = await File.ReadAllTextAsync(configPath),
+                    FilesOnDisk = GetFilesOnDisk(challengeDir),
+                    LoadError = _loadErrors.GetValueOrDefault($"{category}/{challengeId}")
+                });
+            }
+        }
+
+        return definitions.OrderBy(d => d.Category).ThenBy(d => d.Id).ToList();
+    }
+
+    // Checks an edited challenge.json before it is written; the folder is taken from the id and "category"
+    public ChallengeValidationResult ValidateDefinition(string id, string json)
+    {
+        var result = new ChallengeValidationResult();
+        var errors = result.Errors;
+
+        if (string.IsNullOrEmpty(id) || !ChallengeIdPattern.IsMatch(id))
+        {
+            errors.Add("Id must be 2-64 lowercase letters, digits or dashes, starting with a letter or digit.");
+        }
+
+        Challenge? challenge = null;
+        try
+        {
+            challenge = JsonSerializer.Deserialize<Challenge>(json ?? string.Empty, StrictReadOptions);
+        }
+        catch (JsonException ex)
+        {
+            errors.Add($"Invalid JSON: {ex.Message}");
+            return result;
+        }
+
+        if (challenge == null)
+        {
+            errors.Add("challenge.json must be a JSON object.");
+            return result;
+        }
+
+        if (string.IsNullOrWhiteSpace(challenge.Title))
+        {
+            errors.Add("title is required.");
+        }
+
+        if (string.IsNullOrWhiteSpace(challenge.Description))
+        {
+            errors.Add("description is required.");
+        }
+
+        if (!CategoryPattern.IsMatch(challenge.Category))
+        {
+            errors.Add("category is required: up to 32 letters, digits or dashes, starting with a letter. It names the folder the challenge is stored in.");
+        }
+
+        ValidateFlag(challenge, errors);
+
+        if (challenge.Points <= 0)
+        {
+            errors.Add("points must be greater than 0.");
+        }
+
+        if (challenge.Dynamic != null)
+        {
+            if (challenge.Dynamic.Initial <= 0)
+            {
+                errors.Add("dynamic.initial must be greater than 0.");
+            }
+
+            if (challenge.Dynamic.Minimum < 0 || challenge.Dynamic.Minimum > challenge.Dynamic.Initial)
+            {
+                errors.Add("dynamic.minimum must be between 0 and dynamic.initial.");
+            }
+
+            if (challenge.Dynamic.Decay < 1)
+            {
+                errors.Add("dynamic.decay must be at least 1.");
+            }
+        }
+
+        if (challenge.RequiresContainer && string.IsNullOrWhiteSpace(challenge.ContainerImage))
+        {
+            errors.Add("containerImage is required when requiresContainer is true.");
+        }
+
+        if (challenge.ContainerPort is < 1 or > 65535)
+        {
+            errors.Add("containerPort must be between 1 and 65535.");
+        }
+
+        for (var i = 0; i < challenge.Hints.Count; i++)
+        {
+            if (string.IsNullOrWhiteSpace(challenge.Hints[i].Text))
+            {
+                errors.Add($"hints[{i}].text is required.");
+            }
+
+            if (challenge.Hints[i].Cost < 0)
+            {
+                errors.Add($"hints[{i}].cost can't be negative.");
+            }
+        }
+
+        // Attachments are uploaded separately, so every listed file must already be in the folder
+        var challengeDir = ChallengeIdPattern.IsMatch(id ?? string.Empty) ? FindChallengeDirectory(id!) : null;
+        var filesOnDisk = challengeDir != null ? GetFilesOnDisk(challengeDir) : new List<string>();
+        foreach (var file in challenge.Files)
+        {
+            if (!IsValidFileName(file))
+            {
+                errors.Add($"files: {file} is not a valid file name.");
+            }
+            else if (!filesOnDisk.Contains(file))
+            {
+                errors.Add($"files: {file} has not been uploaded. Save the challenge without it, then upload the file.");
+            }
+        }
+
+        if (errors.Count == 0)
+        {
+            result.Challenge = challenge;
+        }
+
+        return result;
+    }
+
+    // Writes challenge.json for a new or existing challenge, moving its folder when the category changes, then reloads
+    public async Task<ChallengeSaveResult> SaveChallengeAsync(string id, string json, bool isNew)
+    {
+        await _editLock.WaitAsync();
+        try
+        {
+            var existingDir = ChallengeIdPattern.IsMatch(id) ? FindChallengeDirectory(id) : null;
+            if (isNew && existingDir != null)
+            {
+                return ChallengeSaveResult.Failed($"A challenge with id {id} already exists.");
+            }
+
+            if (!isNew && existingDir == null)
+            {
+                return new ChallengeSaveResult { Message = "Challenge not found.", IsNotFound = true };
+            }
+
+            var validation = ValidateDefinition(id, json);
+            if (!validation.Valid)
+            {
+                return ChallengeSaveResult.Failed("The challenge definition is not valid.", validation.Errors);
+            }
+
+            var category = ResolveCategoryFolder(validation.Challenge!.Category);
+            var targetDir = Path.Combine(_challengesPath, category, id);
+            if (existingDir != null && Path.GetFullPath(existingDir) != Path.GetFullPath(targetDir))
+            {
+                if (Directory.Exists(targetDir))
+                {
+                    return ChallengeSaveResult.Failed($"{category}/{id} already exists.");
+                }
+
+                Directory.CreateDirectory(Path.GetDirectoryName(targetDir)!);
+                Directory.Move(existingDir, targetDir);
+                _logger.LogInformation("Moved challenge {ChallengeId} from {From} to {To}", id, existingDir, targetDir);
+            }
+
+            var definition = JsonNode.Parse(json)!.AsObject();
+            SetProperty(definition, "category", category);
+            if (isNew && !HasProperty(definition, "createdAt"))
+            {
+                SetProperty(definition, "createdAt", DateTime.UtcNow);
+            }
+
+            Directory.CreateDirectory(targetDir);
+            await WriteDefinitionAsync(targetDir, definition);
+
+            var reload = await ReloadAndDiffAsync();
+            return ChallengeSaveResult.Succeeded(isNew ? $"Challenge {id} created." : $"Challenge {id} saved.", reload);
+        }
+        finally
+        {
+            _editLock.Release();
+        }
+    }
+
+    public async Task<ChallengeSaveResult> SetChallengeActiveAsync(string id, bool isActive)
+    {
+        return await UpdateDefinitionAsync(id, isActive ? $"Challenge {id} activated." : $"Challenge {id} deactivated.", (_, definition) =>
+        {
+            SetProperty(definition, "isActive", isActive);
+            return Task.CompletedTask;
+        });
+    }
+
+    // Stores an attachment next to challenge.json (replacing a file of the same name) and lists it in "files"
+    public async Task<ChallengeSaveResult> AddChallengeFileAsync(string id, string fileName, Stream content)
+    {
+        if (!IsValidFileName(fileName))
+        {
+            return ChallengeSaveResult.Failed($"{fileName} is not a valid file name.");
+        }
+
+        return await UpdateDefinitionAsync(id, $"{fileName} uploaded to {id}.", async (challengeDir, definition) =>
+        {
+            await using (var stream = File.Create(Path.Combine(challengeDir, fileName)))
+            {
+                await content.CopyToAsync(stream);
+            }
+
+            var files = GetProperty(definition, "files") as JsonArray;
+            if (files == null)
+            {
+                files = new JsonArray();
+                SetProperty(definition, "files", files);
+            }
+
+            if (!files.Any(f => f?.GetValueKind() == JsonValueKind.String && f.GetValue<string>() == fileName))
+            {
+                files.Add(fileName);
+            }
+        });
+    }
+
+    // Applies an edit to an existing challenge.json, given its folder and parsed contents, then reloads
+    private async Task<ChallengeSaveResult> UpdateDefinitionAsync(string id, string message, Func<string, JsonObject, Task> edit)
     {
-        _challenges.Clear();
+        await _editLock.WaitAsync();
+        try
+        {
+            var challengeDir = ChallengeIdPattern.IsMatch(id) ? FindChallengeDirectory(id) : null;
+            if (challengeDir == null)
+            {
+                return new ChallengeSaveResult { Message = "Challenge not found.", IsNotFound = true };
+            }
+
+            JsonObject? definition;
+            try
+            {
+                definition = JsonNode.Parse(await File.ReadAllTextAsync(Path.Combine(challengeDir, ConfigFileName))) as JsonObject;
+            }
+            catch (JsonException)
+            {
+                definition = null;
+            }
+
+            if (definition == null)
+            {
+                return ChallengeSaveResult.Failed("challenge.json can't be parsed. Fix it in the editor first.");
+            }
+
+            await edit(challengeDir, definition);
+            await WriteDefinitionAsync(challengeDir, definition);
+
+            var reload = await ReloadAndDiffAsync();
+            return ChallengeSaveResult.Succeeded(message, reload);
+        }
+        finally
+        {
+            _editLock.Release();
+        }
+    }
+
+    private async Task<ChallengeReloadResult> ReloadAndDiffAsync()
+    {
+        var before = _challenges.Values.ToDictionary(c => c.Id, Snapshot);
+
         await LoadChallengesAsync();
+        var challenges = _challenges;
+        var loadErrors = _loadErrors;
+
+        var result = new ChallengeReloadResult
+        {
+            Total = challenges.Count,
+            Added = challenges.Keys.Where(id => !before.ContainsKey(id)).OrderBy(id => id).ToList(),
+            Removed = before.Keys.Where(id => !challenges.ContainsKey(id)).OrderBy(id => id).ToList(),
+            Errors = loadErrors.OrderBy(e => e.Key).Select(e => $"{e.Key}: {e.Value}").ToList()
+        };
+
+        foreach (var challenge in challenges.Values.OrderBy(c => c.Id))
+        {
+            if (!before.TryGetValue(challenge.Id, out var previous))
+            {
+                continue;
+            }
+
+            var current = Snapshot(challenge);
+            var fields = current.Keys.Union(previous.Keys)
+                .Where(key => current.GetValueOrDefault(key) != previous.GetValueOrDefault(key))
+                .ToList();
+            if (fields.Count > 0)
+            {
+                result.Changed.Add(new ChallengeChange { Id = challenge.Id, Title = challenge.Title, Fields = fields });
+            }
+        }
+
+        _logger.LogInformation("Reloaded challenges: {Added} added, {Removed} removed, {Changed} changed, {Errors} failed to load",
+            result.Added.Count, result.Removed.Count, result.Changed.Count, result.Errors.Count);
+
+        return result;
+    }
+
+    // Each challenge.json property as raw JSON, for a field-by-field comparison
+    private static Dictionary<string, string> Snapshot(Challenge challenge)
+    {
+        return JsonSerializer.SerializeToElement(challenge, ReadOptions)
+            .EnumerateObject()
+            .Where(p => p.Name != nameof(Challenge.Id) && p.Name != nameof(Challenge.Path))
+            .ToDictionary(p => p.Name, p => p.Value.GetRawText());
+    }
+
+    private static void ValidateFlag(Challenge challenge, List<string> errors)
+    {
+        if (string.IsNullOrWhiteSpace(challenge.Flag))
+        {
+            errors.Add("flag is required.");
+            return;
+        }
+
+        switch (challenge.FlagType)
+        {
+            // Submissions are hashed to lowercase hex before comparing
+            case FlagType.MD5 when !Regex.IsMatch(challenge.Flag, "^[0-9a-f]{32}$"):
+                errors.Add("flag must be a lowercase hex MD5 hash when flagType is MD5.");
+                break;
+            case FlagType.SHA256 when !Regex.IsMatch(challenge.Flag, "^[0-9a-f]{64}$"):
+                errors.Add("flag must be a lowercase hex SHA-256 hash when flagType is SHA256.");
+                break;
+            case FlagType.Regex:
+                try
+                {
+                    _ = new Regex(challenge.Flag);
+                }
+                catch (ArgumentException ex)
+                {
+                    errors.Add($"flag is not a valid regular expression: {ex.Message}");
+                }
+                break;
+        }
+    }
+
+    // Ids are unique across categories, so the first folder with that name is the challenge
+    private string? FindChallengeDirectory(string id)
+    {
+        if (!Directory.Exists(_challengesPath))
+        {
+            return null;
+        }
+
+        return Directory.GetDirectories(_challengesPath)
+            .Select(categoryDir => Path.Combine(categoryDir, id))
+            .FirstOrDefault(dir => File.Exists(Path.Combine(dir, ConfigFileName)));
+    }
+
+    // Reuses an existing category folder whatever its case, so "crypto" doesn't split off from "Crypto"
+    private string ResolveCategoryFolder(string category)
+    {
+        if (!Directory.Exists(_challengesPath))
+        {
+            return category;
+        }
+
+        return Directory.GetDirectories(_challengesPath)
+            .Select(Path.GetFileName)
+            .FirstOrDefault(name => name!.Equals(category, StringComparison.OrdinalIgnoreCase)) ?? category;
+    }
+
+    private async Task<string> GetFileHashAsync(FileInfo info)
+    {
+        if (_fileHashes.TryGetValue(info.FullName, out var cached)
+            && cached.Length == info.Length
+            && cached.LastWriteTimeUtc == info.LastWriteTimeUtc)
+        {
+            return cached.Sha256;
+        }
+
+        await using var stream = info.OpenRead();
+        var sha256 = Convert.ToHexString(await SHA256.HashDataAsync(stream)).ToLowerInvariant();
+        _fileHashes[info.FullName] = (info.Length, info.LastWriteTimeUtc, sha256);
+        return sha256;
+    }
+
+    private static List<string> GetFilesOnDisk(string challengeDir)
+    {
+        return Directory.GetFiles(challengeDir)
+            .Select(Path.GetFileName)
+            .Where(name => name != ConfigFileName)
+            .OrderBy(name => name)
+            .ToList()!;
+    }
+
+    // A bare name that stays inside the challenge folder; challenge.json itself (it holds the flag) and dotfiles are off limits
+    private static bool IsValidFileName(string? name)
+    {
+        return !string.IsNullOrWhiteSpace(name)
+            && name.Length <= 128
+            && name == Path.GetFileName(name)
+            && !name.Contains('\\')
+            && !name.StartsWith('.')
+            && name.IndexOfAny(Path.GetInvalidFileNameChars()) < 0
+            && !name.Equals(ConfigFileName, StringComparison.OrdinalIgnoreCase);
+    }
+
+    private static async Task WriteDefinitionAsync(string challengeDir, JsonObject definition)
+    {
+        SetProperty(definition, "updatedAt", DateTime.UtcNow);
+        await File.WriteAllTextAsync(Path.Combine(challengeDir, ConfigFileName), definition.ToJsonString(WriteOptions));
+    }
+
+    // challenge.json is read case-insensitively, so look properties up the same way
+    private static JsonNode? GetProperty(JsonObject definition, string name)
+    {
+        return definition.FirstOrDefault(p => p.Key.Equals(name, StringComparison.OrdinalIgnoreCase)).Value;
+    }
+
+    private static bool HasProperty(JsonObject definition, string name)
+    {
+        return definition.Any(p => p.Key.Equals(name, StringComparison.OrdinalIgnoreCase));
     }
-} 
\ No newline at end of file
+
+    private static void SetProperty(JsonObject definition, string name, JsonNode? value)
+    {
+        var existing = definition.FirstOrDefault(p => p.Key.Equals(name, StringComparison.OrdinalIgnoreCase)).Key;
+        if (existing != null && existing != name)
+        {
+            definition.Remove(existing);
+        }
+
+        definition[name] = value;
+    }
+}
+
+// A challenge folder as the admin editor sees it
+public class ChallengeFile
+{
+    public string Name { get; set; } = string.Empty;
+    public long Size { get; set; }
+    // Lowercase hex, as printed by sha256sum
+    public string Sha256 { get; set; } = string.Empty;
+}
+
+public class ChallengeDefinition
+{
+    public string Id { get; set; } = string.Empty;
+    public string Category { get; set; } = string.Empty;
+    // The raw challenge.json
+    public string Json { get; set; } = string.Empty;
+    public List<string> FilesOnDisk { get; set; } = new();
+    // Set when the last reload skipped this challenge
+    public string? LoadError { get; set; }
+}
+
+public class ChallengeValidationResult
+{
+    public bool Valid => Errors.Count == 0;
+    public List<string> Errors { get; set; } = new();
+    // The parsed challenge when valid
+    [JsonIgnore]
+    public Challenge? Challenge { get; set; }
+}
+
+public class ChallengeReloadResult
+{
+    public int Total { get; set; }
+    public List<string> Added { get; set; } = new();
+    public List<string> Removed { get; set; } = new();
+    public List<ChallengeChange> Changed { get; set; } = new();
+    // "Category/id: reason" for each challenge.json that failed to load
+    public List<string> Errors { get; set; } = new();
+}
+
+public class ChallengeChange
+{
+    public string Id { get; set; } = string.Empty;
+    public string Title { get; set; } = string.Empty;
+    // challenge.json property names whose value changed
+    public List<string> Fields { get; set; } = new();
+}
+
+public class ChallengeSaveResult
+{
+    public bool Success { get; set; }
+    public string Message { get; set; } = string.Empty;
+    public List<string> Errors { get; set; } = new();
+    public ChallengeReloadResult? Reload { get; set; }
+    [JsonIgnore]
+    public bool IsNotFound { get; set; }
+
+    public static ChallengeSaveResult Succeeded(string message, ChallengeReloadResult reload) => new() { Success = true, Message = message, Reload = reload };
+    public static ChallengeSaveResult Failed(string message, List<string>? errors = null) => new() { Success = false, Message = message, Errors = errors ?? new() };
+}
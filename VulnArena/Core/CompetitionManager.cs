@@ -0,0 +1,88 @@
+using System.Globalization;
+using VulnArena.Models;
+
+namespace VulnArena.Core;
+
+// The event window from VulnArena:Competition. Each time is optional: without a start the
+// challenges are always visible, without an end flags are always accepted, and without a
+// freeze time the scoreboard stays live. Settings are re-read on every call so edits to
+// appsettings.json apply without a restart.
+public class CompetitionManager
+{
+    private readonly ILogger<CompetitionManager> _logger;
+    private readonly IConfiguration _configuration;
+
+    public CompetitionManager(ILogger<CompetitionManager> logger, IConfiguration configuration)
+    {
+        _logger = logger;
+        _configuration = configuration;
+    }
+
+    public CompetitionStatus GetStatus()
+    {
+        var now = DateTime.UtcNow;
+        var start = ReadTime("Start");
+        var end = ReadTime("End");
+        var freezeAt = ReadTime("FreezeAt");
+
+        return new CompetitionStatus
+        {
+            Start = start,
+            End = end,
+            FreezeAt = freezeAt,
+            ServerTime = now,
+            HasStarted = !start.HasValue || now >= start.Value,
+            HasEnded = end.HasValue && now >= end.Value,
+            // The freeze lifts when the competition ends, revealing the final standings
+            IsFrozen = freezeAt.HasValue && now >= freezeAt.Value && !(end.HasValue && now >= end.Value)
+        };
+    }
+
+    // Admins always see challenges, even before the start
+    public bool CanSeeChallenges(User? user)
+    {
+        return user?.Role == UserRole.Admin || GetStatus().HasStarted;
+    }
+
+    // Latest solve time the viewer may see on scoreboards: the freeze time for players while
+    // the scoreboard is frozen, otherwise null (live)
+    public DateTime? GetScoreboardCutoff(User? viewer)
+    {
+        var status = GetStatus();
+        if (!status.IsFrozen || viewer?.Role == UserRole.Admin)
+        {
+            return null;
+        }
+
+        return status.FreezeAt;
+    }
+
+    private DateTime? ReadTime(string key)
+    {
+        var value = _configuration[$"VulnArena:Competition:{key}"];
+        if (string.IsNullOrWhiteSpace(value))
+        {
+            return null;
+        }
+
+        if (DateTime.TryParse(value, CultureInfo.InvariantCulture, DateTimeStyles.AssumeUniversal | DateTimeStyles.AdjustToUniversal, out var time))
+        {
+            return time;
+        }
+
+        _logger.LogWarning("Ignoring invalid VulnArena:Competition:{Key} value {Value}", key, value);
+        return null;
+    }
+}
+
+public class CompetitionStatus
+{
+    public DateTime? Start { get; set; }
+    public DateTime? End { get; set; }
+    public DateTime? FreezeAt { get; set; }
+    // Lets clients correct for their own clock when counting down
+    public DateTime ServerTime { get; set; }
+    public bool HasStarted { get; set; }
+    public bool HasEnded { get; set; }
+    public bool IsFrozen { get; set; }
+}
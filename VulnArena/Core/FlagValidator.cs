@@ -12,18 +12,21 @@ public class FlagValidator
     private readonly IConfiguration _configuration;
     private readonly DBService _dbService;
     private readonly LoggingService _loggingService;
+    private readonly CompetitionManager _competitionManager;
     private readonly int _timeoutSeconds;
 
     public FlagValidator(
         ILogger<FlagValidator> logger,
         IConfiguration configuration,
         DBService dbService,
-        LoggingService loggingService)
+        LoggingService loggingService,
+        CompetitionManager competitionManager)
     {
         _logger = logger;
         _configuration = configuration;
         _dbService = dbService;
         _loggingService = loggingService;
+        _competitionManager = competitionManager;
         _timeoutSeconds = int.Parse(_configuration["VulnArena:Security:FlagValidationTimeout"] ?? "30");
     }
 
@@ -31,28 +34,47 @@ public class FlagValidator
     {
         try
         {
+            // Flags are only accepted inside the competition window; nothing is recorded outside it
+            var competition = _competitionManager.GetStatus();
+            if (!competition.HasStarted || competition.HasEnded)
+            {
+                _logger.LogInformation("Flag submission outside the competition window by user {UserId}", userId);
+                return new FlagValidationResult
+                {
+                    IsValid = false,
+                    Message = competition.HasEnded
+                        ? "The competition has ended. Submissions are closed."
+                        : "The competition has not started yet.",
+                    Outcome = SubmissionOutcome.CompetitionClosed
+                };
+            }
+
             // Check rate limiting
-            if (await IsRateLimitedAsync(userId))
+            var rateLimit = await GetRateLimitStatusAsync(userId);
+            if (rateLimit.IsRateLimited)
             {
                 _logger.LogWarning("Rate limit exceeded for user {UserId}", userId);
                 await _loggingService.LogSystemEventAsync("FLAG_SUBMISSION_RATE_LIMITED", $"User: {userId}, Challenge: {challengeId}, Flag: {submittedFlag}", Models.LogLevel.Warning);
                 return new FlagValidationResult
                 {
                     IsValid = false,
-                    Message = "Rate limit exceeded. Please wait before submitting again.",
-                    IsRateLimited = true
+                    Message = $"Too many submissions. You can try again in {rateLimit.RetryAfterSeconds ?? 60} seconds.",
+                    Outcome = SubmissionOutcome.RateLimited,
+                    RetryAfterSeconds = rateLimit.RetryAfterSeconds ?? 60
                 };
             }
 
             // Get challenge and expected flag
+            // Deactivated or deleted challenges keep their row for past solves but take no new flags
             var challenge = await _dbService.GetChallengeAsync(challengeId);
-            if (challenge == null)
+            if (challenge == null || !challenge.IsActive)
             {
                 _logger.LogWarning("Challenge not found: {ChallengeId}", challengeId);
                 return new FlagValidationResult
                 {
                     IsValid = false,
-                    Message = "Challenge not found."
+                    Message = "This challenge is no longer accepting flags.",
+                    Outcome = SubmissionOutcome.ChallengeInactive
                 };
             }
 
@@ -63,8 +85,20 @@ public class FlagValidator
                 return new FlagValidationResult
                 {
                     IsValid = true,
-                    Message = "Flag already submitted correctly.",
-                    IsAlreadySolved = true
+                    Message = "You have already solved this challenge.",
+                    Outcome = SubmissionOutcome.AlreadySolved
+                };
+            }
+
+            // Solves are shared within a team, so a teammate's solve closes the challenge too
+            var teamSolved = await _dbService.GetTeamSolvedChallengeIdsAsync(userId);
+            if (teamSolved.Contains(challengeId))
+            {
+                return new FlagValidationResult
+                {
+                    IsValid = true,
+                    Message = "Your team has already solved this challenge.",
+                    Outcome = SubmissionOutcome.AlreadySolved
                 };
             }
 
@@ -74,12 +108,14 @@ public class FlagValidator
             // Record submission
             var submission = new Submission
             {
+                Id = Guid.NewGuid().ToString(),
                 ChallengeId = challengeId,
                 UserId = userId,
                 SubmittedFlag = submittedFlag,
                 IsCorrect = isValid,
                 SubmittedAt = DateTime.UtcNow,
-                IpAddress = "127.0.0.1" // TODO: Get actual IP
+                IpAddress = _loggingService.GetClientIpAddress(),
+                UserAgent = _loggingService.GetUserAgent()
             };
 
             await _dbService.RecordSubmissionAsync(submission);
@@ -93,21 +129,15 @@ public class FlagValidator
 
             if (isValid)
             {
-                // Update user stats
-                var user = await _dbService.GetUserByIdAsync(userId);
-                if (user != null)
-                {
-                    user.TotalPoints += challenge.Points;
-                    user.SolvedChallenges += 1;
-                    await _dbService.UpdateUserAsync(user);
-                }
-
+                // User totals are updated when ScoreManager awards the points
                 _logger.LogInformation("Correct flag submitted for challenge {ChallengeId} by user {UserId}", challengeId, userId);
                 return new FlagValidationResult
                 {
                     IsValid = true,
                     Message = "Correct flag! Well done!",
-                    Points = challenge.Points
+                    Outcome = SubmissionOutcome.Correct,
+                    Points = challenge.Points,
+                    SubmittedAt = submission.SubmittedAt
                 };
             }
             else
@@ -116,7 +146,8 @@ public class FlagValidator
                 return new FlagValidationResult
                 {
                     IsValid = false,
-                    Message = "Incorrect flag. Try again!"
+                    Message = "Incorrect flag. Try again!",
+                    Outcome = SubmissionOutcome.Incorrect
                 };
             }
         }
@@ -126,7 +157,8 @@ public class FlagValidator
             return new FlagValidationResult
             {
                 IsValid = false,
-                Message = "An error occurred while validating the flag."
+                Message = "An error occurred while validating the flag.",
+                Outcome = SubmissionOutcome.Error
             };
         }
     }
@@ -209,12 +241,30 @@ public class FlagValidator
         }
     }
 
-    private async Task<bool> IsRateLimitedAsync(string userId)
+    // Submissions the user has left in the last minute and, when none are left, when the next one frees up
+    public async Task<RateLimitStatus> GetRateLimitStatusAsync(string userId)
     {
-        var recentSubmissions = await _dbService.GetRecentSubmissionsAsync(userId, TimeSpan.FromMinutes(1));
+        var window = TimeSpan.FromMinutes(1);
+        var recentSubmissions = (await _dbService.GetRecentSubmissionsAsync(userId, window))
+            .Select(s => s.SubmittedAt.ToUniversalTime())
+            .OrderBy(submittedAt => submittedAt)
+            .ToList();
         var maxSubmissions = int.Parse(_configuration["VulnArena:Security:RateLimitPerMinute"] ?? "10");
-        
-        return recentSubmissions.Count() >= maxSubmissions;
+
+        var status = new RateLimitStatus
+        {
+            Limit = maxSubmissions,
+            Remaining = Math.Max(0, maxSubmissions - recentSubmissions.Count)
+        };
+
+        if (status.IsRateLimited && recentSubmissions.Count > 0)
+        {
+            // A slot frees up once enough of the oldest submissions fall out of the window
+            var freedAt = recentSubmissions[recentSubmissions.Count - maxSubmissions] + window;
+            status.RetryAfterSeconds = Math.Max(1, (int)Math.Ceiling((freedAt - DateTime.UtcNow).TotalSeconds));
+        }
+
+        return status;
     }
 }
 
@@ -222,9 +272,39 @@ public class FlagValidationResult
 {
     public bool IsValid { get; set; }
     public string Message { get; set; } = string.Empty;
+    public SubmissionOutcome Outcome { get; set; }
     public int Points { get; set; }
-    public bool IsRateLimited { get; set; }
-    public bool IsAlreadySolved { get; set; }
+    public bool IsRateLimited => Outcome == SubmissionOutcome.RateLimited;
+    public bool IsAlreadySolved => Outcome == SubmissionOutcome.AlreadySolved;
+    // Submitted before the competition started or after it ended
+    public bool IsClosed => Outcome == SubmissionOutcome.CompetitionClosed;
+    // Set when rate limited: seconds until the next submission is accepted
+    public int? RetryAfterSeconds { get; set; }
+    // Time of the recorded correct submission; scoring uses it to decide first blood
+    public DateTime? SubmittedAt { get; set; }
+}
+
+// What happened to a flag submission; the submit response reports it so the client can say why
+public enum SubmissionOutcome
+{
+    Correct,
+    Incorrect,
+    RateLimited,
+    AlreadySolved,
+    // Deactivated or removed from disk
+    ChallengeInactive,
+    // Outside the competition window
+    CompetitionClosed,
+    Error
+}
+
+public class RateLimitStatus
+{
+    // Submissions allowed per minute (VulnArena:Security:RateLimitPerMinute)
+    public int Limit { get; set; }
+    public int Remaining { get; set; }
+    public bool IsRateLimited => Remaining == 0;
+    public int? RetryAfterSeconds { get; set; }
 }
 
 public enum FlagType
@@ -8,47 +8,143 @@ public class ScoreManager
     private readonly ILogger<ScoreManager> _logger;
     private readonly IConfiguration _configuration;
     private readonly DBService _dbService;
+    private readonly ChallengeManager _challengeManager;
     private readonly int _basePoints;
     private readonly bool _timeBonus;
     private readonly double _difficultyMultiplier;
 
+    // Leaderboard time windows; null means all time
+    public static readonly Dictionary<string, TimeSpan?> LeaderboardPeriods = new(StringComparer.OrdinalIgnoreCase)
+    {
+        ["all"] = null,
+        ["30d"] = TimeSpan.FromDays(30),
+        ["7d"] = TimeSpan.FromDays(7),
+        ["24h"] = TimeSpan.FromHours(24)
+    };
+
     public ScoreManager(
         ILogger<ScoreManager> logger,
         IConfiguration configuration,
-        DBService dbService)
+        DBService dbService,
+        ChallengeManager challengeManager)
     {
         _logger = logger;
         _configuration = configuration;
         _dbService = dbService;
+        _challengeManager = challengeManager;
         _basePoints = int.Parse(_configuration["VulnArena:Scoring:BasePoints"] ?? "100");
         _timeBonus = bool.Parse(_configuration["VulnArena:Scoring:TimeBonus"] ?? "true");
         _difficultyMultiplier = double.Parse(_configuration["VulnArena:Scoring:DifficultyMultiplier"] ?? "1.5");
     }
 
-    public async Task<int> CalculateScoreAsync(Challenge challenge, DateTime solvedAt, DateTime? startedAt = null)
+    public async Task<int> CalculateScoreAsync(Challenge challenge, string userId, DateTime solvedAt, DateTime? startedAt = null)
+    {
+        var breakdown = await CalculateScoreBreakdownAsync(challenge, userId, solvedAt, startedAt);
+        return breakdown.Total;
+    }
+
+    // solvedAt must be the time of the solving submission itself: first blood means no correct submission before it
+    public async Task<ScoreBreakdown> CalculateScoreBreakdownAsync(Challenge challenge, string userId, DateTime solvedAt, DateTime? startedAt = null)
     {
-        var baseScore = _basePoints;
+        var breakdown = new ScoreBreakdown();
 
-        // Apply difficulty multiplier
-        var difficultyScore = (int)(baseScore * GetDifficultyMultiplier(challenge.Difficulty));
+        if (challenge.Dynamic != null)
+        {
+            // The solve being scored is already recorded, so it is included in the count
+            var solveCounts = await _dbService.GetSolveCountsAsync();
+            breakdown.BasePoints = GetDynamicValue(challenge.Dynamic, solveCounts.GetValueOrDefault(challenge.Id));
+            breakdown.IsDynamic = true;
+        }
+        else
+        {
+            // Apply difficulty multiplier
+            breakdown.BasePoints = (int)(_basePoints * GetDifficultyMultiplier(challenge.Difficulty));
+        }
 
         // Apply time bonus if enabled and we have start time
         if (_timeBonus && startedAt.HasValue)
         {
-            var timeBonus = CalculateTimeBonus(startedAt.Value, solvedAt, challenge.Difficulty);
-            difficultyScore += timeBonus;
+            breakdown.TimeBonus = CalculateTimeBonus(startedAt.Value, solvedAt, challenge.Difficulty);
         }
 
         // Apply first blood bonus (first person to solve)
-        var isFirstBlood = await IsFirstBloodAsync(challenge.Id, solvedAt);
-        if (isFirstBlood)
+        breakdown.IsFirstBlood = await IsFirstBloodAsync(challenge.Id, solvedAt);
+        if (breakdown.IsFirstBlood)
         {
-            var firstBloodBonus = (int)(difficultyScore * 0.1); // 10% bonus
-            difficultyScore += firstBloodBonus;
+            breakdown.FirstBloodBonus = GetFirstBloodBonus(breakdown.BasePoints, breakdown.TimeBonus, true);
             _logger.LogInformation("First blood bonus awarded for challenge {ChallengeId}", challenge.Id);
         }
 
-        return Math.Max(1, difficultyScore); // Ensure minimum 1 point
+        // Hints revealed before the solve cost what they were priced at when revealed
+        var hintUnlocks = await _dbService.GetHintUnlocksAsync(userId, challenge.Id);
+        breakdown.HintPenalty = hintUnlocks.Where(u => u.UnlockedAt <= solvedAt.ToUniversalTime()).Sum(u => u.Cost);
+        breakdown.HintsUsed = hintUnlocks.Count(u => u.UnlockedAt <= solvedAt.ToUniversalTime());
+
+        breakdown.Total = GetTotal(breakdown.BasePoints, breakdown.TimeBonus, breakdown.IsFirstBlood, breakdown.HintPenalty);
+        return breakdown;
+    }
+
+    // First blood is worth 10% of the base points plus time bonus
+    public static int GetFirstBloodBonus(int basePoints, int timeBonus, bool isFirstBlood)
+    {
+        return isFirstBlood ? (int)((basePoints + timeBonus) * 0.1) : 0;
+    }
+
+    // The award from its parts; also used to rescore dynamic challenges when their base value changes
+    public static int GetTotal(int basePoints, int timeBonus, bool isFirstBlood, int hintPenalty)
+    {
+        return Math.Max(1, basePoints + timeBonus + GetFirstBloodBonus(basePoints, timeBonus, isFirstBlood) - hintPenalty); // Ensure minimum 1 point
+    }
+
+    // The same award at a different base value, e.g. a dynamic challenge's value on a frozen scoreboard
+    public static ScoreBreakdown WithBasePoints(ScoreBreakdown score, int basePoints)
+    {
+        return new ScoreBreakdown
+        {
+            BasePoints = basePoints,
+            IsDynamic = score.IsDynamic,
+            TimeBonus = score.TimeBonus,
+            IsFirstBlood = score.IsFirstBlood,
+            FirstBloodBonus = GetFirstBloodBonus(basePoints, score.TimeBonus, score.IsFirstBlood),
+            HintPenalty = score.HintPenalty,
+            HintsUsed = score.HintsUsed,
+            Total = GetTotal(basePoints, score.TimeBonus, score.IsFirstBlood, score.HintPenalty)
+        };
+    }
+
+    // Value every solver of a dynamic challenge gets once solveCount players have solved it.
+    // Decays along a parabola from Initial (first solver) to Minimum at Decay solves.
+    public static int GetDynamicValue(DynamicScoring scoring, int solveCount)
+    {
+        var decayedSolves = Math.Max(0, solveCount - 1);
+        if (scoring.Decay <= 0 || decayedSolves == 0)
+        {
+            return scoring.Initial;
+        }
+
+        var value = scoring.Initial + (scoring.Minimum - scoring.Initial) * Math.Pow(decayedSolves, 2) / Math.Pow(scoring.Decay, 2);
+        return Math.Max(scoring.Minimum, (int)Math.Ceiling(value));
+    }
+
+    // Current value shown to players: the dynamic value for everyone who has solved it so far, or the fixed points
+    public static int GetCurrentValue(Challenge challenge, int solveCount)
+    {
+        return challenge.Dynamic != null ? GetDynamicValue(challenge.Dynamic, solveCount) : challenge.Points;
+    }
+
+    // Called after a new solve of a dynamic challenge has been awarded: the value drops for everyone who solved it earlier too.
+    // Every award is recomputed from the solve count inside one transaction, so concurrent solves can't skip a step
+    public async Task RescoreDynamicChallengeAsync(Challenge challenge)
+    {
+        var scoring = challenge.Dynamic;
+        if (scoring == null)
+        {
+            return;
+        }
+
+        var solveCount = await _dbService.RescoreChallengeAsync(challenge.Id, count => GetDynamicValue(scoring, count));
+        _logger.LogInformation("Rescored challenge {ChallengeId} at {Value} points after {SolveCount} solves",
+            challenge.Id, GetDynamicValue(scoring, solveCount), solveCount);
     }
 
     private double GetDifficultyMultiplier(ChallengeDifficulty difficulty)
@@ -91,13 +187,13 @@ public class ScoreManager
         return !earlierSubmissions.Any();
     }
 
-    public async Task<bool> AwardPointsAsync(string userId, string challengeId, int points)
+    public async Task<bool> AwardPointsAsync(string userId, string challengeId, ScoreBreakdown score)
     {
         try
         {
-            await _dbService.AwardPointsAsync(userId, challengeId, points);
+            await _dbService.AwardPointsAsync(userId, challengeId, score);
             _logger.LogInformation("Awarded {Points} points to user {UserId} for challenge {ChallengeId}", 
-                points, userId, challengeId);
+                score.Total, userId, challengeId);
             return true;
         }
         catch (Exception ex)
@@ -107,33 +203,12 @@ public class ScoreManager
         }
     }
 
-    public async Task<IEnumerable<LeaderboardEntry>> GetLeaderboardAsync(int top = 100)
+    public async Task<IEnumerable<LeaderboardEntry>> GetLeaderboardAsync(int top = 100, DateTime? since = null)
     {
         try
         {
-            var users = await _dbService.GetAllUsersAsync();
-            var leaderboard = new List<LeaderboardEntry>();
-
-            foreach (var user in users)
-            {
-                var solvedChallenges = await _dbService.GetSolvedChallengesAsync(user.Id);
-                var totalPoints = solvedChallenges.Sum(c => c.Points);
-                var solveCount = solvedChallenges.Count();
-
-                leaderboard.Add(new LeaderboardEntry
-                {
-                    UserId = user.Id,
-                    Username = user.Username,
-                    TotalPoints = totalPoints,
-                    SolvedChallenges = solveCount,
-                    LastSolvedAt = solvedChallenges.Max(c => c.SolvedAt)
-                });
-            }
-
-            return leaderboard
-                .OrderByDescending(e => e.TotalPoints)
-                .ThenBy(e => e.LastSolvedAt)
-                .Take(top);
+            var ranking = await GetRankingAsync(null, since);
+            return ranking.Take(top);
         }
         catch (Exception ex)
         {
@@ -142,56 +217,239 @@ public class ScoreManager
         }
     }
 
-    public async Task<IEnumerable<LeaderboardEntry>> GetLeaderboardByCategoryAsync(string category, int top = 50)
+    public async Task<IEnumerable<LeaderboardEntry>> GetLeaderboardByCategoryAsync(string category, int top = 50, DateTime? since = null)
     {
         try
         {
-            var users = await _dbService.GetAllUsersAsync();
-            var leaderboard = new List<LeaderboardEntry>();
+            var ranking = await GetRankingAsync(category, since);
+            return ranking.Take(top);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error getting leaderboard for category {Category}", category);
+            return Enumerable.Empty<LeaderboardEntry>();
+        }
+    }
+
+    // Full ranking, optionally limited to one category and/or to solves at or after "since".
+    // "until" hides later solves entirely (a frozen scoreboard), streaks included, and values dynamic challenges as of then.
+    // The all-time overall ranking lists every user; filtered rankings only list users who scored in them.
+    public async Task<List<LeaderboardEntry>> GetRankingAsync(string? category, DateTime? since, DateTime? until = null)
+    {
+        var users = await _dbService.GetAllUsersAsync();
+        var solvedByUser = await _dbService.GetSolvedChallengesByUserAsync();
+        var frozenValues = await GetFrozenBaseValuesAsync(until);
+        var leaderboard = new List<LeaderboardEntry>();
+        var isFiltered = !string.IsNullOrEmpty(category) || since.HasValue;
+
+        foreach (var user in users.Where(u => u.IsActive))
+        {
+            var allSolved = AtCutoff(solvedByUser.GetValueOrDefault(user.Id) ?? new List<SolvedChallenge>(), until, frozenValues);
+            var solvedChallenges = FilterSolves(allSolved, category, since).ToList();
 
-            foreach (var user in users)
+            if (isFiltered && solvedChallenges.Count == 0)
             {
-                var solvedChallenges = await _dbService.GetSolvedChallengesByCategoryAsync(user.Id, category);
-                var totalPoints = solvedChallenges.Sum(c => c.Points);
-                var solveCount = solvedChallenges.Count();
+                continue;
+            }
 
-                if (solveCount > 0)
-                {
-                    leaderboard.Add(new LeaderboardEntry
-                    {
-                        UserId = user.Id,
-                        Username = user.Username,
-                        TotalPoints = totalPoints,
-                        SolvedChallenges = solveCount,
-                        LastSolvedAt = solvedChallenges.Max(c => c.SolvedAt),
-                        Category = category
-                    });
-                }
+            leaderboard.Add(new LeaderboardEntry
+            {
+                UserId = user.Id,
+                Username = user.Username,
+                TotalPoints = solvedChallenges.Sum(c => c.Points),
+                SolvedChallenges = solvedChallenges.Count,
+                LastSolvedAt = solvedChallenges.Max(c => (DateTime?)c.SolvedAt),
+                Category = category,
+                Categories = solvedChallenges
+                    .Where(c => c.Category != null)
+                    .Select(c => c.Category!)
+                    .Distinct()
+                    .OrderBy(c => c)
+                    .ToList(),
+                // Streaks always count all solves, so they don't reset when the view is filtered
+                Streak = CalculateStreak(allSolved)
+            });
+        }
+
+        // Ties go to whoever reached the score first
+        var ranking = leaderboard
+            .OrderByDescending(e => e.TotalPoints)
+            .ThenBy(e => e.LastSolvedAt ?? DateTime.MaxValue)
+            .ThenBy(e => e.Username)
+            .ToList();
+
+        for (var i = 0; i < ranking.Count; i++)
+        {
+            ranking[i].Rank = i + 1;
+        }
+
+        return ranking;
+    }
+
+    // Team ranking over the same filters. Each challenge counts once per team, at the points of
+    // the member who solved it first. Only solves made while in the team count, and they stay with
+    // the team when the member leaves. Only teams that scored in a filtered view are listed.
+    public async Task<List<TeamLeaderboardEntry>> GetTeamRankingAsync(string? category, DateTime? since, DateTime? until = null)
+    {
+        var teams = await _dbService.GetAllTeamsAsync();
+        var solvesByTeam = (await _dbService.GetSolvedChallengesByUserAsync()).Values
+            .SelectMany(solved => solved)
+            .Where(c => c.TeamId != null)
+            .GroupBy(c => c.TeamId!)
+            .ToDictionary(g => g.Key, g => g.ToList());
+        var frozenValues = await GetFrozenBaseValuesAsync(until);
+        var membersByTeam = (await _dbService.GetTeamMembersAsync())
+            .GroupBy(m => m.TeamId)
+            .ToDictionary(g => g.Key, g => g.ToList());
+        var leaderboard = new List<TeamLeaderboardEntry>();
+        var isFiltered = !string.IsNullOrEmpty(category) || since.HasValue;
+
+        foreach (var team in teams)
+        {
+            var members = membersByTeam.GetValueOrDefault(team.Id) ?? new List<TeamMember>();
+            var teamSolves = AtCutoff(solvesByTeam.GetValueOrDefault(team.Id) ?? new List<SolvedChallenge>(), until, frozenValues)
+                .GroupBy(c => c.ChallengeId)
+                .Select(g => g.OrderBy(c => c.SolvedAt).First());
+            var solvedChallenges = FilterSolves(teamSolves, category, since).ToList();
+
+            if (isFiltered && solvedChallenges.Count == 0)
+            {
+                continue;
             }
 
-            return leaderboard
-                .OrderByDescending(e => e.TotalPoints)
-                .ThenBy(e => e.LastSolvedAt)
-                .Take(top);
+            leaderboard.Add(new TeamLeaderboardEntry
+            {
+                TeamId = team.Id,
+                Name = team.Name,
+                Members = members,
+                TotalPoints = solvedChallenges.Sum(c => c.Points),
+                SolvedChallenges = solvedChallenges.Count,
+                LastSolvedAt = solvedChallenges.Max(c => (DateTime?)c.SolvedAt),
+                Category = category,
+                Categories = solvedChallenges
+                    .Where(c => c.Category != null)
+                    .Select(c => c.Category!)
+                    .Distinct()
+                    .OrderBy(c => c)
+                    .ToList()
+            });
         }
-        catch (Exception ex)
+
+        var ranking = leaderboard
+            .OrderByDescending(e => e.TotalPoints)
+            .ThenBy(e => e.LastSolvedAt ?? DateTime.MaxValue)
+            .ThenBy(e => e.Name)
+            .ToList();
+
+        for (var i = 0; i < ranking.Count; i++)
         {
-            _logger.LogError(ex, "Error getting leaderboard for category {Category}", category);
-            return Enumerable.Empty<LeaderboardEntry>();
+            ranking[i].Rank = i + 1;
+        }
+
+        return ranking;
+    }
+
+    // Cumulative score after each solve for each of the given users, oldest first, counting only solves in the given category/window
+    public async Task<Dictionary<string, List<ScoreProgressionPoint>>> GetScoreProgressionsAsync(IEnumerable<string> userIds, string? category, DateTime? since, DateTime? until = null)
+    {
+        var solvedByUser = await _dbService.GetSolvedChallengesByUserAsync();
+        var frozenValues = await GetFrozenBaseValuesAsync(until);
+        return userIds.Distinct().ToDictionary(
+            userId => userId,
+            userId => GetScoreProgression(
+                AtCutoff(solvedByUser.GetValueOrDefault(userId) ?? new List<SolvedChallenge>(), until, frozenValues), category, since));
+    }
+
+    private static List<ScoreProgressionPoint> GetScoreProgression(IEnumerable<SolvedChallenge> solved, string? category, DateTime? since)
+    {
+        var total = 0;
+
+        return FilterSolves(solved, category, since)
+            .OrderBy(c => c.SolvedAt)
+            .Select(c => new ScoreProgressionPoint
+            {
+                ChallengeId = c.ChallengeId,
+                ChallengeTitle = c.Title ?? c.ChallengeId,
+                Points = c.Points,
+                TotalPoints = total += c.Points,
+                SolvedAt = c.SolvedAt.ToUniversalTime()
+            })
+            .ToList();
+    }
+
+    private static IEnumerable<SolvedChallenge> FilterSolves(IEnumerable<SolvedChallenge> solved, string? category, DateTime? since)
+    {
+        return solved
+            .Where(c => string.IsNullOrEmpty(category) || string.Equals(c.Category, category, StringComparison.OrdinalIgnoreCase))
+            .Where(c => !since.HasValue || c.SolvedAt.ToUniversalTime() >= since.Value);
+    }
+
+    // Base value of each dynamic challenge at the cutoff of a frozen scoreboard; null when the view is live
+    private async Task<Dictionary<string, int>?> GetFrozenBaseValuesAsync(DateTime? until)
+    {
+        if (!until.HasValue)
+        {
+            return null;
+        }
+
+        var solveCounts = await _dbService.GetSolveCountsAsync(until);
+        return (await _challengeManager.GetAllChallengesAsync())
+            .Where(c => c.Dynamic != null)
+            .ToDictionary(c => c.Id, c => GetDynamicValue(c.Dynamic!, solveCounts.GetValueOrDefault(c.Id)));
+    }
+
+    // Solves as they stood at the cutoff: later solves are hidden, and dynamic challenges are worth what
+    // they were then rather than what later solves have decayed them to
+    private static List<SolvedChallenge> AtCutoff(IEnumerable<SolvedChallenge> solved, DateTime? until, Dictionary<string, int>? frozenValues)
+    {
+        var visible = solved.Where(c => !until.HasValue || c.SolvedAt.ToUniversalTime() < until.Value).ToList();
+        if (frozenValues == null)
+        {
+            return visible;
+        }
+
+        foreach (var solve in visible)
+        {
+            if (solve.IsFirstBlood.HasValue && frozenValues.TryGetValue(solve.ChallengeId, out var baseValue))
+            {
+                solve.Points = GetTotal(baseValue, solve.TimeBonus ?? 0, solve.IsFirstBlood.Value, solve.HintPenalty ?? 0);
+            }
+        }
+
+        return visible;
+    }
+
+    // Consecutive days (UTC) with at least one solve, ending today or yesterday
+    public static int CalculateStreak(IEnumerable<SolvedChallenge> solvedChallenges)
+    {
+        var solveDays = solvedChallenges.Select(c => c.SolvedAt.ToUniversalTime().Date).ToHashSet();
+        var day = DateTime.UtcNow.Date;
+        if (!solveDays.Contains(day))
+        {
+            day = day.AddDays(-1);
         }
+
+        var streak = 0;
+        while (solveDays.Contains(day))
+        {
+            streak++;
+            day = day.AddDays(-1);
+        }
+
+        return streak;
     }
 
-    public async Task<UserStats> GetUserStatsAsync(string userId)
+    // "until" shows the profile as of a frozen scoreboard, like GetRankingAsync
+    public async Task<UserStats> GetUserStatsAsync(string userId, DateTime? until = null)
     {
         try
         {
-            var solvedChallenges = await _dbService.GetSolvedChallengesAsync(userId);
+            var solvedChallenges = AtCutoff(await _dbService.GetSolvedChallengesAsync(userId), until, await GetFrozenBaseValuesAsync(until));
             var totalPoints = solvedChallenges.Sum(c => c.Points);
-            var solveCount = solvedChallenges.Count();
+            var solveCount = solvedChallenges.Count;
 
-            var categoryStats = await _dbService.GetSolvedChallengesByCategoryAsync(userId, null);
-            var categoryBreakdown = categoryStats
-                .GroupBy(c => c.Category)
+            var categoryBreakdown = solvedChallenges
+                .GroupBy(c => c.Category ?? "Unknown")
                 .Select(g => new CategoryStats
                 {
                     Category = g.Key,
@@ -201,7 +459,9 @@ public class ScoreManager
                 .OrderByDescending(s => s.TotalPoints)
                 .ToList();
 
-            var rank = await GetUserRankAsync(userId);
+            var rank = await GetUserRankAsync(userId, until);
+            var solvedIds = solvedChallenges.Select(c => c.ChallengeId).ToHashSet();
+            var firstBloods = (await _dbService.GetFirstBloodChallengeIdsAsync(userId)).Where(solvedIds.Contains);
 
             return new UserStats
             {
@@ -210,8 +470,10 @@ public class ScoreManager
                 SolvedChallenges = solveCount,
                 Rank = rank,
                 CategoryBreakdown = categoryBreakdown,
-                LastSolvedAt = solvedChallenges.Max(c => c.SolvedAt),
-                AverageSolveTime = CalculateAverageSolveTime(solvedChallenges)
+                LastSolvedAt = solvedChallenges.Max(c => (DateTime?)c.SolvedAt),
+                AverageSolveTime = CalculateAverageSolveTime(solvedChallenges),
+                Solves = solvedChallenges,
+                FirstBloods = firstBloods.ToList()
             };
         }
         catch (Exception ex)
@@ -221,11 +483,10 @@ public class ScoreManager
         }
     }
 
-    private async Task<int> GetUserRankAsync(string userId)
+    private async Task<int> GetUserRankAsync(string userId, DateTime? until)
     {
-        var leaderboard = await GetLeaderboardAsync();
-        var userEntry = leaderboard.FirstOrDefault(e => e.UserId == userId);
-        return userEntry != null ? leaderboard.ToList().IndexOf(userEntry) + 1 : -1;
+        var ranking = await GetRankingAsync(null, null, until);
+        return ranking.FirstOrDefault(e => e.UserId == userId)?.Rank ?? -1;
     }
 
     private TimeSpan CalculateAverageSolveTime(IEnumerable<SolvedChallenge> solvedChallenges)
@@ -252,6 +513,46 @@ public class LeaderboardEntry
     public int SolvedChallenges { get; set; }
     public DateTime? LastSolvedAt { get; set; }
     public string? Category { get; set; }
+    public int Rank { get; set; }
+    public List<string> Categories { get; set; } = new();
+    public int Streak { get; set; }
+}
+
+public class TeamLeaderboardEntry
+{
+    public string TeamId { get; set; } = string.Empty;
+    public string Name { get; set; } = string.Empty;
+    public List<TeamMember> Members { get; set; } = new();
+    public int TotalPoints { get; set; }
+    public int SolvedChallenges { get; set; }
+    public DateTime? LastSolvedAt { get; set; }
+    public string? Category { get; set; }
+    public int Rank { get; set; }
+    public List<string> Categories { get; set; } = new();
+}
+
+public class ScoreBreakdown
+{
+    // Base points scaled by difficulty, or the current value of a dynamic challenge
+    public int BasePoints { get; set; }
+    // The value of dynamic challenges keeps dropping as others solve them
+    public bool IsDynamic { get; set; }
+    public int TimeBonus { get; set; }
+    public int FirstBloodBonus { get; set; }
+    public bool IsFirstBlood { get; set; }
+    // Total cost of the hints revealed before solving; subtracted from the award
+    public int HintPenalty { get; set; }
+    public int HintsUsed { get; set; }
+    public int Total { get; set; }
+}
+
+public class ScoreProgressionPoint
+{
+    public string ChallengeId { get; set; } = string.Empty;
+    public string ChallengeTitle { get; set; } = string.Empty;
+    public int Points { get; set; }
+    public int TotalPoints { get; set; }
+    public DateTime SolvedAt { get; set; }
 }
 
 public class UserStats
@@ -263,6 +564,10 @@ public class UserStats
     public List<CategoryStats> CategoryBreakdown { get; set; } = new();
     public DateTime? LastSolvedAt { get; set; }
     public TimeSpan AverageSolveTime { get; set; }
+    public double AverageSolveSeconds => AverageSolveTime.TotalSeconds;
+    public List<SolvedChallenge> Solves { get; set; } = new();
+    // Ids of challenges this user solved first
+    public List<string> FirstBloods { get; set; } = new();
 }
 
 public class CategoryStats
@@ -0,0 +1,231 @@
+using System.Security.Cryptography;
+using VulnArena.Models;
+using VulnArena.Services;
+
+namespace VulnArena.Core;
+
+// Team membership rules. Scores are not stored per team: ScoreManager adds up the solves credited to it.
+public class TeamManager
+{
+    private readonly ILogger<TeamManager> _logger;
+    private readonly IConfiguration _configuration;
+    private readonly DBService _dbService;
+    private readonly int _maxTeamSize;
+
+    private const int MinNameLength = 3;
+    private const int MaxNameLength = 32;
+    private const int JoinCodeLength = 8;
+    // No 0/O or 1/I, so codes survive being read out loud
+    private const string JoinCodeAlphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+    public TeamManager(
+        ILogger<TeamManager> logger,
+        IConfiguration configuration,
+        DBService dbService)
+    {
+        _logger = logger;
+        _configuration = configuration;
+        _dbService = dbService;
+        _maxTeamSize = int.Parse(_configuration["VulnArena:Teams:MaxSize"] ?? "4");
+    }
+
+    public int MaxTeamSize => _maxTeamSize;
+
+    public async Task<Team?> GetTeamForUserAsync(string userId)
+    {
+        return await _dbService.GetTeamForUserAsync(userId);
+    }
+
+    public async Task<TeamResult> CreateTeamAsync(User user, string name)
+    {
+        name = name?.Trim() ?? string.Empty;
+        if (name.Length < MinNameLength || name.Length > MaxNameLength)
+        {
+            return TeamResult.Failed($"Team name must be between {MinNameLength} and {MaxNameLength} characters.");
+        }
+
+        if (await _dbService.GetTeamForUserAsync(user.Id) != null)
+        {
+            return TeamResult.Failed("You are already in a team. Leave it first.");
+        }
+
+        if (await _dbService.GetTeamByNameAsync(name) != null)
+        {
+            return TeamResult.Failed("Team name already taken.");
+        }
+
+        var team = new Team
+        {
+            Id = Guid.NewGuid().ToString(),
+            Name = name,
+            JoinCode = GenerateJoinCode(),
+            CaptainId = user.Id,
+            CreatedAt = DateTime.UtcNow
+        };
+
+        await _dbService.CreateTeamAsync(team);
+        _logger.LogInformation("Team {TeamName} created by user {UserId}", team.Name, user.Id);
+
+        return TeamResult.Succeeded($"Team {team.Name} created.", team);
+    }
+
+    public async Task<TeamResult> JoinTeamAsync(User user, string joinCode)
+    {
+        joinCode = joinCode?.Trim().ToUpperInvariant() ?? string.Empty;
+        if (joinCode.Length == 0)
+        {
+            return TeamResult.Failed("Join code is required.");
+        }
+
+        if (await _dbService.GetTeamForUserAsync(user.Id) != null)
+        {
+            return TeamResult.Failed("You are already in a team. Leave it first.");
+        }
+
+        var team = await _dbService.GetTeamByJoinCodeAsync(joinCode);
+        if (team == null)
+        {
+            return TeamResult.Failed("Invalid join code.");
+        }
+
+        var members = await _dbService.GetTeamMembersAsync(team.Id);
+        if (members.Count >= _maxTeamSize)
+        {
+            return TeamResult.Failed($"{team.Name} is full ({_maxTeamSize} members).");
+        }
+
+        await _dbService.AddTeamMemberAsync(team.Id, user.Id);
+        _logger.LogInformation("User {UserId} joined team {TeamName}", user.Id, team.Name);
+
+        return TeamResult.Succeeded($"You joined {team.Name}.", team);
+    }
+
+    // A leaving captain hands over to the longest-standing member; the last member out disbands the team
+    public async Task<TeamResult> LeaveTeamAsync(User user)
+    {
+        var team = await _dbService.GetTeamForUserAsync(user.Id);
+        if (team == null)
+        {
+            return TeamResult.Failed("You are not in a team.");
+        }
+
+        var remaining = (await _dbService.GetTeamMembersAsync(team.Id)).Where(m => m.UserId != user.Id).ToList();
+        if (remaining.Count == 0)
+        {
+            await _dbService.DeleteTeamAsync(team.Id);
+            _logger.LogInformation("Team {TeamName} disbanded by its last member {UserId}", team.Name, user.Id);
+            return TeamResult.Succeeded($"You left {team.Name}. The team has been disbanded.", team);
+        }
+
+        await _dbService.RemoveTeamMemberAsync(team.Id, user.Id);
+        if (team.CaptainId == user.Id)
+        {
+            team.CaptainId = remaining[0].UserId;
+            await _dbService.UpdateTeamAsync(team);
+        }
+
+        _logger.LogInformation("User {UserId} left team {TeamName}", user.Id, team.Name);
+        return TeamResult.Succeeded($"You left {team.Name}.", team);
+    }
+
+    public async Task<TeamResult> RemoveMemberAsync(User captain, string memberId)
+    {
+        var (team, error) = await GetCaptainedTeamAsync(captain);
+        if (team == null)
+        {
+            return error!;
+        }
+
+        if (memberId == captain.Id)
+        {
+            return TeamResult.Failed("You can't remove yourself. Leave the team instead.");
+        }
+
+        var members = await _dbService.GetTeamMembersAsync(team.Id);
+        if (!members.Any(m => m.UserId == memberId))
+        {
+            return TeamResult.Failed("That player is not on your team.");
+        }
+
+        await _dbService.RemoveTeamMemberAsync(team.Id, memberId);
+        _logger.LogInformation("User {MemberId} removed from team {TeamName} by {UserId}", memberId, team.Name, captain.Id);
+
+        return TeamResult.Succeeded("Member removed.", team);
+    }
+
+    public async Task<TeamResult> TransferCaptainAsync(User captain, string memberId)
+    {
+        var (team, error) = await GetCaptainedTeamAsync(captain);
+        if (team == null)
+        {
+            return error!;
+        }
+
+        var members = await _dbService.GetTeamMembersAsync(team.Id);
+        var member = members.FirstOrDefault(m => m.UserId == memberId);
+        if (member == null)
+        {
+            return TeamResult.Failed("That player is not on your team.");
+        }
+
+        team.CaptainId = member.UserId;
+        await _dbService.UpdateTeamAsync(team);
+        _logger.LogInformation("Captain of team {TeamName} handed from {UserId} to {MemberId}", team.Name, captain.Id, memberId);
+
+        return TeamResult.Succeeded($"{member.Username} is now the captain.", team);
+    }
+
+    // Invalidates the old code; existing members stay
+    public async Task<TeamResult> RegenerateJoinCodeAsync(User captain)
+    {
+        var (team, error) = await GetCaptainedTeamAsync(captain);
+        if (team == null)
+        {
+            return error!;
+        }
+
+        team.JoinCode = GenerateJoinCode();
+        await _dbService.UpdateTeamAsync(team);
+
+        return TeamResult.Succeeded("New join code generated.", team);
+    }
+
+    private async Task<(Team? Team, TeamResult? Error)> GetCaptainedTeamAsync(User user)
+    {
+        var team = await _dbService.GetTeamForUserAsync(user.Id);
+        if (team == null)
+        {
+            return (null, TeamResult.Failed("You are not in a team."));
+        }
+
+        if (team.CaptainId != user.Id)
+        {
+            return (null, new TeamResult { Success = false, Message = "Only the team captain can do that.", IsForbidden = true });
+        }
+
+        return (team, null);
+    }
+
+    private static string GenerateJoinCode()
+    {
+        return string.Create(JoinCodeLength, 0, (chars, _) =>
+        {
+            for (var i = 0; i < chars.Length; i++)
+            {
+                chars[i] = JoinCodeAlphabet[RandomNumberGenerator.GetInt32(JoinCodeAlphabet.Length)];
+            }
+        });
+    }
+}
+
+public class TeamResult
+{
+    public bool Success { get; set; }
+    public string Message { get; set; } = string.Empty;
+    public Team? Team { get; set; }
+    // Set when the caller is in a team but isn't allowed to manage it
+    public bool IsForbidden { get; set; }
+
+    public static TeamResult Succeeded(string message, Team team) => new() { Success = true, Message = message, Team = team };
+    public static TeamResult Failed(string message) => new() { Success = false, Message = message };
+}
@@ -29,6 +29,10 @@ public class Challenge
     
     [JsonPropertyName("points")]
     public int Points { get; set; } = 100;
+
+    // Optional: the challenge's value decays as more players solve it, for every solver
+    [JsonPropertyName("dynamic")]
+    public DynamicScoring? Dynamic { get; set; }
     
     [JsonPropertyName("requiresContainer")]
     public bool RequiresContainer { get; set; } = false;
@@ -57,12 +61,39 @@ public class Challenge
     [JsonPropertyName("solveCount")]
     public int SolveCount { get; set; } = 0;
     
+    // Single free hint; older challenge.json files use this instead of "hints"
     [JsonPropertyName("hint")]
     public string? Hint { get; set; }
+
+    // Revealed in order; each cost is deducted from the points awarded on solve
+    [JsonPropertyName("hints")]
+    public List<ChallengeHint> Hints { get; set; } = new();
     
     [JsonPropertyName("files")]
     public List<string> Files { get; set; } = new();
     
     [JsonPropertyName("metadata")]
     public Dictionary<string, string> Metadata { get; set; } = new();
+}
+
+public class DynamicScoring
+{
+    [JsonPropertyName("initial")]
+    public int Initial { get; set; }
+
+    [JsonPropertyName("minimum")]
+    public int Minimum { get; set; }
+
+    // Number of solves after which the value has reached the minimum
+    [JsonPropertyName("decay")]
+    public int Decay { get; set; }
+}
+
+public class ChallengeHint
+{
+    [JsonPropertyName("text")]
+    public string Text { get; set; } = string.Empty;
+
+    [JsonPropertyName("cost")]
+    public int Cost { get; set; }
 } 
\ No newline at end of file
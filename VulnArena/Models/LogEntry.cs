@@ -5,6 +5,7 @@ public class LogEntry
     public string Id { get; set; } = string.Empty;
     public string EventType { get; set; } = string.Empty;
     public string UserId { get; set; } = string.Empty;
+    public string? Username { get; set; }
     public string? ChallengeId { get; set; }
     public string? Details { get; set; }
     public DateTime Timestamp { get; set; } = DateTime.UtcNow;
@@ -5,6 +5,8 @@ public class Submission
     public string Id { get; set; } = string.Empty;
     public string ChallengeId { get; set; } = string.Empty;
     public string UserId { get; set; } = string.Empty;
+    // Only filled in by queries that join Users
+    public string? Username { get; set; }
     public string SubmittedFlag { get; set; } = string.Empty;
     public bool IsCorrect { get; set; } = false;
     public DateTime SubmittedAt { get; set; } = DateTime.UtcNow;
@@ -0,0 +1,19 @@
+namespace VulnArena.Models;
+
+public class Team
+{
+    public string Id { get; set; } = string.Empty;
+    public string Name { get; set; } = string.Empty;
+    // Shared by the captain to invite players; can be regenerated to revoke old invites
+    public string JoinCode { get; set; } = string.Empty;
+    public string CaptainId { get; set; } = string.Empty;
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+}
+
+public class TeamMember
+{
+    public string TeamId { get; set; } = string.Empty;
+    public string UserId { get; set; } = string.Empty;
+    public string Username { get; set; } = string.Empty;
+    public DateTime JoinedAt { get; set; }
+}
@@ -13,13 +13,16 @@ builder.Services.AddSwaggerGen();
 
 // Register custom services
 builder.Services.AddSingleton<ChallengeManager>();
+builder.Services.AddSingleton<CompetitionManager>();
 builder.Services.AddSingleton<ContainerService>();
 builder.Services.AddScoped<FlagValidator>();
 builder.Services.AddScoped<ScoreManager>();
+builder.Services.AddScoped<AchievementManager>();
+builder.Services.AddScoped<TeamManager>();
 builder.Services.AddSingleton<AuthService>();
 builder.Services.AddSingleton<LoggingService>();
 builder.Services.AddSingleton<DBService>();
-builder.Services.AddScoped<SandboxService>();
+builder.Services.AddSingleton<SandboxService>();
 builder.Services.AddHttpContextAccessor();
 
 // Configure CORS
@@ -42,6 +45,37 @@ if (app.Environment.IsDevelopment())
     app.UseSwaggerUI();
 }
 
+// Sent with every client page and asset. The policy is set in appsettings.json; this fallback only
+// keeps scripts to this origin and blocks plugins and framing if the setting is missing
+const string FallbackContentSecurityPolicy = "default-src 'self'; object-src 'none'; base-uri 'none'; frame-ancestors 'none'";
+var contentSecurityPolicy = app.Configuration["VulnArena:Security:ContentSecurityPolicy"] ?? FallbackContentSecurityPolicy;
+
+// Other origins the pages may call the API on, e.g. the backend's own URL when the client is opened
+// from another server during development
+var connectSources = app.Configuration["VulnArena:Security:ConnectSources"];
+if (!string.IsNullOrWhiteSpace(contentSecurityPolicy) && !string.IsNullOrWhiteSpace(connectSources))
+{
+    var directives = contentSecurityPolicy.Split(';', StringSplitOptions.TrimEntries | StringSplitOptions.RemoveEmptyEntries).ToList();
+    var connectIndex = directives.FindIndex(d => d.Split(' ')[0].Equals("connect-src", StringComparison.OrdinalIgnoreCase));
+    if (connectIndex < 0)
+    {
+        directives.Add($"connect-src 'self' {connectSources}");
+    }
+    else
+    {
+        directives[connectIndex] += $" {connectSources}";
+    }
+    contentSecurityPolicy = string.Join("; ", directives);
+}
+
+void AddContentSecurityPolicy(HttpResponse response)
+{
+    if (!string.IsNullOrWhiteSpace(contentSecurityPolicy))
+    {
+        response.Headers.ContentSecurityPolicy = contentSecurityPolicy;
+    }
+}
+
 app.UseHttpsRedirection();
 app.UseCors("AllowAll");
 app.UseAuthorization();
@@ -56,7 +90,8 @@ app.UseDefaultFiles(new DefaultFilesOptions
 app.UseStaticFiles(new StaticFileOptions
 {
     FileProvider = new PhysicalFileProvider(Path.Combine(Directory.GetCurrentDirectory(), "../client")),
-    RequestPath = ""
+    RequestPath = "",
+    OnPrepareResponse = context => AddContentSecurityPolicy(context.Context.Response)
 });
 
 // Fallback to index.html for SPA, but NOT for /api routes
@@ -70,6 +105,7 @@ app.MapFallback(async context =>
         return;
     }
     context.Response.ContentType = "text/html";
+    AddContentSecurityPolicy(context.Response);
     await context.Response.SendFileAsync(Path.Combine(Directory.GetCurrentDirectory(), "../client/index.html"));
 });
 
@@ -138,7 +138,8 @@ public class AuthService
                 Success = true, 
                 Message = "Login successful.", 
                 User = user, 
-                SessionToken = sessionToken 
+                SessionToken = sessionToken,
+                ExpiresAt = session.ExpiresAt
             };
         }
         catch (Exception ex)
@@ -203,6 +204,26 @@ public class AuthService
         }
     }
 
+    public UserSession? GetSession(string sessionToken)
+    {
+        return _activeSessions.TryGetValue(sessionToken, out var session) ? session : null;
+    }
+
+    public int InvalidateUserSessions(string userId)
+    {
+        var userSessions = _activeSessions
+            .Where(kvp => kvp.Value.UserId == userId)
+            .Select(kvp => kvp.Key)
+            .ToList();
+
+        foreach (var sessionToken in userSessions)
+        {
+            _activeSessions.Remove(sessionToken);
+        }
+
+        return userSessions.Count;
+    }
+
     // Debug method to list all active sessions
     public Dictionary<string, UserSession> GetAllActiveSessions()
     {
@@ -234,7 +255,10 @@ public class AuthService
             user.UpdatedAt = DateTime.UtcNow;
 
             await _dbService.UpdateUserAsync(user);
-            await _loggingService.LogSystemEventAsync("PASSWORD_CHANGED", $"Password changed successfully", Models.LogLevel.Information);
+
+            // Sessions created with the old password must not outlive it
+            var invalidated = InvalidateUserSessions(userId);
+            await _loggingService.LogSystemEventAsync("PASSWORD_CHANGED", $"Password changed successfully, {invalidated} session(s) invalidated", Models.LogLevel.Information);
 
             _logger.LogInformation("Password changed for user: {UserId}", userId);
             return true;
@@ -291,6 +315,7 @@ public class AuthResult
     public string Message { get; set; } = string.Empty;
     public User? User { get; set; }
     public string? SessionToken { get; set; }
+    public DateTime? ExpiresAt { get; set; }
 }
 
 public class UserSession
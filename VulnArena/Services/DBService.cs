@@ -1,4 +1,6 @@
 using Microsoft.Data.Sqlite;
+using System.Runtime.CompilerServices;
+using System.Text.Json.Serialization;
 using VulnArena.Models;
 using VulnArena.Core;
 
@@ -24,8 +26,11 @@ public class DBService
             using var connection = new SqliteConnection(_connectionString);
             await connection.OpenAsync();
 
-            // Create tables
+            // Create any missing tables first, so migrations can read from all of them,
+            // then bring tables from older versions up to date and index them
             await CreateTablesAsync(connection);
+            await MigrateSchemaAsync(connection);
+            await CreateIndexesAsync(connection);
             
             _logger.LogInformation("Database initialized successfully");
         }
@@ -36,6 +41,19 @@ public class DBService
         }
     }
 
+    private const string CreateHintUnlocksTable = @"
+                CREATE TABLE IF NOT EXISTS HintUnlocks (
+                    Id TEXT PRIMARY KEY,
+                    ChallengeId TEXT NOT NULL,
+                    UserId TEXT NOT NULL,
+                    HintIndex INTEGER NOT NULL,
+                    Cost INTEGER NOT NULL DEFAULT 0,
+                    UnlockedAt TEXT NOT NULL,
+                    UNIQUE (ChallengeId, UserId, HintIndex),
+                    FOREIGN KEY (ChallengeId) REFERENCES Challenges(Id),
+                    FOREIGN KEY (UserId) REFERENCES Users(Id)
+                )";
+
     private async Task CreateTablesAsync(SqliteConnection connection)
     {
         var commands = new[]
@@ -86,6 +104,7 @@ public class DBService
                     Id TEXT PRIMARY KEY,
                     ChallengeId TEXT NOT NULL,
                     UserId TEXT NOT NULL,
+                    TeamId TEXT,
                     SubmittedFlag TEXT NOT NULL,
                     IsCorrect INTEGER NOT NULL DEFAULT 0,
                     SubmittedAt TEXT NOT NULL,
@@ -93,6 +112,9 @@ public class DBService
                     UserAgent TEXT,
                     PointsAwarded INTEGER,
                     PointsAwardedAt TEXT,
+                    TimeBonus INTEGER,
+                    IsFirstBlood INTEGER,
+                    HintPenalty INTEGER,
                     ErrorMessage TEXT,
                     Metadata TEXT,
                     FOREIGN KEY (ChallengeId) REFERENCES Challenges(Id),
@@ -121,6 +143,24 @@ public class DBService
                     ContainerId TEXT,
                     FOREIGN KEY (ChallengeId) REFERENCES Challenges(Id),
                     FOREIGN KEY (UserId) REFERENCES Users(Id)
+                )",
+            CreateHintUnlocksTable,
+            @"
+                CREATE TABLE IF NOT EXISTS Teams (
+                    Id TEXT PRIMARY KEY,
+                    Name TEXT UNIQUE NOT NULL COLLATE NOCASE,
+                    JoinCode TEXT UNIQUE NOT NULL,
+                    CaptainId TEXT NOT NULL,
+                    CreatedAt TEXT NOT NULL,
+                    FOREIGN KEY (CaptainId) REFERENCES Users(Id)
+                )",
+            @"
+                CREATE TABLE IF NOT EXISTS TeamMembers (
+                    UserId TEXT PRIMARY KEY,
+                    TeamId TEXT NOT NULL,
+                    JoinedAt TEXT NOT NULL,
+                    FOREIGN KEY (TeamId) REFERENCES Teams(Id),
+                    FOREIGN KEY (UserId) REFERENCES Users(Id)
                 )"
         };
 
@@ -129,9 +169,85 @@ public class DBService
             using var cmd = new SqliteCommand(command, connection);
             await cmd.ExecuteNonQueryAsync();
         }
+    }
 
-        // Create indexes
-        await CreateIndexesAsync(connection);
+    // Columns added to existing tables since they were first created, with how to fill them in for existing rows
+    private static readonly (string Table, string Column, string Definition, string? Backfill)[] AddedColumns =
+    {
+        ("Submissions", "TimeBonus", "INTEGER", null),
+        ("Submissions", "IsFirstBlood", "INTEGER", null),
+        ("Submissions", "HintPenalty", "INTEGER", null),
+        // Past memberships aren't recorded, so older submissions go to the current team if it was joined before them
+        ("Submissions", "TeamId", "TEXT", @"
+            UPDATE Submissions SET TeamId = (
+                SELECT m.TeamId FROM TeamMembers m
+                WHERE m.UserId = Submissions.UserId AND m.JoinedAt <= Submissions.SubmittedAt)")
+    };
+
+    // CREATE TABLE IF NOT EXISTS leaves existing tables alone, so changes to them are applied here
+    private async Task MigrateSchemaAsync(SqliteConnection connection)
+    {
+        foreach (var (table, column, definition, backfill) in AddedColumns)
+        {
+            var columns = await GetColumnsAsync(connection, table);
+            if (!columns.Contains(column))
+            {
+                _logger.LogInformation("Adding column {Column} to {Table}", column, table);
+
+                // Together, so a failed backfill doesn't leave the column added but never filled in
+                using var transaction = connection.BeginTransaction();
+                using var cmd = new SqliteCommand($"ALTER TABLE {table} ADD COLUMN {column} {definition}", connection, transaction);
+                await cmd.ExecuteNonQueryAsync();
+
+                if (backfill != null)
+                {
+                    using var backfillCmd = new SqliteCommand(backfill, connection, transaction);
+                    await backfillCmd.ExecuteNonQueryAsync();
+                }
+
+                transaction.Commit();
+            }
+        }
+
+        var hintUnlockColumns = await GetColumnsAsync(connection, "HintUnlocks");
+        if (!hintUnlockColumns.Contains("HintIndex"))
+        {
+            // The first version allowed one free hint per challenge, so its unlocks become hint 0 at no cost.
+            // The unique key changes too, which SQLite can only do by rebuilding the table
+            _logger.LogInformation("Migrating HintUnlocks to per-hint unlocks");
+
+            using var transaction = connection.BeginTransaction();
+            var commands = new[]
+            {
+                "ALTER TABLE HintUnlocks RENAME TO HintUnlocks_Old",
+                CreateHintUnlocksTable,
+                @"
+                    INSERT INTO HintUnlocks (Id, ChallengeId, UserId, HintIndex, Cost, UnlockedAt)
+                    SELECT Id, ChallengeId, UserId, 0, 0, UnlockedAt FROM HintUnlocks_Old",
+                "DROP TABLE HintUnlocks_Old"
+            };
+
+            foreach (var command in commands)
+            {
+                using var cmd = new SqliteCommand(command, connection, transaction);
+                await cmd.ExecuteNonQueryAsync();
+            }
+
+            transaction.Commit();
+        }
+    }
+
+    private static async Task<HashSet<string>> GetColumnsAsync(SqliteConnection connection, string table)
+    {
+        var columns = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+        using var cmd = new SqliteCommand($"PRAGMA table_info({table})", connection);
+        using var reader = await cmd.ExecuteReaderAsync();
+        while (await reader.ReadAsync())
+        {
+            columns.Add(reader.GetString(reader.GetOrdinal("name")));
+        }
+
+        return columns;
     }
 
     private async Task CreateIndexesAsync(SqliteConnection connection)
@@ -148,8 +264,13 @@ public class DBService
             "CREATE INDEX IF NOT EXISTS IX_LogEntries_Timestamp ON LogEntries(Timestamp)",
             "CREATE INDEX IF NOT EXISTS IX_LogEntries_UserId ON LogEntries(UserId)",
             "CREATE INDEX IF NOT EXISTS IX_LogEntries_EventType ON LogEntries(EventType)",
+            "CREATE INDEX IF NOT EXISTS IX_LogEntries_Level ON LogEntries(Level)",
+            "CREATE INDEX IF NOT EXISTS IX_LogEntries_ChallengeId ON LogEntries(ChallengeId)",
+            "CREATE INDEX IF NOT EXISTS IX_LogEntries_IpAddress ON LogEntries(IpAddress)",
             "CREATE INDEX IF NOT EXISTS IX_ChallengeStarts_ChallengeId ON ChallengeStarts(ChallengeId)",
-            "CREATE INDEX IF NOT EXISTS IX_ChallengeStarts_UserId ON ChallengeStarts(UserId)"
+            "CREATE INDEX IF NOT EXISTS IX_ChallengeStarts_UserId ON ChallengeStarts(UserId)",
+            "CREATE INDEX IF NOT EXISTS IX_HintUnlocks_UserId ON HintUnlocks(UserId)",
+            "CREATE INDEX IF NOT EXISTS IX_TeamMembers_TeamId ON TeamMembers(TeamId)"
         };
 
         foreach (var index in indexes)
@@ -308,6 +429,80 @@ public class DBService
         return null;
     }
 
+    // Inserts or refreshes a challenge loaded from disk; SolveCount and CreatedAt are owned by the database
+    public async Task UpsertChallengeAsync(Challenge challenge)
+    {
+        using var connection = new SqliteConnection(_connectionString);
+        await connection.OpenAsync();
+
+        var command = @"
+            INSERT INTO Challenges (Id, Title, Description, Category, Path, Flag, FlagType, Difficulty, Points, RequiresContainer, ContainerImage, ContainerPort, Tags, Author, CreatedAt, UpdatedAt, IsActive, Hint, Files, Metadata)
+            VALUES (@Id, @Title, @Description, @Category, @Path, @Flag, @FlagType, @Difficulty, @Points, @RequiresContainer, @ContainerImage, @ContainerPort, @Tags, @Author, @CreatedAt, @UpdatedAt, @IsActive, @Hint, @Files, @Metadata)
+            ON CONFLICT(Id) DO UPDATE SET
+                Title = excluded.Title,
+                Description = excluded.Description,
+                Category = excluded.Category,
+                Path = excluded.Path,
+                Flag = excluded.Flag,
+                FlagType = excluded.FlagType,
+                Difficulty = excluded.Difficulty,
+                Points = excluded.Points,
+                RequiresContainer = excluded.RequiresContainer,
+                ContainerImage = excluded.ContainerImage,
+                ContainerPort = excluded.ContainerPort,
+                Tags = excluded.Tags,
+                Author = excluded.Author,
+                UpdatedAt = excluded.UpdatedAt,
+                IsActive = excluded.IsActive,
+                Hint = excluded.Hint,
+                Files = excluded.Files,
+                Metadata = excluded.Metadata";
+
+        using var cmd = new SqliteCommand(command, connection);
+        cmd.Parameters.AddWithValue("@Id", challenge.Id);
+        cmd.Parameters.AddWithValue("@Title", challenge.Title);
+        cmd.Parameters.AddWithValue("@Description", challenge.Description);
+        cmd.Parameters.AddWithValue("@Category", challenge.Category);
+        cmd.Parameters.AddWithValue("@Path", challenge.Path);
+        cmd.Parameters.AddWithValue("@Flag", challenge.Flag);
+        cmd.Parameters.AddWithValue("@FlagType", challenge.FlagType.ToString());
+        cmd.Parameters.AddWithValue("@Difficulty", challenge.Difficulty.ToString());
+        cmd.Parameters.AddWithValue("@Points", challenge.Points);
+        cmd.Parameters.AddWithValue("@RequiresContainer", challenge.RequiresContainer ? 1 : 0);
+        cmd.Parameters.AddWithValue("@ContainerImage", challenge.ContainerImage ?? (object)DBNull.Value);
+        cmd.Parameters.AddWithValue("@ContainerPort", challenge.ContainerPort ?? (object)DBNull.Value);
+        cmd.Parameters.AddWithValue("@Tags", System.Text.Json.JsonSerializer.Serialize(challenge.Tags));
+        cmd.Parameters.AddWithValue("@Author", challenge.Author ?? (object)DBNull.Value);
+        cmd.Parameters.AddWithValue("@CreatedAt", challenge.CreatedAt.ToString("O"));
+        cmd.Parameters.AddWithValue("@UpdatedAt", DateTime.UtcNow.ToString("O"));
+        cmd.Parameters.AddWithValue("@IsActive", challenge.IsActive ? 1 : 0);
+        cmd.Parameters.AddWithValue("@Hint", challenge.Hint ?? (object)DBNull.Value);
+        cmd.Parameters.AddWithValue("@Files", System.Text.Json.JsonSerializer.Serialize(challenge.Files));
+        cmd.Parameters.AddWithValue("@Metadata", System.Text.Json.JsonSerializer.Serialize(challenge.Metadata));
+
+        await cmd.ExecuteNonQueryAsync();
+    }
+
+    // Marks every challenge row not in loadedIds inactive, e.g. after its folder was deleted
+    public async Task DeactivateChallengesExceptAsync(IReadOnlyList<string> loadedIds)
+    {
+        using var connection = new SqliteConnection(_connectionString);
+        await connection.OpenAsync();
+
+        var parameters = loadedIds.Select((_, i) => $"@Id{i}").ToList();
+        var command = parameters.Count == 0
+            ? "UPDATE Challenges SET IsActive = 0 WHERE IsActive = 1"
+            : $"UPDATE Challenges SET IsActive = 0 WHERE IsActive = 1 AND Id NOT IN ({string.Join(", ", parameters)})";
+
+        using var cmd = new SqliteCommand(command, connection);
+        for (var i = 0; i < loadedIds.Count; i++)
+        {
+            cmd.Parameters.AddWithValue(parameters[i], loadedIds[i]);
+        }
+
+        await cmd.ExecuteNonQueryAsync();
+    }
+
     // Submission operations
     public async Task<Submission?> GetSubmissionAsync(string challengeId, string userId)
     {
@@ -349,6 +544,43 @@ public class DBService
         return submissions;
     }
 
+    // Every submission for a challenge, newest first; only the given user's when userId is set
+    public async Task<List<Submission>> GetChallengeSubmissionsAsync(string challengeId, string? userId = null)
+    {
+        using var connection = new SqliteConnection(_connectionString);
+        await connection.OpenAsync();
+
+        var command = @"
+            SELECT s.*, u.Username
+            FROM Submissions s
+            LEFT JOIN Users u ON u.Id = s.UserId
+            WHERE s.ChallengeId = @ChallengeId";
+        if (userId != null)
+        {
+            command += " AND s.UserId = @UserId";
+        }
+        command += " ORDER BY s.SubmittedAt DESC";
+
+        using var cmd = new SqliteCommand(command, connection);
+        cmd.Parameters.AddWithValue("@ChallengeId", challengeId);
+        if (userId != null)
+        {
+            cmd.Parameters.AddWithValue("@UserId", userId);
+        }
+
+        var submissions = new List<Submission>();
+        using var reader = await cmd.ExecuteReaderAsync();
+        var usernameOrdinal = reader.GetOrdinal("Username");
+        while (await reader.ReadAsync())
+        {
+            var submission = MapSubmissionFromReader(reader);
+            submission.Username = reader.IsDBNull(usernameOrdinal) ? null : reader.GetString(usernameOrdinal);
+            submissions.Add(submission);
+        }
+
+        return submissions;
+    }
+
     public async Task<IEnumerable<Submission>> GetCorrectSubmissionsBeforeAsync(string challengeId, DateTime before)
     {
         using var connection = new SqliteConnection(_connectionString);
@@ -369,14 +601,15 @@ public class DBService
         return submissions;
     }
 
+    // The submission is credited to the team the user is in at that moment; it stays with that team if they leave
     public async Task RecordSubmissionAsync(Submission submission)
     {
         using var connection = new SqliteConnection(_connectionString);
         await connection.OpenAsync();
 
         var command = @"
-            INSERT INTO Submissions (Id, ChallengeId, UserId, SubmittedFlag, IsCorrect, SubmittedAt, IpAddress, UserAgent, PointsAwarded, PointsAwardedAt, ErrorMessage, Metadata)
-            VALUES (@Id, @ChallengeId, @UserId, @SubmittedFlag, @IsCorrect, @SubmittedAt, @IpAddress, @UserAgent, @PointsAwarded, @PointsAwardedAt, @ErrorMessage, @Metadata)";
+            INSERT INTO Submissions (Id, ChallengeId, UserId, TeamId, SubmittedFlag, IsCorrect, SubmittedAt, IpAddress, UserAgent, PointsAwarded, PointsAwardedAt, ErrorMessage, Metadata)
+            VALUES (@Id, @ChallengeId, @UserId, (SELECT TeamId FROM TeamMembers WHERE UserId = @UserId), @SubmittedFlag, @IsCorrect, @SubmittedAt, @IpAddress, @UserAgent, @PointsAwarded, @PointsAwardedAt, @ErrorMessage, @Metadata)";
 
         using var cmd = new SqliteCommand(command, connection);
         cmd.Parameters.AddWithValue("@Id", submission.Id);
@@ -444,6 +677,219 @@ public class DBService
         return logs;
     }
 
+    public async Task<LogPage> QueryLogsAsync(LogQuery query)
+    {
+        using var connection = new SqliteConnection(_connectionString);
+        await connection.OpenAsync();
+
+        var parameters = new List<SqliteParameter>();
+        var where = BuildLogFilter(query, parameters);
+
+        var countCommand = $"SELECT COUNT(*) FROM LogEntries l LEFT JOIN Users u ON u.Id = l.UserId{where}";
+        using var countCmd = new SqliteCommand(countCommand, connection);
+        countCmd.Parameters.AddRange(parameters.Select(p => new SqliteParameter(p.ParameterName, p.Value)).ToArray());
+        var totalCount = Convert.ToInt32(await countCmd.ExecuteScalarAsync());
+
+        var command = $@"
+            SELECT l.*, u.Username
+            FROM LogEntries l
+            LEFT JOIN Users u ON u.Id = l.UserId{where}
+            ORDER BY l.Timestamp DESC
+            LIMIT @Limit OFFSET @Offset";
+        parameters.Add(new SqliteParameter("@Limit", query.PageSize));
+        parameters.Add(new SqliteParameter("@Offset", (query.Page - 1) * query.PageSize));
+
+        using var cmd = new SqliteCommand(command, connection);
+        cmd.Parameters.AddRange(parameters.ToArray());
+
+        var logs = new List<LogEntry>();
+        using var reader = await cmd.ExecuteReaderAsync();
+        while (await reader.ReadAsync())
+        {
+            logs.Add(MapLogEntryFromReader(reader));
+        }
+
+        return new LogPage
+        {
+            Items = logs,
+            TotalCount = totalCount,
+            Page = query.Page,
+            PageSize = query.PageSize
+        };
+    }
+
+    // Reads every matching log entry without paging, newest first, for exports
+    public async IAsyncEnumerable<LogEntry> ReadLogsAsync(LogQuery query, [EnumeratorCancellation] CancellationToken cancellationToken = default)
+    {
+        using var connection = new SqliteConnection(_connectionString);
+        await connection.OpenAsync(cancellationToken);
+
+        var parameters = new List<SqliteParameter>();
+        var where = BuildLogFilter(query, parameters);
+        var command = $@"
+            SELECT l.*, u.Username
+            FROM LogEntries l
+            LEFT JOIN Users u ON u.Id = l.UserId{where}
+            ORDER BY l.Timestamp DESC";
+
+        using var cmd = new SqliteCommand(command, connection);
+        cmd.Parameters.AddRange(parameters.ToArray());
+
+        using var reader = await cmd.ExecuteReaderAsync(cancellationToken);
+        while (await reader.ReadAsync(cancellationToken))
+        {
+            yield return MapLogEntryFromReader(reader);
+        }
+    }
+
+    public async Task<LogStatistics> GetLogStatisticsAsync(DateTime? from, DateTime? to, int bucketSeconds, int topCount = 10)
+    {
+        using var connection = new SqliteConnection(_connectionString);
+        await connection.OpenAsync();
+
+        var filter = new LogQuery { From = from, To = to };
+        var statistics = new LogStatistics { BucketSeconds = bucketSeconds };
+
+        // Runs an aggregate over the filtered logs. The suffix goes right after the WHERE clause,
+        // so it can add conditions before its GROUP BY; filter parameters are rebuilt per command.
+        async Task ReadAsync(string select, string suffix, Action<SqliteDataReader> read, params SqliteParameter[] extra)
+        {
+            var parameters = new List<SqliteParameter>();
+            var where = BuildLogFilter(filter, parameters);
+            using var cmd = new SqliteCommand($"{select} FROM LogEntries l LEFT JOIN Users u ON u.Id = l.UserId{where} {suffix}", connection);
+            cmd.Parameters.AddRange(parameters.ToArray());
+            cmd.Parameters.AddRange(extra);
+            using var reader = await cmd.ExecuteReaderAsync();
+            while (await reader.ReadAsync())
+            {
+                read(reader);
+            }
+        }
+
+        await ReadAsync("SELECT l.Level, COUNT(*) AS Count", "GROUP BY l.Level", reader =>
+        {
+            var level = Enum.Parse<Models.LogLevel>(reader.GetString(0));
+            statistics.LogsByLevel[level] = reader.GetInt32(1);
+            statistics.TotalLogs += reader.GetInt32(1);
+        });
+
+        await ReadAsync("SELECT l.EventType, COUNT(*) AS Count", "GROUP BY l.EventType ORDER BY Count DESC", reader =>
+        {
+            statistics.LogsByEventType[reader.GetString(0)] = reader.GetInt32(1);
+        });
+
+        await ReadAsync("SELECT l.UserId, MAX(u.Username), COUNT(*) AS Count", "GROUP BY l.UserId ORDER BY Count DESC", reader =>
+        {
+            var count = reader.GetInt32(2);
+            statistics.LogsByUser[reader.GetString(0)] = count;
+            if (statistics.TopUsers.Count < topCount)
+            {
+                statistics.TopUsers.Add(new LogActivityCount
+                {
+                    Id = reader.GetString(0),
+                    Label = reader.IsDBNull(1) ? reader.GetString(0) : reader.GetString(1),
+                    Count = count
+                });
+            }
+        });
+
+        await ReadAsync("SELECT l.ChallengeId, COUNT(*) AS Count",
+            "AND l.ChallengeId IS NOT NULL GROUP BY l.ChallengeId ORDER BY Count DESC LIMIT @Top", reader =>
+        {
+            statistics.TopChallenges.Add(new LogActivityCount
+            {
+                Id = reader.GetString(0),
+                Label = reader.GetString(0),
+                Count = reader.GetInt32(1)
+            });
+        }, new SqliteParameter("@Top", topCount));
+
+        // Bucket on unix time; SQLite's strftime understands the ISO timestamps we store
+        await ReadAsync(
+            "SELECT (CAST(strftime('%s', l.Timestamp) AS INTEGER) / @Bucket) * @Bucket AS BucketStart, COUNT(*) AS Count, " +
+            "SUM(CASE WHEN l.Level IN ('Error', 'Critical') THEN 1 ELSE 0 END) AS ErrorCount",
+            "GROUP BY BucketStart ORDER BY BucketStart", reader =>
+        {
+            statistics.Timeline.Add(new LogTimelineBucket
+            {
+                Start = DateTimeOffset.FromUnixTimeSeconds(reader.GetInt64(0)).UtcDateTime,
+                Count = reader.GetInt32(1),
+                ErrorCount = reader.GetInt32(2)
+            });
+        }, new SqliteParameter("@Bucket", bucketSeconds));
+
+        return statistics;
+    }
+
+    // Builds the WHERE clause for log queries; expects LogEntries aliased as l and Users as u
+    private static string BuildLogFilter(LogQuery query, List<SqliteParameter> parameters)
+    {
+        var where = " WHERE 1=1";
+
+        if (query.From.HasValue)
+        {
+            where += " AND l.Timestamp >= @From";
+            parameters.Add(new SqliteParameter("@From", query.From.Value.ToUniversalTime().ToString("O")));
+        }
+
+        if (query.To.HasValue)
+        {
+            where += " AND l.Timestamp <= @To";
+            parameters.Add(new SqliteParameter("@To", query.To.Value.ToUniversalTime().ToString("O")));
+        }
+
+        if (!string.IsNullOrEmpty(query.UserId))
+        {
+            where += " AND l.UserId = @UserId";
+            parameters.Add(new SqliteParameter("@UserId", query.UserId));
+        }
+
+        // Free-text user filter: exact user id or part of the username
+        if (!string.IsNullOrEmpty(query.User))
+        {
+            where += " AND (l.UserId = @User OR u.Username LIKE @UserPattern ESCAPE '\\')";
+            parameters.Add(new SqliteParameter("@User", query.User));
+            parameters.Add(new SqliteParameter("@UserPattern", $"%{EscapeLike(query.User)}%"));
+        }
+
+        if (!string.IsNullOrEmpty(query.EventType))
+        {
+            where += " AND l.EventType = @EventType";
+            parameters.Add(new SqliteParameter("@EventType", query.EventType));
+        }
+
+        if (query.Level.HasValue)
+        {
+            where += " AND l.Level = @Level";
+            parameters.Add(new SqliteParameter("@Level", query.Level.Value.ToString()));
+        }
+
+        if (!string.IsNullOrEmpty(query.ChallengeId))
+        {
+            where += " AND l.ChallengeId = @ChallengeId";
+            parameters.Add(new SqliteParameter("@ChallengeId", query.ChallengeId));
+        }
+
+        if (!string.IsNullOrEmpty(query.IpAddress))
+        {
+            where += " AND l.IpAddress = @IpAddress";
+            parameters.Add(new SqliteParameter("@IpAddress", query.IpAddress));
+        }
+
+        if (!string.IsNullOrEmpty(query.Search))
+        {
+            where += " AND (l.Details LIKE @Search ESCAPE '\\' OR l.EventType LIKE @Search ESCAPE '\\')";
+            parameters.Add(new SqliteParameter("@Search", $"%{EscapeLike(query.Search)}%"));
+        }
+
+        return where;
+    }
+
+    private static string EscapeLike(string value)
+    {
+        return value.Replace("\\", "\\\\").Replace("%", "\\%").Replace("_", "\\_");
+    }
+
     public async Task BulkInsertLogsAsync(IEnumerable<LogEntry> logs)
     {
         using var connection = new SqliteConnection(_connectionString);
@@ -540,8 +986,307 @@ public class DBService
         await cmd.ExecuteNonQueryAsync();
     }
 
+    // When the user first started the challenge, for the time bonus; null if they never pressed start
+    public async Task<DateTime?> GetChallengeStartTimeAsync(string challengeId, string userId)
+    {
+        using var connection = new SqliteConnection(_connectionString);
+        await connection.OpenAsync();
+
+        var command = "SELECT MIN(StartedAt) FROM ChallengeStarts WHERE ChallengeId = @ChallengeId AND UserId = @UserId";
+        using var cmd = new SqliteCommand(command, connection);
+        cmd.Parameters.AddWithValue("@ChallengeId", challengeId);
+        cmd.Parameters.AddWithValue("@UserId", userId);
+
+        var result = await cmd.ExecuteScalarAsync();
+        return result is string startedAt ? DateTime.Parse(startedAt).ToUniversalTime() : null;
+    }
+
+    // Hint operations
+    // Records the first time a user reveals a hint, with the cost at that time; revealing it again changes nothing
+    public async Task RecordHintUnlockAsync(string challengeId, string userId, int hintIndex, int cost)
+    {
+        using var connection = new SqliteConnection(_connectionString);
+        await connection.OpenAsync();
+
+        var command = @"
+            INSERT OR IGNORE INTO HintUnlocks (Id, ChallengeId, UserId, HintIndex, Cost, UnlockedAt)
+            VALUES (@Id, @ChallengeId, @UserId, @HintIndex, @Cost, @UnlockedAt)";
+
+        using var cmd = new SqliteCommand(command, connection);
+        cmd.Parameters.AddWithValue("@Id", Guid.NewGuid().ToString());
+        cmd.Parameters.AddWithValue("@ChallengeId", challengeId);
+        cmd.Parameters.AddWithValue("@UserId", userId);
+        cmd.Parameters.AddWithValue("@HintIndex", hintIndex);
+        cmd.Parameters.AddWithValue("@Cost", cost);
+        cmd.Parameters.AddWithValue("@UnlockedAt", DateTime.UtcNow.ToString("O"));
+
+        await cmd.ExecuteNonQueryAsync();
+    }
+
+    public async Task<List<HintUnlock>> GetHintUnlocksAsync(string userId, string? challengeId = null)
+    {
+        using var connection = new SqliteConnection(_connectionString);
+        await connection.OpenAsync();
+
+        var command = "SELECT ChallengeId, HintIndex, Cost, UnlockedAt FROM HintUnlocks WHERE UserId = @UserId";
+        if (challengeId != null)
+        {
+            command += " AND ChallengeId = @ChallengeId";
+        }
+        command += " ORDER BY ChallengeId, HintIndex";
+
+        using var cmd = new SqliteCommand(command, connection);
+        cmd.Parameters.AddWithValue("@UserId", userId);
+        if (challengeId != null)
+        {
+            cmd.Parameters.AddWithValue("@ChallengeId", challengeId);
+        }
+
+        var unlocks = new List<HintUnlock>();
+        using var reader = await cmd.ExecuteReaderAsync();
+        while (await reader.ReadAsync())
+        {
+            unlocks.Add(new HintUnlock
+            {
+                ChallengeId = reader.GetString(0),
+                HintIndex = reader.GetInt32(1),
+                Cost = reader.GetInt32(2),
+                UnlockedAt = DateTime.Parse(reader.GetString(3)).ToUniversalTime()
+            });
+        }
+
+        return unlocks;
+    }
+
+    // Team operations
+    // A player is in at most one team: TeamMembers is keyed by user
+    public async Task CreateTeamAsync(Team team)
+    {
+        using var connection = new SqliteConnection(_connectionString);
+        await connection.OpenAsync();
+
+        using var transaction = connection.BeginTransaction();
+
+        try
+        {
+            var insertTeamCommand = @"
+                INSERT INTO Teams (Id, Name, JoinCode, CaptainId, CreatedAt)
+                VALUES (@Id, @Name, @JoinCode, @CaptainId, @CreatedAt)";
+
+            using var insertTeamCmd = new SqliteCommand(insertTeamCommand, connection, transaction);
+            insertTeamCmd.Parameters.AddWithValue("@Id", team.Id);
+            insertTeamCmd.Parameters.AddWithValue("@Name", team.Name);
+            insertTeamCmd.Parameters.AddWithValue("@JoinCode", team.JoinCode);
+            insertTeamCmd.Parameters.AddWithValue("@CaptainId", team.CaptainId);
+            insertTeamCmd.Parameters.AddWithValue("@CreatedAt", team.CreatedAt.ToString("O"));
+            await insertTeamCmd.ExecuteNonQueryAsync();
+
+            // The captain is the first member
+            var insertMemberCommand = "INSERT INTO TeamMembers (UserId, TeamId, JoinedAt) VALUES (@UserId, @TeamId, @JoinedAt)";
+            using var insertMemberCmd = new SqliteCommand(insertMemberCommand, connection, transaction);
+            insertMemberCmd.Parameters.AddWithValue("@UserId", team.CaptainId);
+            insertMemberCmd.Parameters.AddWithValue("@TeamId", team.Id);
+            insertMemberCmd.Parameters.AddWithValue("@JoinedAt", team.CreatedAt.ToString("O"));
+            await insertMemberCmd.ExecuteNonQueryAsync();
+
+            transaction.Commit();
+        }
+        catch
+        {
+            transaction.Rollback();
+            throw;
+        }
+    }
+
+    public async Task<Team?> GetTeamByIdAsync(string teamId)
+    {
+        return await GetSingleTeamAsync("SELECT * FROM Teams WHERE Id = @Value", teamId);
+    }
+
+    public async Task<Team?> GetTeamByNameAsync(string name)
+    {
+        return await GetSingleTeamAsync("SELECT * FROM Teams WHERE Name = @Value", name);
+    }
+
+    public async Task<Team?> GetTeamByJoinCodeAsync(string joinCode)
+    {
+        return await GetSingleTeamAsync("SELECT * FROM Teams WHERE JoinCode = @Value", joinCode);
+    }
+
+    public async Task<Team?> GetTeamForUserAsync(string userId)
+    {
+        return await GetSingleTeamAsync(
+            "SELECT t.* FROM Teams t JOIN TeamMembers m ON m.TeamId = t.Id WHERE m.UserId = @Value", userId);
+    }
+
+    private async Task<Team?> GetSingleTeamAsync(string command, string value)
+    {
+        using var connection = new SqliteConnection(_connectionString);
+        await connection.OpenAsync();
+
+        using var cmd = new SqliteCommand(command, connection);
+        cmd.Parameters.AddWithValue("@Value", value);
+
+        using var reader = await cmd.ExecuteReaderAsync();
+        if (await reader.ReadAsync())
+        {
+            return MapTeamFromReader(reader);
+        }
+
+        return null;
+    }
+
+    public async Task<IEnumerable<Team>> GetAllTeamsAsync()
+    {
+        using var connection = new SqliteConnection(_connectionString);
+        await connection.OpenAsync();
+
+        var command = "SELECT * FROM Teams ORDER BY Name";
+        using var cmd = new SqliteCommand(command, connection);
+
+        var teams = new List<Team>();
+        using var reader = await cmd.ExecuteReaderAsync();
+        while (await reader.ReadAsync())
+        {
+            teams.Add(MapTeamFromReader(reader));
+        }
+
+        return teams;
+    }
+
+    // Members of one team, or of every team when teamId is null; oldest members first
+    public async Task<List<TeamMember>> GetTeamMembersAsync(string? teamId = null)
+    {
+        using var connection = new SqliteConnection(_connectionString);
+        await connection.OpenAsync();
+
+        var command = @"
+            SELECT m.TeamId, m.UserId, u.Username, m.JoinedAt
+            FROM TeamMembers m
+            JOIN Users u ON u.Id = m.UserId";
+        if (teamId != null)
+        {
+            command += " WHERE m.TeamId = @TeamId";
+        }
+        command += " ORDER BY m.JoinedAt";
+
+        using var cmd = new SqliteCommand(command, connection);
+        if (teamId != null)
+        {
+            cmd.Parameters.AddWithValue("@TeamId", teamId);
+        }
+
+        var members = new List<TeamMember>();
+        using var reader = await cmd.ExecuteReaderAsync();
+        while (await reader.ReadAsync())
+        {
+            members.Add(new TeamMember
+            {
+                TeamId = reader.GetString(0),
+                UserId = reader.GetString(1),
+                Username = reader.GetString(2),
+                JoinedAt = DateTime.Parse(reader.GetString(3)).ToUniversalTime()
+            });
+        }
+
+        return members;
+    }
+
+    public async Task AddTeamMemberAsync(string teamId, string userId)
+    {
+        using var connection = new SqliteConnection(_connectionString);
+        await connection.OpenAsync();
+
+        var command = "INSERT INTO TeamMembers (UserId, TeamId, JoinedAt) VALUES (@UserId, @TeamId, @JoinedAt)";
+        using var cmd = new SqliteCommand(command, connection);
+        cmd.Parameters.AddWithValue("@UserId", userId);
+        cmd.Parameters.AddWithValue("@TeamId", teamId);
+        cmd.Parameters.AddWithValue("@JoinedAt", DateTime.UtcNow.ToString("O"));
+
+        await cmd.ExecuteNonQueryAsync();
+    }
+
+    public async Task RemoveTeamMemberAsync(string teamId, string userId)
+    {
+        using var connection = new SqliteConnection(_connectionString);
+        await connection.OpenAsync();
+
+        var command = "DELETE FROM TeamMembers WHERE TeamId = @TeamId AND UserId = @UserId";
+        using var cmd = new SqliteCommand(command, connection);
+        cmd.Parameters.AddWithValue("@TeamId", teamId);
+        cmd.Parameters.AddWithValue("@UserId", userId);
+
+        await cmd.ExecuteNonQueryAsync();
+    }
+
+    public async Task UpdateTeamAsync(Team team)
+    {
+        using var connection = new SqliteConnection(_connectionString);
+        await connection.OpenAsync();
+
+        var command = "UPDATE Teams SET Name = @Name, JoinCode = @JoinCode, CaptainId = @CaptainId WHERE Id = @Id";
+        using var cmd = new SqliteCommand(command, connection);
+        cmd.Parameters.AddWithValue("@Id", team.Id);
+        cmd.Parameters.AddWithValue("@Name", team.Name);
+        cmd.Parameters.AddWithValue("@JoinCode", team.JoinCode);
+        cmd.Parameters.AddWithValue("@CaptainId", team.CaptainId);
+
+        await cmd.ExecuteNonQueryAsync();
+    }
+
+    public async Task DeleteTeamAsync(string teamId)
+    {
+        using var connection = new SqliteConnection(_connectionString);
+        await connection.OpenAsync();
+
+        using var transaction = connection.BeginTransaction();
+
+        try
+        {
+            foreach (var command in new[] { "DELETE FROM TeamMembers WHERE TeamId = @TeamId", "DELETE FROM Teams WHERE Id = @TeamId" })
+            {
+                using var cmd = new SqliteCommand(command, connection, transaction);
+                cmd.Parameters.AddWithValue("@TeamId", teamId);
+                await cmd.ExecuteNonQueryAsync();
+            }
+
+            transaction.Commit();
+        }
+        catch
+        {
+            transaction.Rollback();
+            throw;
+        }
+    }
+
+    // Challenges solved by the user, or solved for their current team by whoever was on it at the time
+    public async Task<HashSet<string>> GetTeamSolvedChallengeIdsAsync(string userId)
+    {
+        using var connection = new SqliteConnection(_connectionString);
+        await connection.OpenAsync();
+
+        var command = @"
+            SELECT DISTINCT ChallengeId FROM Submissions
+            WHERE IsCorrect = 1 AND (
+                UserId = @UserId OR
+                TeamId = (SELECT TeamId FROM TeamMembers WHERE UserId = @UserId))";
+
+        using var cmd = new SqliteCommand(command, connection);
+        cmd.Parameters.AddWithValue("@UserId", userId);
+
+        var challengeIds = new HashSet<string>();
+        using var reader = await cmd.ExecuteReaderAsync();
+        while (await reader.ReadAsync())
+        {
+            challengeIds.Add(reader.GetString(0));
+        }
+
+        return challengeIds;
+    }
+
     // Points operations
-    public async Task AwardPointsAsync(string userId, string challengeId, int points)
+    // Records the award on the solving submission together with its parts, so it can be rescored later
+    public async Task AwardPointsAsync(string userId, string challengeId, ScoreBreakdown score)
     {
         using var connection = new SqliteConnection(_connectionString);
         await connection.OpenAsync();
@@ -558,7 +1303,7 @@ public class DBService
 
             using var updateUserCmd = new SqliteCommand(updateUserCommand, connection, transaction);
             updateUserCmd.Parameters.AddWithValue("@UserId", userId);
-            updateUserCmd.Parameters.AddWithValue("@Points", points);
+            updateUserCmd.Parameters.AddWithValue("@Points", score.Total);
             await updateUserCmd.ExecuteNonQueryAsync();
 
             // Update challenge solve count
@@ -574,15 +1319,21 @@ public class DBService
             // Update submission with points
             var updateSubmissionCommand = @"
                 UPDATE Submissions 
-                SET PointsAwarded = @Points, PointsAwardedAt = @PointsAwardedAt
-                WHERE ChallengeId = @ChallengeId AND UserId = @UserId AND IsCorrect = 1
-                ORDER BY SubmittedAt DESC LIMIT 1";
+                SET PointsAwarded = @Points, PointsAwardedAt = @PointsAwardedAt,
+                    TimeBonus = @TimeBonus, IsFirstBlood = @IsFirstBlood, HintPenalty = @HintPenalty
+                WHERE Id = (
+                    SELECT Id FROM Submissions
+                    WHERE ChallengeId = @ChallengeId AND UserId = @UserId AND IsCorrect = 1
+                    ORDER BY SubmittedAt DESC LIMIT 1)";
 
             using var updateSubmissionCmd = new SqliteCommand(updateSubmissionCommand, connection, transaction);
             updateSubmissionCmd.Parameters.AddWithValue("@ChallengeId", challengeId);
             updateSubmissionCmd.Parameters.AddWithValue("@UserId", userId);
-            updateSubmissionCmd.Parameters.AddWithValue("@Points", points);
+            updateSubmissionCmd.Parameters.AddWithValue("@Points", score.Total);
             updateSubmissionCmd.Parameters.AddWithValue("@PointsAwardedAt", DateTime.UtcNow.ToString("O"));
+            updateSubmissionCmd.Parameters.AddWithValue("@TimeBonus", score.TimeBonus);
+            updateSubmissionCmd.Parameters.AddWithValue("@IsFirstBlood", score.IsFirstBlood ? 1 : 0);
+            updateSubmissionCmd.Parameters.AddWithValue("@HintPenalty", score.HintPenalty);
             await updateSubmissionCmd.ExecuteNonQueryAsync();
 
             transaction.Commit();
@@ -594,63 +1345,120 @@ public class DBService
         }
     }
 
-    // Additional methods for ScoreManager
-    public async Task<IEnumerable<SolvedChallenge>> GetSolvedChallengesAsync(string userId)
+    // Recomputes every award for a challenge from its base value at the current solve count, keeping user
+    // totals in step. The count and the updates share one transaction, which SQLite runs one at a time,
+    // so the last of several concurrent solves always rescores with all of them counted.
+    // Awards recorded before their parts were stored are left as they are. Returns the solve count used.
+    public async Task<int> RescoreChallengeAsync(string challengeId, Func<int, int> baseValueForSolveCount)
     {
         using var connection = new SqliteConnection(_connectionString);
         await connection.OpenAsync();
 
-        var command = @"
-            SELECT s.ChallengeId, s.PointsAwarded, s.SubmittedAt as SolvedAt, cs.StartedAt
-            FROM Submissions s
-            LEFT JOIN ChallengeStarts cs ON s.ChallengeId = cs.ChallengeId AND s.UserId = cs.UserId
-            WHERE s.UserId = @UserId AND s.IsCorrect = 1
-            ORDER BY s.SubmittedAt DESC";
+        using var transaction = connection.BeginTransaction();
+
+        try
+        {
+            var countCommand = "SELECT COUNT(DISTINCT UserId) FROM Submissions WHERE ChallengeId = @ChallengeId AND IsCorrect = 1";
+            using var countCmd = new SqliteCommand(countCommand, connection, transaction);
+            countCmd.Parameters.AddWithValue("@ChallengeId", challengeId);
+            var solveCount = Convert.ToInt32(await countCmd.ExecuteScalarAsync());
+            var baseValue = baseValueForSolveCount(solveCount);
+
+            var selectCommand = @"
+                SELECT Id, UserId, PointsAwarded, TimeBonus, IsFirstBlood, HintPenalty FROM Submissions
+                WHERE ChallengeId = @ChallengeId AND IsCorrect = 1 AND PointsAwarded IS NOT NULL AND IsFirstBlood IS NOT NULL";
+            using var selectCmd = new SqliteCommand(selectCommand, connection, transaction);
+            selectCmd.Parameters.AddWithValue("@ChallengeId", challengeId);
+
+            var changes = new List<(string SubmissionId, string UserId, int Points, int Delta)>();
+            using (var reader = await selectCmd.ExecuteReaderAsync())
+            {
+                while (await reader.ReadAsync())
+                {
+                    var awarded = reader.GetInt32(2);
+                    var points = ScoreManager.GetTotal(baseValue,
+                        reader.IsDBNull(3) ? 0 : reader.GetInt32(3),
+                        reader.GetInt32(4) == 1,
+                        reader.IsDBNull(5) ? 0 : reader.GetInt32(5));
+                    if (points != awarded)
+                    {
+                        changes.Add((reader.GetString(0), reader.GetString(1), points, points - awarded));
+                    }
+                }
+            }
+
+            foreach (var change in changes)
+            {
+                using var updateSubmissionCmd = new SqliteCommand("UPDATE Submissions SET PointsAwarded = @Points WHERE Id = @Id", connection, transaction);
+                updateSubmissionCmd.Parameters.AddWithValue("@Id", change.SubmissionId);
+                updateSubmissionCmd.Parameters.AddWithValue("@Points", change.Points);
+                await updateSubmissionCmd.ExecuteNonQueryAsync();
+
+                using var updateUserCmd = new SqliteCommand("UPDATE Users SET TotalPoints = TotalPoints + @Delta WHERE Id = @UserId", connection, transaction);
+                updateUserCmd.Parameters.AddWithValue("@UserId", change.UserId);
+                updateUserCmd.Parameters.AddWithValue("@Delta", change.Delta);
+                await updateUserCmd.ExecuteNonQueryAsync();
+            }
+
+            transaction.Commit();
+            return solveCount;
+        }
+        catch
+        {
+            transaction.Rollback();
+            throw;
+        }
+    }
+
+    // Distinct solvers per challenge, counting only solves before "until" when given; challenges nobody solved are absent
+    public async Task<Dictionary<string, int>> GetSolveCountsAsync(DateTime? until = null)
+    {
+        using var connection = new SqliteConnection(_connectionString);
+        await connection.OpenAsync();
+
+        var command = "SELECT ChallengeId, COUNT(DISTINCT UserId) FROM Submissions WHERE IsCorrect = 1";
+        if (until.HasValue)
+        {
+            command += " AND SubmittedAt < @Until";
+        }
+        command += " GROUP BY ChallengeId";
 
         using var cmd = new SqliteCommand(command, connection);
-        cmd.Parameters.AddWithValue("@UserId", userId);
+        if (until.HasValue)
+        {
+            cmd.Parameters.AddWithValue("@Until", until.Value.ToUniversalTime().ToString("O"));
+        }
 
-        var solvedChallenges = new List<SolvedChallenge>();
+        var counts = new Dictionary<string, int>();
         using var reader = await cmd.ExecuteReaderAsync();
         while (await reader.ReadAsync())
         {
-            solvedChallenges.Add(new SolvedChallenge
-            {
-                ChallengeId = reader.GetString(reader.GetOrdinal("ChallengeId")),
-                Points = reader.GetInt32(reader.GetOrdinal("PointsAwarded")),
-                SolvedAt = DateTime.Parse(reader.GetString(reader.GetOrdinal("SolvedAt"))),
-                StartedAt = reader.IsDBNull(reader.GetOrdinal("StartedAt")) ? null : DateTime.Parse(reader.GetString(reader.GetOrdinal("StartedAt"))),
-                Category = reader.IsDBNull(reader.GetOrdinal("Category")) ? null : reader.GetString(reader.GetOrdinal("Category"))
-            });
+            counts[reader.GetString(0)] = reader.GetInt32(1);
         }
 
-        return solvedChallenges;
+        return counts;
+    }
+
+    // Additional methods for ScoreManager
+    public async Task<IEnumerable<SolvedChallenge>> GetSolvedChallengesAsync(string userId)
+    {
+        return await GetSolvedChallengesByCategoryAsync(userId, null);
     }
 
+    // One row per solved challenge (its first correct submission), optionally limited to a category
     public async Task<IEnumerable<SolvedChallenge>> GetSolvedChallengesByCategoryAsync(string userId, string? category)
     {
         using var connection = new SqliteConnection(_connectionString);
         await connection.OpenAsync();
 
-        var command = @"
-            SELECT 
-                s.ChallengeId,
-                c.Points,
-                s.SubmittedAt as SolvedAt,
-                cs.StartedAt,
-                c.Category
-            FROM Submissions s
-            JOIN Challenges c ON s.ChallengeId = c.Id
-            LEFT JOIN ChallengeStarts cs ON s.ChallengeId = cs.ChallengeId AND s.UserId = cs.UserId
-            WHERE s.UserId = @UserId 
-            AND s.IsCorrect = 1";
+        var command = SolvedChallengesQuery + " AND s.UserId = @UserId";
 
         if (!string.IsNullOrEmpty(category))
         {
-            command += " AND c.Category = @Category";
+            command += " AND c.Category = @Category COLLATE NOCASE";
         }
 
-        command += " ORDER BY s.SubmittedAt DESC";
+        command += " GROUP BY s.ChallengeId ORDER BY SolvedAt DESC";
 
         using var cmd = new SqliteCommand(command, connection);
         cmd.Parameters.AddWithValue("@UserId", userId);
@@ -665,51 +1473,82 @@ public class DBService
         
         while (await reader.ReadAsync())
         {
-            solvedChallenges.Add(new SolvedChallenge
-            {
-                ChallengeId = reader.GetString(reader.GetOrdinal("ChallengeId")),
-                Points = reader.GetInt32(reader.GetOrdinal("Points")),
-                SolvedAt = DateTime.Parse(reader.GetString(reader.GetOrdinal("SolvedAt"))),
-                StartedAt = reader.IsDBNull(reader.GetOrdinal("StartedAt")) ? null : DateTime.Parse(reader.GetString(reader.GetOrdinal("StartedAt"))),
-                Category = reader.IsDBNull(reader.GetOrdinal("Category")) ? null : reader.GetString(reader.GetOrdinal("Category"))
-            });
+            solvedChallenges.Add(MapSolvedChallengeFromReader(reader));
         }
 
         return solvedChallenges;
     }
 
-    public async Task<IEnumerable<object>> GetScoreboardAsync()
+    // The same rows for every user at once, keyed by user id, so rankings don't query per user
+    public async Task<Dictionary<string, List<SolvedChallenge>>> GetSolvedChallengesByUserAsync()
     {
         using var connection = new SqliteConnection(_connectionString);
         await connection.OpenAsync();
 
-        var command = @"
+        var command = SolvedChallengesQuery + " GROUP BY s.UserId, s.ChallengeId ORDER BY SolvedAt DESC";
+        using var cmd = new SqliteCommand(command, connection);
+
+        var solvedByUser = new Dictionary<string, List<SolvedChallenge>>();
+        using var reader = await cmd.ExecuteReaderAsync();
+        while (await reader.ReadAsync())
+        {
+            var userId = reader.GetString(reader.GetOrdinal("UserId"));
+            if (!solvedByUser.TryGetValue(userId, out var solved))
+            {
+                solvedByUser[userId] = solved = new List<SolvedChallenge>();
+            }
+            solved.Add(MapSolvedChallengeFromReader(reader));
+        }
+
+        return solvedByUser;
+    }
+
+    // Correct submissions with their challenge; callers add filters and GROUP BY the challenge (and user)
+    private const string SolvedChallengesQuery = @"
             SELECT 
-                u.Username,
-                CAST(u.TotalPoints as INTEGER) as TotalPoints,
-                CAST(u.SolvedChallenges as INTEGER) as SolvedChallenges,
-                CAST(ROW_NUMBER() OVER (ORDER BY u.TotalPoints DESC, u.SolvedChallenges DESC) as INTEGER) as Rank
-            FROM Users u
-            WHERE u.IsActive = 1
-            ORDER BY u.TotalPoints DESC, u.SolvedChallenges DESC
-            LIMIT 100";
+                s.UserId,
+                s.ChallengeId,
+                (SELECT t.TeamId FROM Submissions t
+                 WHERE t.ChallengeId = s.ChallengeId AND t.UserId = s.UserId AND t.IsCorrect = 1
+                 ORDER BY t.SubmittedAt LIMIT 1) as TeamId,
+                COALESCE(MAX(s.PointsAwarded), c.Points, 0) as Points,
+                MAX(s.TimeBonus) as TimeBonus,
+                MAX(s.IsFirstBlood) as IsFirstBlood,
+                MAX(s.HintPenalty) as HintPenalty,
+                MIN(s.SubmittedAt) as SolvedAt,
+                (SELECT MIN(cs.StartedAt) FROM ChallengeStarts cs WHERE cs.ChallengeId = s.ChallengeId AND cs.UserId = s.UserId) as StartedAt,
+                c.Category,
+                c.Title
+            FROM Submissions s
+            LEFT JOIN Challenges c ON s.ChallengeId = c.Id
+            WHERE s.IsCorrect = 1";
+
+    // Challenges where this user's first correct submission is the earliest of anyone's
+    public async Task<IEnumerable<string>> GetFirstBloodChallengeIdsAsync(string userId)
+    {
+        using var connection = new SqliteConnection(_connectionString);
+        await connection.OpenAsync();
+
+        var command = @"
+            SELECT s.ChallengeId
+            FROM Submissions s
+            WHERE s.UserId = @UserId AND s.IsCorrect = 1
+            GROUP BY s.ChallengeId
+            HAVING MIN(s.SubmittedAt) <= (
+                SELECT MIN(o.SubmittedAt) FROM Submissions o
+                WHERE o.ChallengeId = s.ChallengeId AND o.IsCorrect = 1)";
 
         using var cmd = new SqliteCommand(command, connection);
-        var scoreboard = new List<object>();
-        
+        cmd.Parameters.AddWithValue("@UserId", userId);
+
+        var challengeIds = new List<string>();
         using var reader = await cmd.ExecuteReaderAsync();
         while (await reader.ReadAsync())
         {
-            scoreboard.Add(new
-            {
-                Username = reader.GetString(reader.GetOrdinal("Username")),
-                TotalPoints = reader.GetInt32(reader.GetOrdinal("TotalPoints")),
-                SolvedChallenges = reader.GetInt32(reader.GetOrdinal("SolvedChallenges")),
-                Rank = reader.GetInt32(reader.GetOrdinal("Rank"))
-            });
+            challengeIds.Add(reader.GetString(0));
         }
 
-        return scoreboard;
+        return challengeIds;
     }
 
     // Additional methods for LoggingService
@@ -791,6 +1630,25 @@ public class DBService
         return logs;
     }
 
+    public async Task<LogCleanupPreview> PreviewLogsOlderThanAsync(DateTime cutoffDate)
+    {
+        using var connection = new SqliteConnection(_connectionString);
+        await connection.OpenAsync();
+
+        var command = "SELECT COUNT(*), MIN(Timestamp) FROM LogEntries WHERE Timestamp < @CutoffDate";
+        using var cmd = new SqliteCommand(command, connection);
+        cmd.Parameters.AddWithValue("@CutoffDate", cutoffDate.ToString("O"));
+
+        using var reader = await cmd.ExecuteReaderAsync();
+        await reader.ReadAsync();
+        return new LogCleanupPreview
+        {
+            CutoffDate = cutoffDate,
+            Count = reader.GetInt32(0),
+            OldestTimestamp = reader.IsDBNull(1) ? null : DateTime.Parse(reader.GetString(1))
+        };
+    }
+
     public async Task<int> DeleteLogsOlderThanAsync(DateTime cutoffDate)
     {
         using var connection = new SqliteConnection(_connectionString);
@@ -934,9 +1792,38 @@ public class DBService
         };
     }
 
+    private SolvedChallenge MapSolvedChallengeFromReader(SqliteDataReader reader)
+    {
+        return new SolvedChallenge
+        {
+            ChallengeId = reader.GetString(reader.GetOrdinal("ChallengeId")),
+            TeamId = reader.IsDBNull(reader.GetOrdinal("TeamId")) ? null : reader.GetString(reader.GetOrdinal("TeamId")),
+            Points = reader.GetInt32(reader.GetOrdinal("Points")),
+            TimeBonus = reader.IsDBNull(reader.GetOrdinal("TimeBonus")) ? null : reader.GetInt32(reader.GetOrdinal("TimeBonus")),
+            IsFirstBlood = reader.IsDBNull(reader.GetOrdinal("IsFirstBlood")) ? null : reader.GetInt32(reader.GetOrdinal("IsFirstBlood")) == 1,
+            HintPenalty = reader.IsDBNull(reader.GetOrdinal("HintPenalty")) ? null : reader.GetInt32(reader.GetOrdinal("HintPenalty")),
+            SolvedAt = DateTime.Parse(reader.GetString(reader.GetOrdinal("SolvedAt"))),
+            StartedAt = reader.IsDBNull(reader.GetOrdinal("StartedAt")) ? null : DateTime.Parse(reader.GetString(reader.GetOrdinal("StartedAt"))),
+            Category = reader.IsDBNull(reader.GetOrdinal("Category")) ? null : reader.GetString(reader.GetOrdinal("Category")),
+            Title = reader.IsDBNull(reader.GetOrdinal("Title")) ? null : reader.GetString(reader.GetOrdinal("Title"))
+        };
+    }
+
+    private Team MapTeamFromReader(SqliteDataReader reader)
+    {
+        return new Team
+        {
+            Id = reader.GetString(reader.GetOrdinal("Id")),
+            Name = reader.GetString(reader.GetOrdinal("Name")),
+            JoinCode = reader.GetString(reader.GetOrdinal("JoinCode")),
+            CaptainId = reader.GetString(reader.GetOrdinal("CaptainId")),
+            CreatedAt = DateTime.Parse(reader.GetString(reader.GetOrdinal("CreatedAt"))).ToUniversalTime()
+        };
+    }
+
     private LogEntry MapLogEntryFromReader(SqliteDataReader reader)
     {
-        return new LogEntry
+        var logEntry = new LogEntry
         {
             Id = reader.GetString(reader.GetOrdinal("Id")),
             EventType = reader.GetString(reader.GetOrdinal("EventType")),
@@ -950,14 +1837,49 @@ public class DBService
             Metadata = reader.IsDBNull(reader.GetOrdinal("Metadata")) ? new Dictionary<string, string>() : 
                       System.Text.Json.JsonSerializer.Deserialize<Dictionary<string, string>>(reader.GetString(reader.GetOrdinal("Metadata"))) ?? new Dictionary<string, string>()
         };
+
+        // Username is only present when the query joins Users
+        try
+        {
+            var usernameOrdinal = reader.GetOrdinal("Username");
+            if (!reader.IsDBNull(usernameOrdinal))
+            {
+                logEntry.Username = reader.GetString(usernameOrdinal);
+            }
+        }
+        catch (ArgumentOutOfRangeException)
+        {
+            logEntry.Username = null;
+        }
+
+        return logEntry;
     }
 }
 
+public class HintUnlock
+{
+    public string ChallengeId { get; set; } = string.Empty;
+    public int HintIndex { get; set; }
+    // Cost when revealed, so editing challenge.json later doesn't re-price past reveals
+    public int Cost { get; set; }
+    public DateTime UnlockedAt { get; set; }
+}
+
 public class SolvedChallenge
 {
     public string ChallengeId { get; set; } = string.Empty;
+    // Team the solver was in when they solved it, which keeps the solve
+    public string? TeamId { get; set; }
     public int Points { get; set; }
+    // Parts of the award, to rescore dynamic challenges on a frozen scoreboard; null for awards made before they were stored
+    [JsonIgnore]
+    public int? TimeBonus { get; set; }
+    [JsonIgnore]
+    public bool? IsFirstBlood { get; set; }
+    [JsonIgnore]
+    public int? HintPenalty { get; set; }
     public DateTime SolvedAt { get; set; }
     public DateTime? StartedAt { get; set; }
     public string? Category { get; set; }
+    public string? Title { get; set; }
 } 
\ No newline at end of file
@@ -1,5 +1,6 @@
 using VulnArena.Models;
 using System.Text.Json;
+using System.Threading.Channels;
 
 namespace VulnArena.Services;
 
@@ -13,6 +14,11 @@ public class LoggingService
     private readonly int _batchSize;
     private readonly object _queueLock = new object();
     private readonly IHttpContextAccessor _httpContextAccessor;
+    private readonly List<Channel<LogEntry>> _subscribers = new List<Channel<LogEntry>>();
+    private readonly object _subscribersLock = new object();
+
+    // Live subscribers that fall this far behind lose their oldest entries rather than blocking logging
+    private const int SubscriberBufferSize = 1000;
 
     public LoggingService(
         ILogger<LoggingService> logger,
@@ -56,6 +62,7 @@ public class LoggingService
             };
 
             await _dbService.RecordLogEntryAsync(logEntry);
+            Publish(logEntry);
         }
         catch (Exception ex)
         {
@@ -63,6 +70,43 @@ public class LoggingService
         }
     }
 
+    // Subscribes to log entries as they are recorded; the subscription ends when the token is cancelled
+    public ChannelReader<LogEntry> Subscribe(CancellationToken cancellationToken)
+    {
+        var channel = Channel.CreateBounded<LogEntry>(new BoundedChannelOptions(SubscriberBufferSize)
+        {
+            FullMode = BoundedChannelFullMode.DropOldest,
+            SingleReader = true
+        });
+
+        lock (_subscribersLock)
+        {
+            _subscribers.Add(channel);
+        }
+
+        cancellationToken.Register(() =>
+        {
+            lock (_subscribersLock)
+            {
+                _subscribers.Remove(channel);
+            }
+            channel.Writer.TryComplete();
+        });
+
+        return channel.Reader;
+    }
+
+    private void Publish(LogEntry logEntry)
+    {
+        lock (_subscribersLock)
+        {
+            foreach (var subscriber in _subscribers)
+            {
+                subscriber.Writer.TryWrite(logEntry);
+            }
+        }
+    }
+
     public async Task<IEnumerable<LogEntry>> GetLogsAsync(
         DateTime? from = null,
         DateTime? to = null,
@@ -72,31 +116,33 @@ public class LoggingService
         string? challengeId = null,
         int page = 1,
         int pageSize = 50)
+    {
+        var result = await QueryLogsAsync(new LogQuery
+        {
+            From = from,
+            To = to,
+            UserId = userId,
+            EventType = eventType,
+            Level = level,
+            ChallengeId = challengeId,
+            Page = page,
+            PageSize = pageSize
+        });
+        return result.Items;
+    }
+
+    public async Task<LogPage> QueryLogsAsync(LogQuery query)
     {
         try
         {
-            var logs = await _dbService.GetLogsAsync(from, to, userId, eventType, pageSize);
-            
-            // Apply additional filters
-            var filteredLogs = logs.AsEnumerable();
-            
-            if (level.HasValue)
-            {
-                filteredLogs = filteredLogs.Where(l => l.Level == level.Value);
-            }
-            
-            if (!string.IsNullOrEmpty(challengeId))
-            {
-                filteredLogs = filteredLogs.Where(l => l.ChallengeId == challengeId);
-            }
-            
-            // Apply pagination
-            return filteredLogs.Skip((page - 1) * pageSize).Take(pageSize);
+            query.Page = Math.Max(1, query.Page);
+            query.PageSize = Math.Clamp(query.PageSize, 1, LogQuery.MaxPageSize);
+            return await _dbService.QueryLogsAsync(query);
         }
         catch (Exception ex)
         {
             _logger.LogError(ex, "Error retrieving logs");
-            return Enumerable.Empty<LogEntry>();
+            return new LogPage { Page = query.Page, PageSize = query.PageSize };
         }
     }
 
@@ -138,20 +184,16 @@ public class LoggingService
     {
         try
         {
-            var logs = await _dbService.GetLogsAsync(from, to, null, null, 10000);
-            var logList = logs.ToList();
+            var bucketSeconds = GetTimelineBucketSeconds(from, to ?? DateTime.UtcNow);
+            var statistics = await _dbService.GetLogStatisticsAsync(from, to, bucketSeconds);
+            statistics.From = from;
+            statistics.To = to;
+            statistics.Timeline = FillTimelineGaps(statistics.Timeline, from, to, bucketSeconds);
 
-            return new LogStatistics
-            {
-                TotalLogs = logList.Count,
-                LogsByLevel = logList.GroupBy(l => l.Level)
-                    .ToDictionary(g => g.Key, g => g.Count()),
-                LogsByEventType = logList.GroupBy(l => l.EventType)
-                    .ToDictionary(g => g.Key, g => g.Count()),
-                LogsByUser = logList.GroupBy(l => l.UserId)
-                    .ToDictionary(g => g.Key, g => g.Count()),
-                RecentActivity = logList.OrderByDescending(l => l.Timestamp).Take(10).ToList()
-            };
+            var recent = await _dbService.QueryLogsAsync(new LogQuery { From = from, To = to, PageSize = 10 });
+            statistics.RecentActivity = recent.Items;
+
+            return statistics;
         }
         catch (Exception ex)
         {
@@ -160,6 +202,58 @@ public class LoggingService
         }
     }
 
+    // Aim for roughly 24-200 points on the timeline chart
+    private static int GetTimelineBucketSeconds(DateTime? from, DateTime to)
+    {
+        if (!from.HasValue) return 86400;
+
+        var range = to.ToUniversalTime() - from.Value.ToUniversalTime();
+        if (range <= TimeSpan.FromHours(2)) return 300;
+        if (range <= TimeSpan.FromDays(2)) return 3600;
+        if (range <= TimeSpan.FromDays(14)) return 6 * 3600;
+        return 86400;
+    }
+
+    // Adds zero-count buckets so quiet periods show up on the chart
+    private static List<LogTimelineBucket> FillTimelineGaps(List<LogTimelineBucket> buckets, DateTime? from, DateTime? to, int bucketSeconds)
+    {
+        if (!from.HasValue && buckets.Count == 0) return buckets;
+
+        long Floor(DateTime value) => new DateTimeOffset(value.ToUniversalTime()).ToUnixTimeSeconds() / bucketSeconds * bucketSeconds;
+
+        var start = from.HasValue ? Floor(from.Value) : Floor(buckets.First().Start);
+        var end = to.HasValue ? Floor(to.Value) : Floor(buckets.Count > 0 ? buckets.Last().Start : DateTime.UtcNow);
+        if (from.HasValue && !to.HasValue) end = Math.Max(end, Floor(DateTime.UtcNow));
+
+        var byStart = buckets.ToDictionary(b => Floor(b.Start));
+        var filled = new List<LogTimelineBucket>();
+        for (var t = start; t <= end; t += bucketSeconds)
+        {
+            filled.Add(byStart.TryGetValue(t, out var bucket)
+                ? bucket
+                : new LogTimelineBucket { Start = DateTimeOffset.FromUnixTimeSeconds(t).UtcDateTime });
+        }
+        return filled;
+    }
+
+    public IAsyncEnumerable<LogEntry> ReadLogsAsync(LogQuery query, CancellationToken cancellationToken = default)
+    {
+        return _dbService.ReadLogsAsync(query, cancellationToken);
+    }
+
+    public async Task<LogCleanupPreview> PreviewCleanupAsync(DateTime cutoffDate)
+    {
+        try
+        {
+            return await _dbService.PreviewLogsOlderThanAsync(cutoffDate);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error previewing log cleanup");
+            return new LogCleanupPreview { CutoffDate = cutoffDate };
+        }
+    }
+
     public async Task<int> CleanupOldLogsAsync(DateTime cutoffDate)
     {
         try
@@ -173,7 +267,8 @@ public class LoggingService
         }
     }
 
-    private string GetClientIpAddress()
+    // Also used to attribute flag submissions
+    public string GetClientIpAddress()
     {
         try
         {
@@ -201,7 +296,7 @@ public class LoggingService
         }
     }
 
-    private string? GetUserAgent()
+    public string? GetUserAgent()
     {
         try
         {
@@ -352,6 +447,40 @@ public class LoggingService
     }
 }
 
+public class LogQuery
+{
+    // Upper bound for a single page, enforced by the API and the logs page; exports use ReadLogsAsync instead of paging
+    public const int MaxPageSize = 200;
+
+    public DateTime? From { get; set; }
+    public DateTime? To { get; set; }
+    public string? UserId { get; set; }
+    public string? User { get; set; }
+    public string? EventType { get; set; }
+    public Models.LogLevel? Level { get; set; }
+    public string? ChallengeId { get; set; }
+    public string? IpAddress { get; set; }
+    public string? Search { get; set; }
+    public int Page { get; set; } = 1;
+    public int PageSize { get; set; } = 50;
+}
+
+public class LogPage
+{
+    public List<LogEntry> Items { get; set; } = new();
+    public int TotalCount { get; set; }
+    public int Page { get; set; }
+    public int PageSize { get; set; }
+    public int TotalPages => PageSize > 0 ? (TotalCount + PageSize - 1) / PageSize : 0;
+}
+
+public class LogCleanupPreview
+{
+    public DateTime CutoffDate { get; set; }
+    public int Count { get; set; }
+    public DateTime? OldestTimestamp { get; set; }
+}
+
 public class LogStatistics
 {
     public int TotalLogs { get; set; }
@@ -359,4 +488,24 @@ public class LogStatistics
     public Dictionary<string, int> LogsByEventType { get; set; } = new();
     public Dictionary<string, int> LogsByUser { get; set; } = new();
     public List<LogEntry> RecentActivity { get; set; } = new();
+    public DateTime? From { get; set; }
+    public DateTime? To { get; set; }
+    public int BucketSeconds { get; set; }
+    public List<LogTimelineBucket> Timeline { get; set; } = new();
+    public List<LogActivityCount> TopUsers { get; set; } = new();
+    public List<LogActivityCount> TopChallenges { get; set; } = new();
+}
+
+public class LogTimelineBucket
+{
+    public DateTime Start { get; set; }
+    public int Count { get; set; }
+    public int ErrorCount { get; set; }
+}
+
+public class LogActivityCount
+{
+    public string Id { get; set; } = string.Empty;
+    public string Label { get; set; } = string.Empty;
+    public int Count { get; set; }
 } 
\ No newline at end of file
@@ -1,31 +1,35 @@
+using System.Collections.Concurrent;
 using VulnArena.Models;
 using VulnArena.Core;
 
 namespace VulnArena.Services;
 
-public class SandboxService
+public class SandboxService : IDisposable
 {
     private readonly ILogger<SandboxService> _logger;
     private readonly IConfiguration _configuration;
     private readonly ContainerService _containerService;
+    private readonly ChallengeManager _challengeManager;
     private readonly DBService _dbService;
     private readonly LoggingService _loggingService;
-    private readonly Dictionary<string, SandboxInstance> _activeSandboxes;
+    // Registered as a singleton; requests and the cleanup timer use this concurrently
+    private readonly ConcurrentDictionary<string, SandboxInstance> _activeSandboxes = new();
     private readonly Timer _cleanupTimer;
 
     public SandboxService(
         ILogger<SandboxService> logger,
         IConfiguration configuration,
         ContainerService containerService,
+        ChallengeManager challengeManager,
         DBService dbService,
         LoggingService loggingService)
     {
         _logger = logger;
         _configuration = configuration;
         _containerService = containerService;
+        _challengeManager = challengeManager;
         _dbService = dbService;
         _loggingService = loggingService;
-        _activeSandboxes = new Dictionary<string, SandboxInstance>();
 
         // Cleanup expired sandboxes every 5 minutes
         _cleanupTimer = new Timer(CleanupExpiredSandboxes, null, TimeSpan.FromMinutes(5), TimeSpan.FromMinutes(5));
@@ -54,12 +58,12 @@ public class SandboxService
                 else
                 {
                     // Remove expired sandbox
-                    _activeSandboxes.Remove(sandboxKey);
+                    _activeSandboxes.TryRemove(sandboxKey, out _);
                 }
             }
 
             // Get challenge details
-            var challenge = await _dbService.GetChallengeAsync(challengeId);
+            var challenge = await _challengeManager.GetChallengeAsync(challengeId);
             if (challenge == null)
             {
                 return new SandboxResult { Success = false, Message = "Challenge not found." };
@@ -133,7 +137,7 @@ public class SandboxService
             sandbox.StoppedAt = DateTime.UtcNow;
 
             // Remove from active sandboxes
-            _activeSandboxes.Remove(sandboxKey);
+            _activeSandboxes.TryRemove(sandboxKey, out _);
 
             // Log the sandbox stop
             await _loggingService.LogSystemEventAsync("SANDBOX_STOPPED", $"Container: {sandbox.ContainerId}", Models.LogLevel.Information);
@@ -272,8 +276,8 @@ public class SandboxService
                 // Log the cleanup
                 await _loggingService.LogSystemEventAsync("SANDBOX_EXPIRED", $"Container: {sandbox.ContainerId}, Runtime: {DateTime.UtcNow - sandbox.CreatedAt}", Models.LogLevel.Information);
 
-                // Remove from active sandboxes
-                _activeSandboxes.Remove(kvp.Key);
+                // Remove from active sandboxes, unless it was replaced by a new one meanwhile
+                _activeSandboxes.TryRemove(kvp);
             }
 
             if (expiredSandboxes.Any())
@@ -287,6 +291,11 @@ public class SandboxService
         }
     }
 
+    public void Dispose()
+    {
+        _cleanupTimer.Dispose();
+    }
+
     private int GetRandomPort()
     {
         var random = new Random();
@@ -112,6 +112,7 @@ public class AuthController : ControllerBase
             return Ok(new LoginResponse
             {
                 SessionToken = sessionToken,
+                ExpiresAt = result.ExpiresAt,
                 User = user
             });
         }
@@ -204,6 +205,11 @@ public class AuthController : ControllerBase
                 return BadRequest("New password must be at least 8 characters long");
             }
 
+            if (request.NewPassword == request.CurrentPassword)
+            {
+                return BadRequest("New password must be different from the current password");
+            }
+
             var sessionToken = Request.Headers["Authorization"].FirstOrDefault()?.Replace("Bearer ", "");
             if (string.IsNullOrEmpty(sessionToken))
             {
@@ -219,7 +225,8 @@ public class AuthController : ControllerBase
             var success = await _authService.ChangePasswordAsync(user.Id, request.CurrentPassword, request.NewPassword);
             if (success)
             {
-                return Ok(new { Message = "Password changed successfully" });
+                // All of the user's sessions, including this one, are invalidated by the change
+                return Ok(new { Message = "Password changed successfully. Please log in again." });
             }
             else
             {
@@ -253,6 +260,7 @@ public class AuthController : ControllerBase
             return Ok(new
             {
                 IsValid = true,
+                ExpiresAt = _authService.GetSession(sessionToken)?.ExpiresAt,
                 User = new
                 {
                     user.Id,
@@ -355,6 +363,7 @@ public class ChangePasswordRequest
 public class LoginResponse
 {
     public string SessionToken { get; set; } = string.Empty;
+    public DateTime? ExpiresAt { get; set; }
     public User User { get; set; } = new();
 }
 
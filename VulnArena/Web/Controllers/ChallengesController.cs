@@ -18,6 +18,8 @@ public class ChallengesController : ControllerBase
     private readonly AuthService _authService;
     private readonly LoggingService _loggingService;
     private readonly DBService _dbService;
+    private readonly AchievementManager _achievementManager;
+    private readonly CompetitionManager _competitionManager;
 
     public ChallengesController(
         ILogger<ChallengesController> logger,
@@ -27,7 +29,9 @@ public class ChallengesController : ControllerBase
         SandboxService sandboxService,
         AuthService authService,
         LoggingService loggingService,
-        DBService dbService)
+        DBService dbService,
+        AchievementManager achievementManager,
+        CompetitionManager competitionManager)
     {
         _logger = logger;
         _challengeManager = challengeManager;
@@ -37,6 +41,59 @@ public class ChallengesController : ControllerBase
         _authService = authService;
         _loggingService = loggingService;
         _dbService = dbService;
+        _achievementManager = achievementManager;
+        _competitionManager = competitionManager;
+    }
+
+    // The challenge list is public; a valid session just adds per-user state
+    private async Task<User?> GetOptionalUserAsync()
+    {
+        var sessionToken = Request.Headers["Authorization"].FirstOrDefault()?.Replace("Bearer ", "");
+        if (string.IsNullOrEmpty(sessionToken))
+        {
+            return null;
+        }
+
+        return await _authService.ValidateSessionAsync(sessionToken);
+    }
+
+    // Hints the caller has revealed; empty for anonymous requests
+    private async Task<List<HintUnlock>> GetUnlockedHintsAsync(User? user)
+    {
+        if (user == null)
+        {
+            return new List<HintUnlock>();
+        }
+
+        return await _dbService.GetHintUnlocksAsync(user.Id);
+    }
+
+    // Every hint is listed with its cost, but the text only once revealed
+    private static List<ChallengeHintView> GetHintViews(Challenge challenge, IEnumerable<HintUnlock> unlocks)
+    {
+        var revealed = unlocks
+            .Where(u => u.ChallengeId == challenge.Id)
+            .Select(u => u.HintIndex)
+            .ToHashSet();
+
+        return challenge.Hints.Select((hint, index) => new ChallengeHintView
+        {
+            Index = index,
+            Cost = hint.Cost,
+            Unlocked = revealed.Contains(index),
+            Text = revealed.Contains(index) ? hint.Text : null
+        }).ToList();
+    }
+
+    // Solved by the caller or for their current team; empty for anonymous requests
+    private async Task<HashSet<string>> GetSolvedChallengeIdsAsync(User? user)
+    {
+        if (user == null)
+        {
+            return new HashSet<string>();
+        }
+
+        return await _dbService.GetTeamSolvedChallengeIdsAsync(user.Id);
     }
 
     [HttpGet]
@@ -59,22 +116,37 @@ public class ChallengesController : ControllerBase
                 challenges = await _challengeManager.GetAllChallengesAsync();
             }
 
-            // Remove sensitive information before returning
-            var safeChallenges = challenges.Select(c => new
+            var user = await GetOptionalUserAsync();
+            if (!_competitionManager.CanSeeChallenges(user))
+            {
+                // Nothing is revealed before the competition starts
+                return Ok(Enumerable.Empty<object>());
+            }
+
+            var unlockedHints = await GetUnlockedHintsAsync(user);
+            var solvedIds = await GetSolvedChallengeIdsAsync(user);
+            // Solve counts and dynamic values stay at the freeze while the scoreboard is frozen
+            var solveCounts = await _dbService.GetSolveCountsAsync(_competitionManager.GetScoreboardCutoff(user));
+
+            // Remove sensitive information before returning; hints stay hidden until revealed.
+            // Deactivated challenges are only listed on the admin page
+            var safeChallenges = challenges.Where(c => c.IsActive).Select(c => new
             {
                 c.Id,
                 c.Title,
                 c.Description,
                 c.Category,
                 c.Difficulty,
-                c.Points,
+                Points = ScoreManager.GetCurrentValue(c, solveCounts.GetValueOrDefault(c.Id)),
+                c.Dynamic,
                 c.RequiresContainer,
                 c.Tags,
                 c.Author,
                 c.CreatedAt,
-                c.SolveCount,
-                c.Hint,
-                c.Files
+                SolveCount = solveCounts.GetValueOrDefault(c.Id),
+                Hints = GetHintViews(c, unlockedHints),
+                c.Files,
+                IsSolved = solvedIds.Contains(c.Id)
             });
 
             // Log successful response
@@ -100,12 +172,22 @@ public class ChallengesController : ControllerBase
         try
         {
             var challenge = await _challengeManager.GetChallengeAsync(id);
-            if (challenge == null)
+            if (challenge == null || !challenge.IsActive)
             {
                 return NotFound("Challenge not found");
             }
 
-            // Remove sensitive information
+            var user = await GetOptionalUserAsync();
+            if (!_competitionManager.CanSeeChallenges(user))
+            {
+                return NotFound("Challenge not found");
+            }
+
+            var unlockedHints = await GetUnlockedHintsAsync(user);
+            var solvedIds = await GetSolvedChallengeIdsAsync(user);
+            var solveCounts = await _dbService.GetSolveCountsAsync(_competitionManager.GetScoreboardCutoff(user));
+
+            // Remove sensitive information; hints stay hidden until revealed
             var safeChallenge = new
             {
                 challenge.Id,
@@ -113,15 +195,17 @@ public class ChallengesController : ControllerBase
                 challenge.Description,
                 challenge.Category,
                 challenge.Difficulty,
-                challenge.Points,
+                Points = ScoreManager.GetCurrentValue(challenge, solveCounts.GetValueOrDefault(challenge.Id)),
+                challenge.Dynamic,
                 challenge.RequiresContainer,
                 challenge.ContainerPort,
                 challenge.Tags,
                 challenge.Author,
                 challenge.CreatedAt,
-                challenge.SolveCount,
-                challenge.Hint,
-                challenge.Files
+                SolveCount = solveCounts.GetValueOrDefault(challenge.Id),
+                Hints = GetHintViews(challenge, unlockedHints),
+                challenge.Files,
+                IsSolved = solvedIds.Contains(challenge.Id)
             };
 
             return Ok(safeChallenge);
@@ -133,6 +217,72 @@ public class ChallengesController : ControllerBase
         }
     }
 
+    [HttpPost("{id}/hints/{index:int}")]
+    public async Task<ActionResult<ChallengeHintView>> RevealHint(string id, int index)
+    {
+        try
+        {
+            // Get user from session
+            var sessionToken = Request.Headers["Authorization"].FirstOrDefault()?.Replace("Bearer ", "");
+            if (string.IsNullOrEmpty(sessionToken))
+            {
+                return Unauthorized("Authentication required");
+            }
+
+            var user = await _authService.ValidateSessionAsync(sessionToken);
+            if (user == null)
+            {
+                return Unauthorized("Invalid session");
+            }
+
+            var challenge = await _challengeManager.GetChallengeAsync(id);
+            if (challenge == null || !challenge.IsActive || !_competitionManager.CanSeeChallenges(user))
+            {
+                return NotFound("Challenge not found");
+            }
+
+            if (index < 0 || index >= challenge.Hints.Count)
+            {
+                return NotFound("Hint not found");
+            }
+
+            var unlocks = await _dbService.GetHintUnlocksAsync(user.Id, id);
+            var hint = challenge.Hints[index];
+
+            if (!unlocks.Any(u => u.HintIndex == index))
+            {
+                // Hints get more specific as they go, so they are revealed in order
+                if (index > 0 && !unlocks.Any(u => u.HintIndex == index - 1))
+                {
+                    return BadRequest("Reveal the earlier hints first");
+                }
+
+                // The cost is deducted when the challenge is solved; reveals after solving are free
+                await _dbService.RecordHintUnlockAsync(id, user.Id, index, hint.Cost);
+                await _loggingService.LogAsync("HintUnlocked", user.Id, id, $"User revealed hint {index + 1}",
+                    Models.LogLevel.Information,
+                    new Dictionary<string, string>
+                    {
+                        ["HintIndex"] = index.ToString(),
+                        ["Cost"] = hint.Cost.ToString()
+                    });
+            }
+
+            return Ok(new ChallengeHintView
+            {
+                Index = index,
+                Cost = hint.Cost,
+                Unlocked = true,
+                Text = hint.Text
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error revealing hint for challenge {ChallengeId}", id);
+            return StatusCode(500, "Internal server error");
+        }
+    }
+
     [HttpPost("{id}/start")]
     public async Task<ActionResult> StartChallenge(string id)
     {
@@ -151,6 +301,17 @@ public class ChallengesController : ControllerBase
                 return Unauthorized("Invalid session");
             }
 
+            if (!_competitionManager.CanSeeChallenges(user))
+            {
+                return BadRequest("The competition has not started yet");
+            }
+
+            var challenge = await _challengeManager.GetChallengeAsync(id);
+            if (challenge == null || !challenge.IsActive)
+            {
+                return NotFound("Challenge not found");
+            }
+
             // Start the challenge
             var success = await _challengeManager.StartChallengeAsync(id, user.Id);
             if (!success)
@@ -159,8 +320,7 @@ public class ChallengesController : ControllerBase
             }
 
             // If challenge requires container, start sandbox
-            var challenge = await _challengeManager.GetChallengeAsync(id);
-            if (challenge?.RequiresContainer == true)
+            if (challenge.RequiresContainer)
             {
                 var sandboxResult = await _sandboxService.StartSandboxAsync(id, user.Id);
                 if (!sandboxResult.Success)
@@ -254,27 +414,56 @@ public class ChallengesController : ControllerBase
 
             if (result.IsRateLimited)
             {
-                return StatusCode(429, new { message = result.Message, isRateLimited = true });
+                Response.Headers.RetryAfter = result.RetryAfterSeconds.ToString();
+                return StatusCode(429, new
+                {
+                    outcome = result.Outcome,
+                    message = result.Message,
+                    isRateLimited = true,
+                    retryAfterSeconds = result.RetryAfterSeconds
+                });
             }
 
+            var newAchievements = new List<Achievement>();
+            SolveSummary? solve = null;
             if (result.IsValid && !result.IsAlreadySolved)
             {
+                // While the scoreboard is frozen, achievements only count solves before the freeze
+                var frozenAt = _competitionManager.GetScoreboardCutoff(user);
+
+                // The validator has already recorded the solve, so the solve itself is
+                // not in "before"; anything unlocked now but not then is new
+                var unlockedBefore = await _achievementManager.GetUnlockedIdsAsync(user.Id, excludeChallengeId: id, until: frozenAt);
+
                 // Award points
                 var challenge = await _challengeManager.GetChallengeAsync(id);
                 if (challenge != null)
                 {
-                    var points = await _scoreManager.CalculateScoreAsync(challenge, DateTime.UtcNow);
-                    await _scoreManager.AwardPointsAsync(user.Id, id, points);
+                    var solvedAt = result.SubmittedAt ?? DateTime.UtcNow;
+                    var startedAt = await _dbService.GetChallengeStartTimeAsync(id, user.Id);
+                    var score = await _scoreManager.CalculateScoreBreakdownAsync(challenge, user.Id, solvedAt, startedAt);
+                    await _scoreManager.AwardPointsAsync(user.Id, id, score);
+                    await _scoreManager.RescoreDynamicChallengeAsync(challenge);
+                    solve = await BuildSolveSummaryAsync(challenge, user.Id, solvedAt, score, frozenAt);
                 }
+
+                var summary = await _achievementManager.GetAchievementsAsync(user.Id, until: frozenAt);
+                newAchievements = summary.Achievements
+                    .Where(a => a.Unlocked && !unlockedBefore.Contains(a.Id))
+                    .ToList();
             }
 
             return Ok(new
             {
+                outcome = result.Outcome,
                 isValid = result.IsValid,
                 message = result.Message,
-                points = result.Points,
+                points = solve?.Score.Total ?? result.Points,
                 isAlreadySolved = result.IsAlreadySolved,
-                isRateLimited = result.IsRateLimited
+                isRateLimited = result.IsRateLimited,
+                isClosed = result.IsClosed,
+                newAchievements,
+                solve
             });
         }
         catch (Exception ex)
@@ -284,6 +473,108 @@ public class ChallengesController : ControllerBase
         }
     }
 
+    // The caller's own attempts at a challenge, newest first, with the flags masked so the list
+    // can be shown on screen; includes how many submissions they have left this minute. Flags the
+    // rate limit turned away never reach RecordSubmissionAsync, so they are not in the list
+    [HttpGet("{id}/submissions")]
+    public async Task<ActionResult> GetMySubmissions(string id)
+    {
+        try
+        {
+            // Get user from session
+            var sessionToken = Request.Headers["Authorization"].FirstOrDefault()?.Replace("Bearer ", "");
+            if (string.IsNullOrEmpty(sessionToken))
+            {
+                return Unauthorized("Authentication required");
+            }
+
+            var user = await _authService.ValidateSessionAsync(sessionToken);
+            if (user == null)
+            {
+                return Unauthorized("Invalid session");
+            }
+
+            var submissions = await _dbService.GetChallengeSubmissionsAsync(id, user.Id);
+            var rateLimit = await _flagValidator.GetRateLimitStatusAsync(user.Id);
+
+            return Ok(new
+            {
+                Submissions = submissions.Select(s => new
+                {
+                    Flag = MaskFlag(s.SubmittedFlag),
+                    s.SubmittedAt,
+                    s.IsCorrect
+                }),
+                RateLimit = rateLimit
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error getting submissions for challenge {ChallengeId}", id);
+            return StatusCode(500, "Internal server error");
+        }
+    }
+
+    // Keeps the first four characters and the last one, e.g. flag{abc} -> flag****}
+    private static string MaskFlag(string flag)
+    {
+        if (flag.Length <= 8)
+        {
+            return new string('*', flag.Length);
+        }
+
+        return flag[..4] + new string('*', flag.Length - 5) + flag[^1];
+    }
+
+    // What the solver sees after a correct flag: the score breakdown, where they placed and where to go next.
+    // While the scoreboard is frozen (frozenAt set) the placing and new rank stay hidden, and values are as of the freeze
+    private async Task<SolveSummary> BuildSolveSummaryAsync(Challenge challenge, string userId, DateTime solvedAt, ScoreBreakdown score, DateTime? frozenAt)
+    {
+        var solvedIds = await _dbService.GetTeamSolvedChallengeIdsAsync(userId);
+        var solveCounts = await _dbService.GetSolveCountsAsync(frozenAt);
+
+        // Easiest remaining challenge in the same category
+        var next = (await _challengeManager.GetChallengesByCategoryAsync(challenge.Category))
+            .Where(c => c.IsActive && !solvedIds.Contains(c.Id))
+            .OrderBy(c => c.Difficulty)
+            .ThenBy(c => c.Points)
+            .ThenBy(c => c.Title)
+            .FirstOrDefault();
+
+        var summary = new SolveSummary
+        {
+            Score = score,
+            FrozenAt = frozenAt,
+            NextChallenge = next == null ? null : new NextChallengeInfo
+            {
+                Id = next.Id,
+                Title = next.Title,
+                Difficulty = next.Difficulty,
+                Points = ScoreManager.GetCurrentValue(next, solveCounts.GetValueOrDefault(next.Id))
+            }
+        };
+
+        if (frozenAt.HasValue)
+        {
+            // Priced as one more solve than at the freeze, so the award doesn't reveal how many solved it since
+            if (challenge.Dynamic != null)
+            {
+                summary.Score = ScoreManager.WithBasePoints(score,
+                    ScoreManager.GetDynamicValue(challenge.Dynamic, solveCounts.GetValueOrDefault(challenge.Id) + 1));
+            }
+            return summary;
+        }
+
+        var earlierSolves = await _dbService.GetCorrectSubmissionsBeforeAsync(challenge.Id, solvedAt);
+        var ranking = await _scoreManager.GetRankingAsync(null, null);
+        var entry = ranking.FirstOrDefault(e => e.UserId == userId);
+
+        summary.SolvePosition = earlierSolves.Select(s => s.UserId).Distinct().Count() + 1;
+        summary.Rank = entry?.Rank ?? -1;
+        summary.TotalPoints = entry?.TotalPoints ?? 0;
+        return summary;
+    }
+
     [HttpGet("{id}/sandbox")]
     public async Task<ActionResult> GetSandboxStatus(string id)
     {
@@ -369,7 +660,7 @@ public class ChallengesController : ControllerBase
         try
         {
             var challenges = await _challengeManager.GetAllChallengesAsync();
-            var categories = challenges.Select(c => c.Category).Distinct().OrderBy(c => c);
+            var categories = challenges.Where(c => c.IsActive).Select(c => c.Category).Distinct().OrderBy(c => c);
             return Ok(categories);
         }
         catch (Exception ex)
@@ -400,11 +691,21 @@ public class ChallengesController : ControllerBase
             // Check if user is admin
             if (user.Role != UserRole.Admin)
             {
-                return Forbid("Admin access required");
+                return StatusCode(403, "Admin access required");
             }
 
-            await _challengeManager.ReloadChallengesAsync();
-            return Ok(new { Message = "Challenges reloaded successfully" });
+            var result = await _challengeManager.ReloadChallengesAsync();
+            await _loggingService.LogAsync("ChallengesReloaded", user.Id, null, "Challenges reloaded from disk",
+                Models.LogLevel.Information,
+                new Dictionary<string, string>
+                {
+                    ["Added"] = string.Join(",", result.Added),
+                    ["Removed"] = string.Join(",", result.Removed),
+                    ["Changed"] = string.Join(",", result.Changed.Select(c => c.Id)),
+                    ["Errors"] = result.Errors.Count.ToString()
+                });
+
+            return Ok(result);
         }
         catch (Exception ex)
         {
@@ -413,40 +714,411 @@ public class ChallengesController : ControllerBase
         }
     }
 
+    // Every challenge folder for the admin editor, including inactive challenges and ones that failed to load
+    [HttpGet("admin")]
+    public async Task<ActionResult> GetAdminChallenges()
+    {
+        try
+        {
+            // Get user from session
+            var sessionToken = Request.Headers["Authorization"].FirstOrDefault()?.Replace("Bearer ", "");
+            if (string.IsNullOrEmpty(sessionToken))
+            {
+                return Unauthorized("Authentication required");
+            }
+
+            var user = await _authService.ValidateSessionAsync(sessionToken);
+            if (user == null)
+            {
+                return Unauthorized("Invalid session");
+            }
+
+            // Check if user is admin
+            if (user.Role != UserRole.Admin)
+            {
+                return StatusCode(403, "Admin access required");
+            }
+
+            var definitions = await _challengeManager.GetChallengeDefinitionsAsync();
+            var loaded = (await _challengeManager.GetAllChallengesAsync()).ToDictionary(c => $"{c.Category}/{c.Id}");
+            var solveCounts = await _dbService.GetSolveCountsAsync();
+
+            var challenges = definitions.Select(d =>
+            {
+                var challenge = loaded.GetValueOrDefault($"{d.Category}/{d.Id}");
+                return new
+                {
+                    d.Id,
+                    d.Category,
+                    d.Json,
+                    d.FilesOnDisk,
+                    d.LoadError,
+                    IsLoaded = challenge != null,
+                    Title = challenge?.Title,
+                    Difficulty = challenge?.Difficulty,
+                    Points = challenge == null ? (int?)null : ScoreManager.GetCurrentValue(challenge, solveCounts.GetValueOrDefault(d.Id)),
+                    IsActive = challenge?.IsActive ?? false,
+                    SolveCount = solveCounts.GetValueOrDefault(d.Id)
+                };
+            });
+
+            return Ok(new
+            {
+                Challenges = challenges,
+                Categories = definitions.Select(d => d.Category).Distinct().OrderBy(c => c),
+                _challengeManager.MaxUploadBytes
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error getting challenges for admin");
+            return StatusCode(500, "Internal server error");
+        }
+    }
+
+    // Dry run of a save: reports every problem with the definition without writing anything
+    [HttpPost("admin/validate")]
+    public async Task<ActionResult<ChallengeValidationResult>> ValidateChallengeDefinition([FromBody] ChallengeDefinitionRequest request)
+    {
+        try
+        {
+            // Get user from session
+            var sessionToken = Request.Headers["Authorization"].FirstOrDefault()?.Replace("Bearer ", "");
+            if (string.IsNullOrEmpty(sessionToken))
+            {
+                return Unauthorized("Authentication required");
+            }
+
+            var user = await _authService.ValidateSessionAsync(sessionToken);
+            if (user == null)
+            {
+                return Unauthorized("Invalid session");
+            }
+
+            // Check if user is admin
+            if (user.Role != UserRole.Admin)
+            {
+                return StatusCode(403, "Admin access required");
+            }
+
+            return Ok(_challengeManager.ValidateDefinition(request.Id, request.Json));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error validating challenge definition");
+            return StatusCode(500, "Internal server error");
+        }
+    }
+
+    [HttpPost("admin")]
+    public async Task<ActionResult<ChallengeSaveResult>> CreateChallenge([FromBody] ChallengeDefinitionRequest request)
+    {
+        try
+        {
+            // Get user from session
+            var sessionToken = Request.Headers["Authorization"].FirstOrDefault()?.Replace("Bearer ", "");
+            if (string.IsNullOrEmpty(sessionToken))
+            {
+                return Unauthorized("Authentication required");
+            }
+
+            var user = await _authService.ValidateSessionAsync(sessionToken);
+            if (user == null)
+            {
+                return Unauthorized("Invalid session");
+            }
+
+            // Check if user is admin
+            if (user.Role != UserRole.Admin)
+            {
+                return StatusCode(403, "Admin access required");
+            }
+
+            var result = await _challengeManager.SaveChallengeAsync(request.Id, request.Json, isNew: true);
+            return await ChallengeSaveResultAsync(user, request.Id, result, "ChallengeCreated");
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error creating challenge {ChallengeId}", request.Id);
+            return StatusCode(500, "Internal server error");
+        }
+    }
+
+    [HttpPut("admin/{id}")]
+    public async Task<ActionResult<ChallengeSaveResult>> UpdateChallenge(string id, [FromBody] ChallengeDefinitionRequest request)
+    {
+        try
+        {
+            // Get user from session
+            var sessionToken = Request.Headers["Authorization"].FirstOrDefault()?.Replace("Bearer ", "");
+            if (string.IsNullOrEmpty(sessionToken))
+            {
+                return Unauthorized("Authentication required");
+            }
+
+            var user = await _authService.ValidateSessionAsync(sessionToken);
+            if (user == null)
+            {
+                return Unauthorized("Invalid session");
+            }
+
+            // Check if user is admin
+            if (user.Role != UserRole.Admin)
+            {
+                return StatusCode(403, "Admin access required");
+            }
+
+            // The id is the folder name, so it can't be changed from here
+            var result = await _challengeManager.SaveChallengeAsync(id, request.Json, isNew: false);
+            return await ChallengeSaveResultAsync(user, id, result, "ChallengeUpdated");
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error updating challenge {ChallengeId}", id);
+            return StatusCode(500, "Internal server error");
+        }
+    }
+
+    [HttpPost("admin/{id}/active")]
+    public async Task<ActionResult<ChallengeSaveResult>> SetChallengeActive(string id, [FromBody] ChallengeActiveRequest request)
+    {
+        try
+        {
+            // Get user from session
+            var sessionToken = Request.Headers["Authorization"].FirstOrDefault()?.Replace("Bearer ", "");
+            if (string.IsNullOrEmpty(sessionToken))
+            {
+                return Unauthorized("Authentication required");
+            }
+
+            var user = await _authService.ValidateSessionAsync(sessionToken);
+            if (user == null)
+            {
+                return Unauthorized("Invalid session");
+            }
+
+            // Check if user is admin
+            if (user.Role != UserRole.Admin)
+            {
+                return StatusCode(403, "Admin access required");
+            }
+
+            var result = await _challengeManager.SetChallengeActiveAsync(id, request.IsActive);
+            return await ChallengeSaveResultAsync(user, id, result, request.IsActive ? "ChallengeActivated" : "ChallengeDeactivated");
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error changing active state of challenge {ChallengeId}", id);
+            return StatusCode(500, "Internal server error");
+        }
+    }
+
+    [HttpPost("admin/{id}/files")]
+    public async Task<ActionResult<ChallengeSaveResult>> UploadChallengeFile(string id, IFormFile? file)
+    {
+        try
+        {
+            // Get user from session
+            var sessionToken = Request.Headers["Authorization"].FirstOrDefault()?.Replace("Bearer ", "");
+            if (string.IsNullOrEmpty(sessionToken))
+            {
+                return Unauthorized("Authentication required");
+            }
+
+            var user = await _authService.ValidateSessionAsync(sessionToken);
+            if (user == null)
+            {
+                return Unauthorized("Invalid session");
+            }
+
+            // Check if user is admin
+            if (user.Role != UserRole.Admin)
+            {
+                return StatusCode(403, "Admin access required");
+            }
+
+            if (file == null || file.Length == 0)
+            {
+                return BadRequest("A file is required");
+            }
+
+            if (file.Length > _challengeManager.MaxUploadBytes)
+            {
+                return BadRequest($"Files can be at most {_challengeManager.MaxUploadBytes / (1024 * 1024)} MB");
+            }
+
+            await using var content = file.OpenReadStream();
+            var result = await _challengeManager.AddChallengeFileAsync(id, file.FileName, content);
+            return await ChallengeSaveResultAsync(user, id, result, "ChallengeFileUploaded",
+                new Dictionary<string, string>
+                {
+                    ["Filename"] = file.FileName,
+                    ["Size"] = file.Length.ToString()
+                });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error uploading a file to challenge {ChallengeId}", id);
+            return StatusCode(500, "Internal server error");
+        }
+    }
+
+    // Every submission for a challenge with a per-player summary, for spotting brute-forcing (many
+    // attempts, bursts within a minute) and flag sharing (the same wrong flag from several players)
+    [HttpGet("admin/{id}/submissions")]
+    public async Task<ActionResult> GetChallengeSubmissions(string id)
+    {
+        try
+        {
+            // Get user from session
+            var sessionToken = Request.Headers["Authorization"].FirstOrDefault()?.Replace("Bearer ", "");
+            if (string.IsNullOrEmpty(sessionToken))
+            {
+                return Unauthorized("Authentication required");
+            }
+
+            var user = await _authService.ValidateSessionAsync(sessionToken);
+            if (user == null)
+            {
+                return Unauthorized("Invalid session");
+            }
+
+            // Check if user is admin
+            if (user.Role != UserRole.Admin)
+            {
+                return StatusCode(403, "Admin access required");
+            }
+
+            var challenge = await _challengeManager.GetChallengeAsync(id);
+            var submissions = await _dbService.GetChallengeSubmissionsAsync(id);
+
+            // Users that have since been deleted fall back to their id
+            var usernames = submissions
+                .GroupBy(s => s.UserId)
+                .ToDictionary(g => g.Key, g => g.First().Username ?? g.Key);
+
+            var players = submissions.GroupBy(s => s.UserId).Select(g => new
+            {
+                UserId = g.Key,
+                Username = usernames[g.Key],
+                Attempts = g.Count(),
+                Incorrect = g.Count(s => !s.IsCorrect),
+                SolvedAt = g.Where(s => s.IsCorrect).Select(s => (DateTime?)s.SubmittedAt).Min(),
+                FirstAttemptAt = g.Min(s => s.SubmittedAt),
+                LastAttemptAt = g.Max(s => s.SubmittedAt),
+                // Most attempts within one clock minute
+                PeakPerMinute = g.GroupBy(s => s.SubmittedAt.Ticks / TimeSpan.TicksPerMinute).Max(m => m.Count()),
+                IpAddresses = g.Select(s => s.IpAddress).Distinct().ToList()
+            }).OrderByDescending(p => p.Attempts);
+
+            var sharedFlags = submissions
+                .Where(s => !s.IsCorrect)
+                .GroupBy(s => s.SubmittedFlag.Trim())
+                .Select(g => new
+                {
+                    Flag = g.Key,
+                    Usernames = g.Select(s => usernames[s.UserId]).Distinct().ToList()
+                })
+                .Where(f => f.Usernames.Count > 1)
+                .OrderByDescending(f => f.Usernames.Count);
+
+            return Ok(new
+            {
+                ChallengeId = id,
+                Title = challenge?.Title,
+                Players = players,
+                SharedFlags = sharedFlags,
+                Submissions = submissions.Select(s => new
+                {
+                    s.UserId,
+                    Username = usernames[s.UserId],
+                    Flag = s.SubmittedFlag,
+                    s.SubmittedAt,
+                    s.IsCorrect,
+                    s.IpAddress,
+                    s.UserAgent
+                })
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error getting admin submissions for challenge {ChallengeId}", id);
+            return StatusCode(500, "Internal server error");
+        }
+    }
+
+    // Failures become 400 with the validation errors (404 for unknown ids); successes are logged with the reload diff
+    private async Task<ActionResult<ChallengeSaveResult>> ChallengeSaveResultAsync(User user, string id, ChallengeSaveResult result, string eventType, Dictionary<string, string>? metadata = null)
+    {
+        if (result.IsNotFound)
+        {
+            return NotFound(result.Message);
+        }
+
+        if (!result.Success)
+        {
+            return BadRequest(result);
+        }
+
+        await _loggingService.LogAsync(eventType, user.Id, id, result.Message, Models.LogLevel.Information, metadata);
+        return Ok(result);
+    }
+
+    // Size and SHA-256 of each attachment, shown next to the download buttons
+    [HttpGet("{id}/files")]
+    public async Task<ActionResult<List<ChallengeFile>>> GetFiles(string id)
+    {
+        try
+        {
+            var challenge = await _challengeManager.GetChallengeAsync(id);
+            if (challenge == null || !challenge.IsActive)
+            {
+                return NotFound("Challenge not found");
+            }
+
+            var user = await GetOptionalUserAsync();
+            if (!_competitionManager.CanSeeChallenges(user))
+            {
+                return NotFound("Challenge not found");
+            }
+
+            return Ok(await _challengeManager.GetChallengeFilesAsync(challenge));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error listing files for challenge {ChallengeId}", id);
+            return StatusCode(500, "Internal server error");
+        }
+    }
+
     [HttpGet("{id}/files/{filename}")]
     public async Task<IActionResult> DownloadFile(string id, string filename)
     {
         try
         {
             var challenge = await _challengeManager.GetChallengeAsync(id);
-            if (challenge == null)
+            if (challenge == null || !challenge.IsActive)
             {
                 return NotFound("Challenge not found");
             }
 
-            // Try to get user from session
-            string userId = "Anonymous";
-            var sessionToken = Request.Headers["Authorization"].FirstOrDefault()?.Replace("Bearer ", "");
-            if (!string.IsNullOrEmpty(sessionToken))
+            // Downloads don't require a session, but are attributed when there is one
+            var user = await GetOptionalUserAsync();
+            if (!_competitionManager.CanSeeChallenges(user))
             {
-                var user = await _authService.ValidateSessionAsync(sessionToken);
-                if (user != null)
-                {
-                    userId = user.Id;
-                }
+                return NotFound("Challenge not found");
             }
 
-            // Log file download
-            await _loggingService.LogFileDownloadAsync(userId, id, filename);
-
-            var filePath = Path.Combine(challenge.Path, filename);
-            if (!System.IO.File.Exists(filePath))
+            // Only files listed in challenge.json can be downloaded
+            var filePath = _challengeManager.GetChallengeFilePath(challenge, filename);
+            if (filePath == null)
             {
                 return NotFound("File not found");
             }
 
-            var fileBytes = await System.IO.File.ReadAllBytesAsync(filePath);
-            return File(fileBytes, "application/octet-stream", filename);
+            await _loggingService.LogFileDownloadAsync(user?.Id ?? "Anonymous", id, filename);
+
+            return PhysicalFile(filePath, "application/octet-stream", filename);
         }
         catch (Exception ex)
         {
@@ -455,6 +1127,42 @@ public class ChallengesController : ControllerBase
         }
     }
 
+    // Every attachment of the challenge in one zip, named after the challenge id
+    [HttpGet("{id}/files.zip")]
+    public async Task<IActionResult> DownloadAllFiles(string id)
+    {
+        try
+        {
+            var challenge = await _challengeManager.GetChallengeAsync(id);
+            if (challenge == null || !challenge.IsActive)
+            {
+                return NotFound("Challenge not found");
+            }
+
+            var user = await GetOptionalUserAsync();
+            if (!_competitionManager.CanSeeChallenges(user))
+            {
+                return NotFound("Challenge not found");
+            }
+
+            if (challenge.Files.Count == 0)
+            {
+                return NotFound("This challenge has no files");
+            }
+
+            var fileName = $"{challenge.Id}.zip";
+            await _loggingService.LogFileDownloadAsync(user?.Id ?? "Anonymous", id, fileName);
+
+            var archivePath = await _challengeManager.GetFilesArchiveAsync(challenge);
+            return PhysicalFile(archivePath, "application/zip", fileName);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error zipping files for challenge {ChallengeId}", id);
+            return StatusCode(500, "Internal server error");
+        }
+    }
+
     [HttpGet("scoreboard")]
     public async Task<ActionResult<IEnumerable<object>>> GetScoreboard()
     {
@@ -473,8 +1181,15 @@ public class ChallengesController : ControllerBase
                 return Unauthorized("Invalid session");
             }
 
-            // Get scoreboard data from database
-            var scoreboard = await _dbService.GetScoreboardAsync();
+            // Same standings as the leaderboard, frozen for players while the scoreboard is frozen
+            var ranking = await _scoreManager.GetRankingAsync(null, null, _competitionManager.GetScoreboardCutoff(user));
+            var scoreboard = ranking.Take(100).Select(e => new
+            {
+                e.Username,
+                e.TotalPoints,
+                e.SolvedChallenges,
+                e.Rank
+            });
             
             // Log the request
             await _loggingService.LogSystemEventAsync("SCOREBOARD_REQUESTED", 
@@ -499,6 +1214,49 @@ public class FlagSubmissionRequest
     public string Flag { get; set; } = string.Empty;
 }
 
+public class ChallengeDefinitionRequest
+{
+    // Folder name under the category; ignored when updating
+    public string Id { get; set; } = string.Empty;
+    // The full challenge.json
+    public string Json { get; set; } = string.Empty;
+}
+
+public class ChallengeActiveRequest
+{
+    public bool IsActive { get; set; }
+}
+
+public class ChallengeHintView
+{
+    public int Index { get; set; }
+    public int Cost { get; set; }
+    public bool Unlocked { get; set; }
+    // Null until revealed
+    public string? Text { get; set; }
+}
+
+public class SolveSummary
+{
+    public ScoreBreakdown Score { get; set; } = new();
+    // 1 for first blood; null while the scoreboard is frozen
+    public int? SolvePosition { get; set; }
+    // -1 while the scoreboard is frozen
+    public int Rank { get; set; } = -1;
+    public int TotalPoints { get; set; }
+    public NextChallengeInfo? NextChallenge { get; set; }
+    // Set when the scoreboard is frozen
+    public DateTime? FrozenAt { get; set; }
+}
+
+public class NextChallengeInfo
+{
+    public string Id { get; set; } = string.Empty;
+    public string Title { get; set; } = string.Empty;
+    public ChallengeDifficulty Difficulty { get; set; }
+    public int Points { get; set; }
+}
+
 public class ExtendSandboxRequest
 {
     public int Minutes { get; set; } = 30;
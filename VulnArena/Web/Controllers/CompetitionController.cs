@@ -0,0 +1,35 @@
+using Microsoft.AspNetCore.Mvc;
+using VulnArena.Core;
+
+namespace VulnArena.Web.Controllers;
+
+[ApiController]
+[Route("api/[controller]")]
+public class CompetitionController : ControllerBase
+{
+    private readonly ILogger<CompetitionController> _logger;
+    private readonly CompetitionManager _competitionManager;
+
+    public CompetitionController(
+        ILogger<CompetitionController> logger,
+        CompetitionManager competitionManager)
+    {
+        _logger = logger;
+        _competitionManager = competitionManager;
+    }
+
+    // Public: every page shows the countdown, logged in or not
+    [HttpGet]
+    public ActionResult<CompetitionStatus> GetStatus()
+    {
+        try
+        {
+            return Ok(_competitionManager.GetStatus());
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error getting competition status");
+            return StatusCode(500, "Internal server error");
+        }
+    }
+}
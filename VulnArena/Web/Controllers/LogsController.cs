@@ -7,6 +7,7 @@ using VulnArena.Models;
 using VulnArena.Services;
 using System;
 using System.Collections.Generic;
+using System.Threading;
 using System.Threading.Tasks;
 using System.Linq;
 
@@ -30,30 +31,44 @@ public class LogsController : ControllerBase
         _authService = authService;
     }
 
+    // How often an idle stream sends a keep-alive comment and re-checks the session
+    private static readonly TimeSpan StreamHeartbeatInterval = TimeSpan.FromSeconds(15);
+
+    private static readonly System.Text.Json.JsonSerializerOptions StreamJsonOptions =
+        new System.Text.Json.JsonSerializerOptions(System.Text.Json.JsonSerializerDefaults.Web);
+
     [HttpGet]
-    public async Task<ActionResult<IEnumerable<LogEntry>>> GetLogs(
+    public async Task<ActionResult<LogPage>> GetLogs(
         [FromQuery] DateTime? from,
         [FromQuery] DateTime? to,
         [FromQuery] string? userId,
+        [FromQuery] string? user,
         [FromQuery] string? eventType,
         [FromQuery] Models.LogLevel? level,
         [FromQuery] string? challengeId,
+        [FromQuery] string? ip,
+        [FromQuery] string? search,
         [FromQuery] int page = 1,
         [FromQuery] int pageSize = 50)
     {
         try
         {
+            if (page < 1 || pageSize < 1 || pageSize > LogQuery.MaxPageSize)
+            {
+                return BadRequest($"page must be at least 1 and pageSize between 1 and {LogQuery.MaxPageSize}");
+            }
+
             // Get user from session
             var sessionToken = Request.Headers["Authorization"].FirstOrDefault()?.Replace("Bearer ", "");
-            User? user = null;
+            User? currentUser = null;
             
             if (!string.IsNullOrEmpty(sessionToken))
             {
-                user = await _authService.ValidateSessionAsync(sessionToken);
+                currentUser = await _authService.ValidateSessionAsync(sessionToken);
             }
             
             // Temporary bypass for testing - allow sil user to access logs
-            if (user == null)
+            if (currentUser == null)
             {
                 // Try to get user by username from a special header for testing
                 var testUser = Request.Headers["X-Test-User"].FirstOrDefault();
@@ -61,22 +76,35 @@ public class LogsController : ControllerBase
                 {
                     // Get the sil user directly from database for testing
                     var dbService = HttpContext.RequestServices.GetRequiredService<DBService>();
-                    user = await dbService.GetUserByUsernameAsync("sil");
+                    currentUser = await dbService.GetUserByUsernameAsync("sil");
                 }
             }
             
-            if (user == null)
+            if (currentUser == null)
             {
                 return Unauthorized("Authentication required");
             }
 
             // Check if user is admin
-            if (user.Role != UserRole.Admin)
+            if (currentUser.Role != UserRole.Admin)
             {
-                return Forbid("Admin access required");
+                return StatusCode(403, "Admin access required");
             }
 
-            var logs = await _loggingService.GetLogsAsync(from, null, userId, eventType, level, challengeId, page, pageSize);
+            var logs = await _loggingService.QueryLogsAsync(new LogQuery
+            {
+                From = from,
+                To = to,
+                UserId = userId,
+                User = user,
+                EventType = eventType,
+                Level = level,
+                ChallengeId = challengeId,
+                IpAddress = ip,
+                Search = search,
+                Page = page,
+                PageSize = pageSize
+            });
             return Ok(logs);
         }
         catch (Exception ex)
@@ -86,6 +114,147 @@ public class LogsController : ControllerBase
         }
     }
 
+    // Server-Sent Events stream of new log entries, filtered like GET /api/Logs.
+    // Sends a "connected" event first, then "log" events, ": keepalive" comments while idle,
+    // and "session-expired" before closing when the admin's session ends.
+    [HttpGet("stream")]
+    public async Task<IActionResult> StreamLogs(
+        [FromQuery] string? user,
+        [FromQuery] Models.LogLevel? level,
+        [FromQuery] string? challengeId,
+        [FromQuery] string? ip,
+        [FromQuery] string? search,
+        CancellationToken cancellationToken)
+    {
+        try
+        {
+            // Get user from session
+            var sessionToken = Request.Headers["Authorization"].FirstOrDefault()?.Replace("Bearer ", "");
+            if (string.IsNullOrEmpty(sessionToken))
+            {
+                return Unauthorized("Authentication required");
+            }
+
+            var currentUser = await _authService.ValidateSessionAsync(sessionToken);
+            if (currentUser == null)
+            {
+                return Unauthorized("Invalid session");
+            }
+
+            // Check if user is admin
+            if (currentUser.Role != UserRole.Admin)
+            {
+                return StatusCode(403, "Admin access required");
+            }
+
+            Response.Headers["Content-Type"] = "text/event-stream";
+            Response.Headers["Cache-Control"] = "no-cache";
+            Response.Headers["X-Accel-Buffering"] = "no";
+
+            var dbService = HttpContext.RequestServices.GetRequiredService<DBService>();
+            var usernames = new Dictionary<string, string?>();
+            var reader = _loggingService.Subscribe(cancellationToken);
+
+            await Response.WriteAsync("event: connected\ndata: {}\n\n", cancellationToken);
+            await Response.Body.FlushAsync(cancellationToken);
+
+            while (!cancellationToken.IsCancellationRequested)
+            {
+                using var heartbeat = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken);
+                heartbeat.CancelAfter(StreamHeartbeatInterval);
+
+                bool hasEntries;
+                try
+                {
+                    hasEntries = await reader.WaitToReadAsync(heartbeat.Token);
+                }
+                catch (OperationCanceledException) when (!cancellationToken.IsCancellationRequested)
+                {
+                    if (await _authService.ValidateSessionAsync(sessionToken) == null)
+                    {
+                        await Response.WriteAsync("event: session-expired\ndata: {}\n\n", cancellationToken);
+                        break;
+                    }
+                    await Response.WriteAsync(": keepalive\n\n", cancellationToken);
+                    await Response.Body.FlushAsync(cancellationToken);
+                    continue;
+                }
+
+                if (!hasEntries)
+                {
+                    break;
+                }
+
+                while (reader.TryRead(out var log))
+                {
+                    if (!usernames.TryGetValue(log.UserId, out var username))
+                    {
+                        username = (await dbService.GetUserByIdAsync(log.UserId))?.Username;
+                        usernames[log.UserId] = username;
+                    }
+                    log.Username = username;
+
+                    if (!MatchesStreamFilter(log, user, level, challengeId, ip, search))
+                    {
+                        continue;
+                    }
+
+                    var json = System.Text.Json.JsonSerializer.Serialize(log, StreamJsonOptions);
+                    await Response.WriteAsync($"id: {log.Id}\nevent: log\ndata: {json}\n\n", cancellationToken);
+                }
+                await Response.Body.FlushAsync(cancellationToken);
+            }
+        }
+        catch (OperationCanceledException)
+        {
+            // Client disconnected
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error streaming logs");
+            if (!Response.HasStarted)
+            {
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
+        return new EmptyResult();
+    }
+
+    // Same semantics as the GET /api/Logs filters, applied in memory to live entries
+    private static bool MatchesStreamFilter(LogEntry log, string? user, Models.LogLevel? level, string? challengeId, string? ip, string? search)
+    {
+        if (level.HasValue && log.Level != level.Value)
+        {
+            return false;
+        }
+
+        if (!string.IsNullOrEmpty(challengeId) && log.ChallengeId != challengeId)
+        {
+            return false;
+        }
+
+        if (!string.IsNullOrEmpty(ip) && log.IpAddress != ip)
+        {
+            return false;
+        }
+
+        if (!string.IsNullOrEmpty(user) && log.UserId != user &&
+            (log.Username == null || !log.Username.Contains(user, StringComparison.OrdinalIgnoreCase)))
+        {
+            return false;
+        }
+
+        if (!string.IsNullOrEmpty(search) &&
+            !(log.Details?.Contains(search, StringComparison.OrdinalIgnoreCase) ?? false) &&
+            !log.EventType.Contains(search, StringComparison.OrdinalIgnoreCase))
+        {
+            return false;
+        }
+
+        return true;
+    }
+
     [HttpGet("statistics")]
     public async Task<ActionResult<LogStatistics>> GetLogStatistics(
         [FromQuery] DateTime? from,
@@ -109,7 +278,7 @@ public class LogsController : ControllerBase
             // Check if user is admin
             if (user.Role != UserRole.Admin)
             {
-                return Forbid("Admin access required");
+                return StatusCode(403, "Admin access required");
             }
 
             var statistics = await _loggingService.GetLogStatisticsAsync(from, to);
@@ -147,7 +316,7 @@ public class LogsController : ControllerBase
             // Check if user is admin
             if (user.Role != UserRole.Admin)
             {
-                return Forbid("Admin access required");
+                return StatusCode(403, "Admin access required");
             }
 
             var logs = await _loggingService.GetLogsByLevelAsync(level, from, to, limit);
@@ -185,7 +354,7 @@ public class LogsController : ControllerBase
             // Check if user is admin
             if (user.Role != UserRole.Admin)
             {
-                return Forbid("Admin access required");
+                return StatusCode(403, "Admin access required");
             }
 
             var logs = await _loggingService.GetLogsByChallengeAsync(challengeId, from, to, limit);
@@ -198,6 +367,45 @@ public class LogsController : ControllerBase
         }
     }
 
+    [HttpGet("cleanup/preview")]
+    public async Task<ActionResult<LogCleanupPreview>> PreviewCleanup([FromQuery] int olderThanDays)
+    {
+        try
+        {
+            // Get user from session
+            var sessionToken = Request.Headers["Authorization"].FirstOrDefault()?.Replace("Bearer ", "");
+            if (string.IsNullOrEmpty(sessionToken))
+            {
+                return Unauthorized("Authentication required");
+            }
+
+            var user = await _authService.ValidateSessionAsync(sessionToken);
+            if (user == null)
+            {
+                return Unauthorized("Invalid session");
+            }
+
+            // Check if user is admin
+            if (user.Role != UserRole.Admin)
+            {
+                return StatusCode(403, "Admin access required");
+            }
+
+            if (olderThanDays < 1)
+            {
+                return BadRequest("olderThanDays must be at least 1");
+            }
+
+            var preview = await _loggingService.PreviewCleanupAsync(DateTime.UtcNow.AddDays(-olderThanDays));
+            return Ok(preview);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error previewing log cleanup");
+            return StatusCode(500, "Internal server error");
+        }
+    }
+
     [HttpPost("cleanup")]
     public async Task<ActionResult> CleanupOldLogs([FromBody] CleanupLogsRequest request)
     {
@@ -219,10 +427,29 @@ public class LogsController : ControllerBase
             // Check if user is admin
             if (user.Role != UserRole.Admin)
             {
-                return Forbid("Admin access required");
+                return StatusCode(403, "Admin access required");
             }
 
-            var deletedCount = await _loggingService.CleanupOldLogsAsync(request.CutoffDate);
+            var cutoffDate = request.CutoffDate.ToUniversalTime();
+            if (cutoffDate > DateTime.UtcNow.AddDays(-1))
+            {
+                return BadRequest("Cutoff date must be at least one day in the past");
+            }
+
+            var deletedCount = await _loggingService.CleanupOldLogsAsync(cutoffDate);
+
+            // Record who pruned what; this entry is newer than the cutoff so it survives the cleanup
+            await _loggingService.LogAsync(
+                "LogCleanup",
+                user.Id,
+                details: $"Deleted {deletedCount} log entries older than {cutoffDate:O}",
+                level: Models.LogLevel.Warning,
+                metadata: new Dictionary<string, string>
+                {
+                    ["CutoffDate"] = cutoffDate.ToString("O"),
+                    ["DeletedCount"] = deletedCount.ToString()
+                });
+
             return Ok(new { Message = $"Cleaned up {deletedCount} log entries", DeletedCount = deletedCount });
         }
         catch (Exception ex)
@@ -237,9 +464,13 @@ public class LogsController : ControllerBase
         [FromQuery] DateTime? from,
         [FromQuery] DateTime? to,
         [FromQuery] string? userId,
+        [FromQuery] string? user,
         [FromQuery] string? eventType,
         [FromQuery] Models.LogLevel? level,
         [FromQuery] string? challengeId,
+        [FromQuery] string? ip,
+        [FromQuery] string? search,
+        [FromQuery] string? columns,
         [FromQuery] string format = "json")
     {
         try
@@ -251,40 +482,111 @@ public class LogsController : ControllerBase
                 return Unauthorized("Authentication required");
             }
 
-            var user = await _authService.ValidateSessionAsync(sessionToken);
-            if (user == null)
+            var currentUser = await _authService.ValidateSessionAsync(sessionToken);
+            if (currentUser == null)
             {
                 return Unauthorized("Invalid session");
             }
 
             // Check if user is admin
-            if (user.Role != UserRole.Admin)
+            if (currentUser.Role != UserRole.Admin)
             {
-                return Forbid("Admin access required");
+                return StatusCode(403, "Admin access required");
             }
 
-            var logs = await _loggingService.GetLogsAsync(from, to, userId, eventType, level, challengeId, 1, 10000);
-            var logList = logs.ToList();
+            format = format.ToLowerInvariant();
+            if (!ExportContentTypes.TryGetValue(format, out var contentType))
+            {
+                return BadRequest($"format must be one of: {string.Join(", ", ExportContentTypes.Keys)}");
+            }
 
-            if (format.ToLower() == "csv")
+            var selectedColumns = ExportColumns.Keys.ToList();
+            if (!string.IsNullOrWhiteSpace(columns))
             {
-                var csv = GenerateCsv(logList);
-                var bytes = System.Text.Encoding.UTF8.GetBytes(csv);
-                return File(bytes, "text/csv", $"logs_{DateTime.UtcNow:yyyyMMdd_HHmmss}.csv");
+                selectedColumns = columns.Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries)
+                    .Distinct(StringComparer.OrdinalIgnoreCase)
+                    .ToList();
+                var unknown = selectedColumns.Where(c => !ExportColumns.ContainsKey(c)).ToList();
+                if (unknown.Count > 0)
+                {
+                    return BadRequest($"Unknown columns: {string.Join(", ", unknown)}");
+                }
+                // Normalise to the canonical key casing used in the JSON output
+                selectedColumns = ExportColumns.Keys.Where(k => selectedColumns.Contains(k, StringComparer.OrdinalIgnoreCase)).ToList();
             }
-            else
+
+            var query = new LogQuery
+            {
+                From = from,
+                To = to,
+                UserId = userId,
+                User = user,
+                EventType = eventType,
+                Level = level,
+                ChallengeId = challengeId,
+                IpAddress = ip,
+                Search = search
+            };
+
+            // Stream straight from the database so large ranges never sit in memory
+            var fileName = $"logs_{DateTime.UtcNow:yyyyMMdd_HHmmss}.{format}";
+            Response.ContentType = $"{contentType}; charset=utf-8";
+            Response.Headers["Content-Disposition"] = $"attachment; filename=\"{fileName}\"";
+
+            var cancellationToken = HttpContext.RequestAborted;
+            await using var writer = new System.IO.StreamWriter(Response.Body, new System.Text.UTF8Encoding(false));
+
+            if (format == "csv")
             {
-                var json = System.Text.Json.JsonSerializer.Serialize(logList, new System.Text.Json.JsonSerializerOptions
+                await writer.WriteLineAsync(string.Join(",", selectedColumns.Select(c => EscapeCsv(ExportColumns[c].Header))));
+            }
+            else if (format == "json")
+            {
+                await writer.WriteAsync("[");
+            }
+
+            var first = true;
+            await foreach (var log in _loggingService.ReadLogsAsync(query, cancellationToken))
+            {
+                switch (format)
                 {
-                    WriteIndented = true
-                });
-                var bytes = System.Text.Encoding.UTF8.GetBytes(json);
-                return File(bytes, "application/json", $"logs_{DateTime.UtcNow:yyyyMMdd_HHmmss}.json");
+                    case "csv":
+                        var values = selectedColumns.Select(c => EscapeCsv(ExportColumns[c].Value(log)?.ToString() ?? ""));
+                        await writer.WriteLineAsync(string.Join(",", values));
+                        break;
+                    case "json":
+                        await writer.WriteAsync(first ? "\n" : ",\n");
+                        await writer.WriteAsync(SerializeExportRow(log, selectedColumns));
+                        break;
+                    default:
+                        await writer.WriteLineAsync(SerializeExportRow(log, selectedColumns));
+                        break;
+                }
+                first = false;
             }
+
+            if (format == "json")
+            {
+                await writer.WriteAsync(first ? "]" : "\n]");
+            }
+            await writer.FlushAsync();
+
+            return new EmptyResult();
+        }
+        catch (OperationCanceledException)
+        {
+            // Client cancelled the download
+            return new EmptyResult();
         }
         catch (Exception ex)
         {
             _logger.LogError(ex, "Error exporting logs");
+            if (Response.HasStarted)
+            {
+                // Headers are already sent; all we can do is cut the download short
+                HttpContext.Abort();
+                return new EmptyResult();
+            }
             return StatusCode(500, "Internal server error");
         }
     }
@@ -306,7 +608,7 @@ public class LogsController : ControllerBase
             // Check if user is admin
             if (user.Role != UserRole.Admin)
             {
-                return Forbid("Admin access required");
+                return StatusCode(403, "Admin access required");
             }
 
             var logs = await _loggingService.GetLogsAsync(null, null, null, null, null, null, 1, 10);
@@ -389,17 +691,56 @@ public class LogsController : ControllerBase
         }
     }
 
-    private string GenerateCsv(IEnumerable<LogEntry> logs)
+    private static readonly Dictionary<string, string> ExportContentTypes = new()
     {
-        var csv = new System.Text.StringBuilder();
-        csv.AppendLine("Id,EventType,UserId,ChallengeId,Details,Timestamp,IpAddress,UserAgent,Level,Metadata");
-
-        foreach (var log in logs)
+        ["json"] = "application/json",
+        ["csv"] = "text/csv",
+        ["ndjson"] = "application/x-ndjson"
+    };
+
+    // Export columns in their default order; keys are what the client sends in ?columns=
+    private static readonly Dictionary<string, (string Header, Func<LogEntry, object?> Value)> ExportColumns =
+        new(StringComparer.OrdinalIgnoreCase)
         {
-            csv.AppendLine($"\"{log.Id}\",\"{log.EventType}\",\"{log.UserId}\",\"{log.ChallengeId ?? ""}\",\"{log.Details ?? ""}\",\"{log.Timestamp:O}\",\"{log.IpAddress}\",\"{log.UserAgent ?? ""}\",\"{log.Level}\",\"{System.Text.Json.JsonSerializer.Serialize(log.Metadata)}\"");
+            ["id"] = ("Id", log => log.Id),
+            ["timestamp"] = ("Timestamp", log => log.Timestamp.ToString("O")),
+            ["level"] = ("Level", log => log.Level.ToString()),
+            ["eventType"] = ("EventType", log => log.EventType),
+            ["userId"] = ("UserId", log => log.UserId),
+            ["username"] = ("Username", log => log.Username),
+            ["challengeId"] = ("ChallengeId", log => log.ChallengeId),
+            ["details"] = ("Details", log => log.Details),
+            ["ipAddress"] = ("IpAddress", log => log.IpAddress),
+            ["userAgent"] = ("UserAgent", log => log.UserAgent),
+            ["metadata"] = ("Metadata", log => System.Text.Json.JsonSerializer.Serialize(log.Metadata))
+        };
+
+    private static string SerializeExportRow(LogEntry log, IEnumerable<string> columns)
+    {
+        var row = new Dictionary<string, object?>();
+        foreach (var column in columns)
+        {
+            // Keep metadata as a nested object rather than a JSON string
+            row[column] = column == "metadata" ? log.Metadata : ExportColumns[column].Value(log);
         }
+        return System.Text.Json.JsonSerializer.Serialize(row);
+    }
 
-        return csv.ToString();
+    // Spreadsheet apps run cells starting with these as formulas; such cells get a leading ' so they open as text.
+    // client/script.js (CSV_FORMULA_PREFIXES) applies the same rule to the leaderboard export
+    private static readonly char[] CsvFormulaPrefixes = { '=', '+', '-', '@', '\t', '\r' };
+
+    private static string EscapeCsv(string value)
+    {
+        if (value.Length > 0 && Array.IndexOf(CsvFormulaPrefixes, value[0]) >= 0)
+        {
+            value = "'" + value;
+        }
+        if (value.IndexOfAny(new[] { ',', '"', '\r', '\n' }) < 0)
+        {
+            return value;
+        }
+        return $"\"{value.Replace("\"", "\"\"")}\"";
     }
 }
 
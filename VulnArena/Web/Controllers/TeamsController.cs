@@ -0,0 +1,419 @@
+using Microsoft.AspNetCore.Mvc;
+using VulnArena.Core;
+using VulnArena.Models;
+using VulnArena.Services;
+
+namespace VulnArena.Web.Controllers;
+
+[ApiController]
+[Route("api/[controller]")]
+public class TeamsController : ControllerBase
+{
+    private readonly ILogger<TeamsController> _logger;
+    private readonly TeamManager _teamManager;
+    private readonly ScoreManager _scoreManager;
+    private readonly AuthService _authService;
+    private readonly LoggingService _loggingService;
+    private readonly DBService _dbService;
+    private readonly CompetitionManager _competitionManager;
+
+    public TeamsController(
+        ILogger<TeamsController> logger,
+        TeamManager teamManager,
+        ScoreManager scoreManager,
+        AuthService authService,
+        LoggingService loggingService,
+        DBService dbService,
+        CompetitionManager competitionManager)
+    {
+        _logger = logger;
+        _teamManager = teamManager;
+        _scoreManager = scoreManager;
+        _authService = authService;
+        _loggingService = loggingService;
+        _dbService = dbService;
+        _competitionManager = competitionManager;
+    }
+
+    private const int MaxLeaderboardSize = 100;
+
+    [HttpGet("leaderboard")]
+    public async Task<ActionResult<TeamLeaderboardResponse>> GetLeaderboard(
+        [FromQuery] string? category,
+        [FromQuery] string period = "all",
+        [FromQuery] int top = MaxLeaderboardSize)
+    {
+        try
+        {
+            if (!ScoreManager.LeaderboardPeriods.TryGetValue(period, out var window))
+            {
+                return BadRequest($"period must be one of: {string.Join(", ", ScoreManager.LeaderboardPeriods.Keys)}");
+            }
+
+            if (top < 1 || top > MaxLeaderboardSize)
+            {
+                return BadRequest($"top must be between 1 and {MaxLeaderboardSize}");
+            }
+
+            DateTime? since = window.HasValue ? DateTime.UtcNow - window.Value : null;
+            category = string.IsNullOrWhiteSpace(category) ? null : category.Trim();
+
+            // Public like the player leaderboard; a valid session adds the caller's team,
+            // and admins see live standings while the scoreboard is frozen
+            User? user = null;
+            var sessionToken = Request.Headers["Authorization"].FirstOrDefault()?.Replace("Bearer ", "");
+            if (!string.IsNullOrEmpty(sessionToken))
+            {
+                user = await _authService.ValidateSessionAsync(sessionToken);
+            }
+
+            var frozenAt = _competitionManager.GetScoreboardCutoff(user);
+            var ranking = await _scoreManager.GetTeamRankingAsync(category, since, frozenAt);
+            var currentTeam = user == null ? null : ranking.FirstOrDefault(e => e.Members.Any(m => m.UserId == user.Id));
+
+            return Ok(new TeamLeaderboardResponse
+            {
+                Category = category,
+                Period = period.ToLowerInvariant(),
+                Since = since,
+                TotalTeams = ranking.Count(e => e.SolvedChallenges > 0),
+                Leaderboard = ranking.Take(top).ToList(),
+                CurrentTeam = currentTeam,
+                FrozenAt = frozenAt
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error getting team leaderboard");
+            return StatusCode(500, "Internal server error");
+        }
+    }
+
+    // The caller's own team, including the join code
+    [HttpGet("mine")]
+    public async Task<ActionResult<TeamDetailsResponse>> GetMyTeam()
+    {
+        try
+        {
+            var sessionToken = Request.Headers["Authorization"].FirstOrDefault()?.Replace("Bearer ", "");
+            if (string.IsNullOrEmpty(sessionToken))
+            {
+                return Unauthorized("Authentication required");
+            }
+
+            var user = await _authService.ValidateSessionAsync(sessionToken);
+            if (user == null)
+            {
+                return Unauthorized("Invalid session");
+            }
+
+            var team = await _teamManager.GetTeamForUserAsync(user.Id);
+            if (team == null)
+            {
+                return NotFound("You are not in a team");
+            }
+
+            return Ok(await BuildTeamDetailsAsync(team, includeJoinCode: true, user));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error getting team for current user");
+            return StatusCode(500, "Internal server error");
+        }
+    }
+
+    // Public view of a team; the join code is left out
+    [HttpGet("{id}")]
+    public async Task<ActionResult<TeamDetailsResponse>> GetTeam(string id)
+    {
+        try
+        {
+            var team = await _dbService.GetTeamByIdAsync(id);
+            if (team == null)
+            {
+                return NotFound("Team not found");
+            }
+
+            return Ok(await BuildTeamDetailsAsync(team, includeJoinCode: false, viewer: null));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error getting team {TeamId}", id);
+            return StatusCode(500, "Internal server error");
+        }
+    }
+
+    [HttpPost]
+    public async Task<ActionResult<TeamDetailsResponse>> CreateTeam([FromBody] CreateTeamRequest request)
+    {
+        try
+        {
+            var sessionToken = Request.Headers["Authorization"].FirstOrDefault()?.Replace("Bearer ", "");
+            if (string.IsNullOrEmpty(sessionToken))
+            {
+                return Unauthorized("Authentication required");
+            }
+
+            var user = await _authService.ValidateSessionAsync(sessionToken);
+            if (user == null)
+            {
+                return Unauthorized("Invalid session");
+            }
+
+            var result = await _teamManager.CreateTeamAsync(user, request.Name);
+            return await TeamResultAsync(user, result, "TeamCreated");
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error creating team");
+            return StatusCode(500, "Internal server error");
+        }
+    }
+
+    [HttpPost("join")]
+    public async Task<ActionResult<TeamDetailsResponse>> JoinTeam([FromBody] JoinTeamRequest request)
+    {
+        try
+        {
+            var sessionToken = Request.Headers["Authorization"].FirstOrDefault()?.Replace("Bearer ", "");
+            if (string.IsNullOrEmpty(sessionToken))
+            {
+                return Unauthorized("Authentication required");
+            }
+
+            var user = await _authService.ValidateSessionAsync(sessionToken);
+            if (user == null)
+            {
+                return Unauthorized("Invalid session");
+            }
+
+            var result = await _teamManager.JoinTeamAsync(user, request.JoinCode);
+            return await TeamResultAsync(user, result, "TeamJoined");
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error joining team");
+            return StatusCode(500, "Internal server error");
+        }
+    }
+
+    [HttpPost("leave")]
+    public async Task<ActionResult> LeaveTeam()
+    {
+        try
+        {
+            var sessionToken = Request.Headers["Authorization"].FirstOrDefault()?.Replace("Bearer ", "");
+            if (string.IsNullOrEmpty(sessionToken))
+            {
+                return Unauthorized("Authentication required");
+            }
+
+            var user = await _authService.ValidateSessionAsync(sessionToken);
+            if (user == null)
+            {
+                return Unauthorized("Invalid session");
+            }
+
+            var result = await _teamManager.LeaveTeamAsync(user);
+            if (!result.Success)
+            {
+                return BadRequest(result.Message);
+            }
+
+            await LogTeamEventAsync("TeamLeft", user, result);
+            return Ok(new { message = result.Message });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error leaving team");
+            return StatusCode(500, "Internal server error");
+        }
+    }
+
+    // Captain only
+    [HttpPost("mine/members/{userId}/remove")]
+    public async Task<ActionResult<TeamDetailsResponse>> RemoveMember(string userId)
+    {
+        try
+        {
+            var sessionToken = Request.Headers["Authorization"].FirstOrDefault()?.Replace("Bearer ", "");
+            if (string.IsNullOrEmpty(sessionToken))
+            {
+                return Unauthorized("Authentication required");
+            }
+
+            var user = await _authService.ValidateSessionAsync(sessionToken);
+            if (user == null)
+            {
+                return Unauthorized("Invalid session");
+            }
+
+            var result = await _teamManager.RemoveMemberAsync(user, userId);
+            return await TeamResultAsync(user, result, "TeamMemberRemoved", new Dictionary<string, string>
+            {
+                ["MemberId"] = userId
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error removing member {MemberId} from team", userId);
+            return StatusCode(500, "Internal server error");
+        }
+    }
+
+    // Captain only
+    [HttpPost("mine/captain")]
+    public async Task<ActionResult<TeamDetailsResponse>> TransferCaptain([FromBody] TransferCaptainRequest request)
+    {
+        try
+        {
+            var sessionToken = Request.Headers["Authorization"].FirstOrDefault()?.Replace("Bearer ", "");
+            if (string.IsNullOrEmpty(sessionToken))
+            {
+                return Unauthorized("Authentication required");
+            }
+
+            var user = await _authService.ValidateSessionAsync(sessionToken);
+            if (user == null)
+            {
+                return Unauthorized("Invalid session");
+            }
+
+            var result = await _teamManager.TransferCaptainAsync(user, request.UserId);
+            return await TeamResultAsync(user, result, "TeamCaptainChanged", new Dictionary<string, string>
+            {
+                ["NewCaptainId"] = request.UserId
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error transferring team captain");
+            return StatusCode(500, "Internal server error");
+        }
+    }
+
+    // Captain only
+    [HttpPost("mine/join-code")]
+    public async Task<ActionResult<TeamDetailsResponse>> RegenerateJoinCode()
+    {
+        try
+        {
+            var sessionToken = Request.Headers["Authorization"].FirstOrDefault()?.Replace("Bearer ", "");
+            if (string.IsNullOrEmpty(sessionToken))
+            {
+                return Unauthorized("Authentication required");
+            }
+
+            var user = await _authService.ValidateSessionAsync(sessionToken);
+            if (user == null)
+            {
+                return Unauthorized("Invalid session");
+            }
+
+            var result = await _teamManager.RegenerateJoinCodeAsync(user);
+            return await TeamResultAsync(user, result, "TeamJoinCodeRegenerated");
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error regenerating team join code");
+            return StatusCode(500, "Internal server error");
+        }
+    }
+
+    // Failures become 400 (403 for non-captains); successes are logged and return the updated team
+    private async Task<ActionResult> TeamResultAsync(User user, TeamResult result, string eventType, Dictionary<string, string>? metadata = null)
+    {
+        if (!result.Success)
+        {
+            return result.IsForbidden ? StatusCode(403, result.Message) : BadRequest(result.Message);
+        }
+
+        await LogTeamEventAsync(eventType, user, result, metadata);
+        return Ok(await BuildTeamDetailsAsync(result.Team!, includeJoinCode: true, user));
+    }
+
+    private async Task LogTeamEventAsync(string eventType, User user, TeamResult result, Dictionary<string, string>? metadata = null)
+    {
+        metadata ??= new Dictionary<string, string>();
+        metadata["TeamId"] = result.Team!.Id;
+        metadata["TeamName"] = result.Team.Name;
+        await _loggingService.LogAsync(eventType, user.Id, null, result.Message, Models.LogLevel.Information, metadata);
+    }
+
+    // Rank and points follow the same freeze as the team leaderboard
+    private async Task<TeamDetailsResponse> BuildTeamDetailsAsync(Team team, bool includeJoinCode, User? viewer)
+    {
+        var members = await _dbService.GetTeamMembersAsync(team.Id);
+        var ranking = await _scoreManager.GetTeamRankingAsync(null, null, _competitionManager.GetScoreboardCutoff(viewer));
+        var entry = ranking.FirstOrDefault(e => e.TeamId == team.Id);
+
+        return new TeamDetailsResponse
+        {
+            Id = team.Id,
+            Name = team.Name,
+            CaptainId = team.CaptainId,
+            CreatedAt = team.CreatedAt,
+            JoinCode = includeJoinCode ? team.JoinCode : null,
+            MaxSize = _teamManager.MaxTeamSize,
+            Members = members.Select(m => new TeamMemberView
+            {
+                UserId = m.UserId,
+                Username = m.Username,
+                JoinedAt = m.JoinedAt,
+                IsCaptain = m.UserId == team.CaptainId
+            }).ToList(),
+            TotalPoints = entry?.TotalPoints ?? 0,
+            SolvedChallenges = entry?.SolvedChallenges ?? 0,
+            Rank = entry?.Rank ?? -1
+        };
+    }
+}
+
+public class CreateTeamRequest
+{
+    public string Name { get; set; } = string.Empty;
+}
+
+public class JoinTeamRequest
+{
+    public string JoinCode { get; set; } = string.Empty;
+}
+
+public class TransferCaptainRequest
+{
+    public string UserId { get; set; } = string.Empty;
+}
+
+public class TeamLeaderboardResponse
+{
+    public string? Category { get; set; }
+    public string Period { get; set; } = "all";
+    public DateTime? Since { get; set; }
+    public int TotalTeams { get; set; }
+    public List<TeamLeaderboardEntry> Leaderboard { get; set; } = new();
+    public TeamLeaderboardEntry? CurrentTeam { get; set; }
+    public DateTime? FrozenAt { get; set; }
+}
+
+public class TeamDetailsResponse
+{
+    public string Id { get; set; } = string.Empty;
+    public string Name { get; set; } = string.Empty;
+    public string CaptainId { get; set; } = string.Empty;
+    public DateTime CreatedAt { get; set; }
+    // Only sent to members
+    public string? JoinCode { get; set; }
+    public int MaxSize { get; set; }
+    public List<TeamMemberView> Members { get; set; } = new();
+    public int TotalPoints { get; set; }
+    public int SolvedChallenges { get; set; }
+    public int Rank { get; set; }
+}
+
+public class TeamMemberView
+{
+    public string UserId { get; set; } = string.Empty;
+    public string Username { get; set; } = string.Empty;
+    public DateTime JoinedAt { get; set; }
+    public bool IsCaptain { get; set; }
+}
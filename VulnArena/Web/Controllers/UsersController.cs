@@ -0,0 +1,228 @@
+using Microsoft.AspNetCore.Mvc;
+using VulnArena.Core;
+using VulnArena.Models;
+using VulnArena.Services;
+
+namespace VulnArena.Web.Controllers;
+
+[ApiController]
+[Route("api/[controller]")]
+public class UsersController : ControllerBase
+{
+    private readonly ILogger<UsersController> _logger;
+    private readonly ScoreManager _scoreManager;
+    private readonly AuthService _authService;
+    private readonly DBService _dbService;
+    private readonly AchievementManager _achievementManager;
+    private readonly CompetitionManager _competitionManager;
+
+    public UsersController(
+        ILogger<UsersController> logger,
+        ScoreManager scoreManager,
+        AuthService authService,
+        DBService dbService,
+        AchievementManager achievementManager,
+        CompetitionManager competitionManager)
+    {
+        _logger = logger;
+        _scoreManager = scoreManager;
+        _authService = authService;
+        _dbService = dbService;
+        _achievementManager = achievementManager;
+        _competitionManager = competitionManager;
+    }
+
+    // Leaderboards are public; a valid session identifies the caller's own entry and admins
+    private async Task<User?> GetOptionalUserAsync()
+    {
+        var sessionToken = Request.Headers["Authorization"].FirstOrDefault()?.Replace("Bearer ", "");
+        if (string.IsNullOrEmpty(sessionToken))
+        {
+            return null;
+        }
+
+        return await _authService.ValidateSessionAsync(sessionToken);
+    }
+
+    private const int MaxLeaderboardSize = 100;
+    private const int MaxTimelineUsers = 10;
+
+    [HttpGet("leaderboard")]
+    public async Task<ActionResult<LeaderboardResponse>> GetLeaderboard(
+        [FromQuery] string? category,
+        [FromQuery] string period = "all",
+        [FromQuery] int top = MaxLeaderboardSize)
+    {
+        try
+        {
+            if (!ScoreManager.LeaderboardPeriods.TryGetValue(period, out var window))
+            {
+                return BadRequest($"period must be one of: {string.Join(", ", ScoreManager.LeaderboardPeriods.Keys)}");
+            }
+
+            if (top < 1 || top > MaxLeaderboardSize)
+            {
+                return BadRequest($"top must be between 1 and {MaxLeaderboardSize}");
+            }
+
+            DateTime? since = window.HasValue ? DateTime.UtcNow - window.Value : null;
+            category = string.IsNullOrWhiteSpace(category) ? null : category.Trim();
+
+            // Players see the standings as of the freeze while the scoreboard is frozen; admins see them live
+            var user = await GetOptionalUserAsync();
+            var frozenAt = _competitionManager.GetScoreboardCutoff(user);
+
+            // Rank everyone so the caller's own position is known even outside the top entries
+            var ranking = await _scoreManager.GetRankingAsync(category, since, frozenAt);
+            var currentUser = user == null ? null : ranking.FirstOrDefault(e => e.UserId == user.Id);
+
+            return Ok(new LeaderboardResponse
+            {
+                Category = category,
+                Period = period.ToLowerInvariant(),
+                Since = since,
+                TotalUsers = ranking.Count(e => e.SolvedChallenges > 0),
+                TotalSolves = ranking.Sum(e => e.SolvedChallenges),
+                TotalPoints = ranking.Sum(e => e.TotalPoints),
+                Leaderboard = ranking.Take(top).ToList(),
+                CurrentUser = currentUser,
+                FrozenAt = frozenAt
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error getting leaderboard");
+            return StatusCode(500, "Internal server error");
+        }
+    }
+
+    // Cumulative score over time for the top scorers of a leaderboard view, or for the given user ids
+    [HttpGet("leaderboard/timeline")]
+    public async Task<ActionResult<ScoreTimelineResponse>> GetLeaderboardTimeline(
+        [FromQuery] string? category,
+        [FromQuery] string? users,
+        [FromQuery] string period = "all",
+        [FromQuery] int top = MaxTimelineUsers)
+    {
+        try
+        {
+            if (!ScoreManager.LeaderboardPeriods.TryGetValue(period, out var window))
+            {
+                return BadRequest($"period must be one of: {string.Join(", ", ScoreManager.LeaderboardPeriods.Keys)}");
+            }
+
+            if (top < 1 || top > MaxTimelineUsers)
+            {
+                return BadRequest($"top must be between 1 and {MaxTimelineUsers}");
+            }
+
+            DateTime? since = window.HasValue ? DateTime.UtcNow - window.Value : null;
+            category = string.IsNullOrWhiteSpace(category) ? null : category.Trim();
+
+            var frozenAt = _competitionManager.GetScoreboardCutoff(await GetOptionalUserAsync());
+            var ranking = await _scoreManager.GetRankingAsync(category, since, frozenAt);
+            var selected = ranking.Where(e => e.TotalPoints > 0);
+            if (!string.IsNullOrWhiteSpace(users))
+            {
+                var userIds = users.Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries).ToHashSet();
+                selected = selected.Where(e => userIds.Contains(e.UserId));
+            }
+
+            var entries = selected.Take(top).ToList();
+            var progressions = await _scoreManager.GetScoreProgressionsAsync(entries.Select(e => e.UserId), category, since, frozenAt);
+            var series = entries.Select(entry => new ScoreTimelineSeries
+            {
+                UserId = entry.UserId,
+                Username = entry.Username,
+                Rank = entry.Rank,
+                Solves = progressions[entry.UserId]
+            }).ToList();
+
+            return Ok(new ScoreTimelineResponse
+            {
+                Since = since,
+                Until = frozenAt ?? DateTime.UtcNow,
+                Series = series
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error getting leaderboard timeline");
+            return StatusCode(500, "Internal server error");
+        }
+    }
+
+    // Public profile: only what the leaderboard already reveals plus solve history, never contact details
+    [HttpGet("{id}/stats")]
+    public async Task<ActionResult<UserProfileResponse>> GetUserStats(string id)
+    {
+        try
+        {
+            var user = await _dbService.GetUserByIdAsync(id);
+            if (user == null || !user.IsActive)
+            {
+                return NotFound("User not found");
+            }
+
+            // Profiles follow the scoreboard freeze like the leaderboard, for their owner too
+            var frozenAt = _competitionManager.GetScoreboardCutoff(await GetOptionalUserAsync());
+            var stats = await _scoreManager.GetUserStatsAsync(user.Id, frozenAt);
+            var achievements = await _achievementManager.GetAchievementsAsync(user.Id, until: frozenAt);
+
+            return Ok(new UserProfileResponse
+            {
+                UserId = user.Id,
+                Username = user.Username,
+                CreatedAt = user.CreatedAt,
+                Stats = stats,
+                Achievements = achievements,
+                FrozenAt = frozenAt
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error getting stats for user {UserId}", id);
+            return StatusCode(500, "Internal server error");
+        }
+    }
+}
+
+public class LeaderboardResponse
+{
+    public string? Category { get; set; }
+    public string Period { get; set; } = "all";
+    public DateTime? Since { get; set; }
+    public int TotalUsers { get; set; }
+    public int TotalSolves { get; set; }
+    public int TotalPoints { get; set; }
+    public List<LeaderboardEntry> Leaderboard { get; set; } = new();
+    public LeaderboardEntry? CurrentUser { get; set; }
+    // Set when these are the frozen standings; solves after this time are hidden
+    public DateTime? FrozenAt { get; set; }
+}
+
+public class ScoreTimelineResponse
+{
+    public DateTime? Since { get; set; }
+    public DateTime Until { get; set; }
+    public List<ScoreTimelineSeries> Series { get; set; } = new();
+}
+
+public class ScoreTimelineSeries
+{
+    public string UserId { get; set; } = string.Empty;
+    public string Username { get; set; } = string.Empty;
+    public int Rank { get; set; }
+    public List<ScoreProgressionPoint> Solves { get; set; } = new();
+}
+
+public class UserProfileResponse
+{
+    public string UserId { get; set; } = string.Empty;
+    public string Username { get; set; } = string.Empty;
+    public DateTime CreatedAt { get; set; }
+    public UserStats Stats { get; set; } = new();
+    public AchievementSummary Achievements { get; set; } = new();
+    // Set when the profile shows the frozen standings; solves after this time are hidden
+    public DateTime? FrozenAt { get; set; }
+}
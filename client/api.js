@@ -0,0 +1,576 @@
+// API client for VulnArena, shared by all pages.
+// Load this before script.js; it exposes VulnArenaApi and the ApiError classes as globals.
+
+const DEFAULT_API_BASE_URL = 'http://localhost:5028/api';
+
+/**
+ * Resolves the API base URL. In order of precedence:
+ * a `vulnarena.apiBaseUrl` localStorage override, a
+ * `<meta name="vulnarena-api-base">` tag on the page, then the default.
+ */
+function resolveApiBaseUrl() {
+    const override = localStorage.getItem('vulnarena.apiBaseUrl');
+    const meta = document.querySelector('meta[name="vulnarena-api-base"]');
+    const baseUrl = override || (meta && meta.content) || DEFAULT_API_BASE_URL;
+    return baseUrl.replace(/\/+$/, '');
+}
+
+// =================================================================
+// == ERRORS =======================================================
+// =================================================================
+
+/**
+ * Base class for every error the API client throws.
+ * `status` is the HTTP status (0 when the request never got a response).
+ */
+class ApiError extends Error {
+    constructor(message, { status = 0, data = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.data = data;
+    }
+}
+
+/** 400 / 422 - the server rejected the input. `fieldErrors` comes from ProblemDetails responses. */
+class ValidationError extends ApiError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'ValidationError';
+        this.fieldErrors = (options.data && options.data.errors) || {};
+    }
+}
+
+/** 401 - missing, expired or invalid session. */
+class UnauthorizedError extends ApiError {
+    constructor(message = 'Unauthorized', options = {}) {
+        super(message, { status: 401, ...options });
+        this.name = 'UnauthorizedError';
+    }
+}
+
+/** 403 - authenticated but not allowed (e.g. non-admin on an admin route). */
+class ForbiddenError extends ApiError {
+    constructor(message = 'You do not have permission to do that.', options = {}) {
+        super(message, { status: 403, ...options });
+        this.name = 'ForbiddenError';
+    }
+}
+
+/** 404 */
+class NotFoundError extends ApiError {
+    constructor(message = 'Not found', options = {}) {
+        super(message, { status: 404, ...options });
+        this.name = 'NotFoundError';
+    }
+}
+
+/** 429 - `retryAfter` is in seconds when the server tells us, otherwise null. */
+class RateLimitedError extends ApiError {
+    constructor(message = 'Too many requests. Please slow down.', options = {}) {
+        super(message, { status: 429, ...options });
+        this.name = 'RateLimitedError';
+        this.retryAfter = options.retryAfter ?? null;
+    }
+}
+
+/** 5xx */
+class ServerError extends ApiError {
+    constructor(message = 'The server encountered an error.', options = {}) {
+        super(message, options);
+        this.name = 'ServerError';
+    }
+}
+
+/** The request never reached the server (offline, CORS, backend down). */
+class NetworkError extends ApiError {
+    constructor(message = 'Unable to reach the VulnArena server.', options = {}) {
+        super(message, options);
+        this.name = 'NetworkError';
+    }
+}
+
+/**
+ * True for requests cancelled through an AbortController. Callers should
+ * silently ignore these.
+ */
+function isAbortError(error) {
+    return error && error.name === 'AbortError';
+}
+
+// =================================================================
+// == CLIENT =======================================================
+// =================================================================
+
+class VulnArenaApi {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.baseUrl] - Defaults to resolveApiBaseUrl().
+     * @param {Function} [options.onUnauthorized] - Called when an authenticated request gets a 401.
+     * @param {number} [options.maxRetries] - Retries for idempotent GETs.
+     * @param {number} [options.retryDelay] - Base backoff in ms, doubled per attempt.
+     */
+    constructor({ baseUrl = resolveApiBaseUrl(), onUnauthorized = null, maxRetries = 2, retryDelay = 500 } = {}) {
+        this.baseUrl = baseUrl;
+        this.onUnauthorized = onUnauthorized;
+        this.maxRetries = maxRetries;
+        this.retryDelay = retryDelay;
+    }
+
+    getToken() {
+        const token = localStorage.getItem('sessionToken');
+        return token && token !== 'undefined' && token !== 'null' ? token : null;
+    }
+
+    /**
+     * Low-level fetch that adds the bearer token. Resolves with the raw
+     * Response for any HTTP status except 401, which throws UnauthorizedError
+     * (and notifies `onUnauthorized` if a token was sent, i.e. it was rejected).
+     * Pass `auth: false` for endpoints like login where 401 is an expected answer.
+     */
+    async fetchWithAuth(url, { auth = true, headers = {}, ...options } = {}) {
+        const baseHeaders = {};
+        if (options.body !== undefined && !(options.body instanceof FormData)) {
+            baseHeaders['Content-Type'] = 'application/json';
+        }
+        const token = auth ? this.getToken() : null;
+        if (token) {
+            baseHeaders['Authorization'] = `Bearer ${token}`;
+        }
+
+        let response;
+        try {
+            response = await fetch(url, { ...options, headers: { ...baseHeaders, ...headers } });
+        } catch (error) {
+            if (isAbortError(error)) throw error;
+            throw new NetworkError();
+        }
+
+        if (response.status === 401 && auth) {
+            const data = await this.parseBody(response);
+            if (token && this.onUnauthorized) this.onUnauthorized();
+            throw new UnauthorizedError(this.messageFrom(data, 'Session expired or invalid.'), { data });
+        }
+        return response;
+    }
+
+    /**
+     * Sends a request and returns the parsed body, or throws one of the ApiError classes.
+     * GETs are retried with exponential backoff on network errors, 5xx and 429.
+     *
+     * @param {string} method
+     * @param {string} path - Relative to the base URL, e.g. `/challenges`.
+     * @param {object} [options]
+     * @param {object} [options.query] - Query parameters; empty values are skipped.
+     * @param {*} [options.body] - Serialized as JSON unless it is FormData.
+     * @param {AbortSignal} [options.signal]
+     * @param {number} [options.retries] - Overrides the default retry count.
+     * @param {boolean} [options.auth] - Send the bearer token (default true).
+     * @param {boolean} [options.raw] - Resolve with the Response instead of the parsed body.
+     */
+    async request(method, path, { query, body, signal, retries, auth = true, raw = false } = {}) {
+        const url = this.buildUrl(path, query);
+        const maxRetries = retries ?? (method === 'GET' ? this.maxRetries : 0);
+        const init = { method, signal, auth };
+        if (body !== undefined) {
+            init.body = body instanceof FormData ? body : JSON.stringify(body);
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const response = await this.fetchWithAuth(url, init);
+                if (response.ok) {
+                    return raw ? response : this.parseBody(response);
+                }
+                throw await this.errorFromResponse(response);
+            } catch (error) {
+                const retryable = error instanceof NetworkError || error instanceof ServerError || error instanceof RateLimitedError;
+                if (!retryable || attempt >= maxRetries) throw error;
+
+                const backoff = this.retryDelay * 2 ** attempt;
+                const delay = error instanceof RateLimitedError && error.retryAfter
+                    ? Math.max(backoff, error.retryAfter * 1000)
+                    : backoff;
+                await this.sleep(delay, signal);
+            }
+        }
+    }
+
+    get(path, options) { return this.request('GET', path, options); }
+    post(path, body, options = {}) { return this.request('POST', path, { ...options, body }); }
+    put(path, body, options = {}) { return this.request('PUT', path, { ...options, body }); }
+
+    buildUrl(path, query) {
+        const url = new URL(`${this.baseUrl}${path}`, window.location.href);
+        if (query) {
+            Object.entries(query).forEach(([key, value]) => {
+                if (value !== undefined && value !== null && value !== '') {
+                    url.searchParams.set(key, value);
+                }
+            });
+        }
+        return url.toString();
+    }
+
+    async parseBody(response) {
+        const text = await response.text();
+        if (!text) return null;
+        try {
+            return JSON.parse(text);
+        } catch {
+            return text;
+        }
+    }
+
+    /**
+     * Pulls a human-readable message out of the shapes our controllers return:
+     * plain strings, `{ message }`, or ASP.NET ProblemDetails (`{ title, errors }`).
+     */
+    messageFrom(data, fallback) {
+        if (!data) return fallback;
+        if (typeof data === 'string') return data;
+        if (data.message) return data.message;
+        if (data.errors) {
+            const first = Object.values(data.errors).flat()[0];
+            if (first) return first;
+        }
+        return data.title || fallback;
+    }
+
+    async errorFromResponse(response) {
+        const data = await this.parseBody(response);
+        const status = response.status;
+
+        if (status === 400 || status === 422) {
+            return new ValidationError(this.messageFrom(data, 'The request was invalid.'), { status, data });
+        }
+        if (status === 403) {
+            return new ForbiddenError(this.messageFrom(data, undefined), { data });
+        }
+        if (status === 404) {
+            return new NotFoundError(this.messageFrom(data, undefined), { data });
+        }
+        if (status === 429) {
+            const header = parseInt(response.headers.get('Retry-After'), 10);
+            const retryAfter = Number.isNaN(header) ? (data && data.retryAfterSeconds) || null : header;
+            return new RateLimitedError(this.messageFrom(data, undefined), { data, retryAfter });
+        }
+        if (status >= 500) {
+            return new ServerError(this.messageFrom(data, `Server error: ${status}`), { status, data });
+        }
+        return new ApiError(this.messageFrom(data, `HTTP ${status}: ${response.statusText}`), { status, data });
+    }
+
+    /**
+     * Opens a Server-Sent Events stream and yields `{ event, data, id }` messages
+     * until the server closes it or `signal` aborts. Uses fetch rather than
+     * EventSource so the bearer token can be sent.
+     */
+    async *stream(path, { query, signal } = {}) {
+        const response = await this.fetchWithAuth(this.buildUrl(path, query), {
+            signal,
+            headers: { 'Accept': 'text/event-stream' }
+        });
+        if (!response.ok) {
+            throw await this.errorFromResponse(response);
+        }
+
+        const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+        let buffer = '';
+        try {
+            while (true) {
+                let chunk;
+                try {
+                    chunk = await reader.read();
+                } catch (error) {
+                    if (isAbortError(error)) throw error;
+                    throw new NetworkError('Stream interrupted.');
+                }
+                if (chunk.done) return;
+
+                buffer += chunk.value.replace(/\r\n?/g, '\n');
+                let boundary;
+                while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                    const message = this.parseServerSentEvent(buffer.slice(0, boundary));
+                    buffer = buffer.slice(boundary + 2);
+                    if (message) yield message;
+                }
+            }
+        } finally {
+            reader.cancel().catch(() => {});
+        }
+    }
+
+    /**
+     * Parses one SSE block. Returns null for comment-only blocks (keep-alives).
+     */
+    parseServerSentEvent(block) {
+        let event = 'message';
+        let id = null;
+        const data = [];
+        block.split('\n').forEach(line => {
+            if (!line || line.startsWith(':')) return;
+            const colon = line.indexOf(':');
+            const field = colon === -1 ? line : line.slice(0, colon);
+            const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+            if (field === 'event') event = value;
+            else if (field === 'data') data.push(value);
+            else if (field === 'id') id = value;
+        });
+        return data.length ? { event, id, data: data.join('\n') } : null;
+    }
+
+    sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(new DOMException('Aborted', 'AbortError'));
+                return;
+            }
+            const timer = setTimeout(resolve, ms);
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    reject(new DOMException('Aborted', 'AbortError'));
+                }, { once: true });
+            }
+        });
+    }
+
+    // =================================================================
+    // == AUTH =========================================================
+    // =================================================================
+
+    login(username, password) {
+        return this.post('/Auth/login', { username, password }, { auth: false });
+    }
+
+    register(username, email, password) {
+        return this.post('/Auth/register', { username, email, password }, { auth: false });
+    }
+
+    logout() {
+        return this.post('/Auth/logout');
+    }
+
+    me(options) {
+        return this.get('/Auth/me', options);
+    }
+
+    validateSession() {
+        return this.post('/Auth/validate-session');
+    }
+
+    changePassword(currentPassword, newPassword) {
+        return this.post('/Auth/change-password', { currentPassword, newPassword });
+    }
+
+    // =================================================================
+    // == COMPETITION ==================================================
+    // =================================================================
+
+    getCompetition(options) {
+        return this.get('/competition', options);
+    }
+
+    // =================================================================
+    // == CHALLENGES ===================================================
+    // =================================================================
+
+    getChallenges({ category, signal } = {}) {
+        const query = category && category !== 'all' ? { category } : undefined;
+        return this.get('/challenges', { query, signal });
+    }
+
+    getChallenge(id, options) {
+        return this.get(`/challenges/${encodeURIComponent(id)}`, options);
+    }
+
+    getCategories(options) {
+        return this.get('/challenges/categories', options);
+    }
+
+    revealHint(id, index) {
+        return this.post(`/challenges/${encodeURIComponent(id)}/hints/${index}`);
+    }
+
+    startChallenge(id) {
+        return this.post(`/challenges/${encodeURIComponent(id)}/start`);
+    }
+
+    stopChallenge(id) {
+        return this.post(`/challenges/${encodeURIComponent(id)}/stop`);
+    }
+
+    submitFlag(id, flag) {
+        return this.post(`/challenges/${encodeURIComponent(id)}/submit`, { flag });
+    }
+
+    /** The caller's attempts at a challenge (flags masked) and `rateLimit: { limit, remaining, isRateLimited, retryAfterSeconds }`. */
+    getMySubmissions(id, options) {
+        return this.get(`/challenges/${encodeURIComponent(id)}/submissions`, options);
+    }
+
+    getSandbox(id, options) {
+        return this.get(`/challenges/${encodeURIComponent(id)}/sandbox`, options);
+    }
+
+    extendSandbox(id, minutes) {
+        return this.post(`/challenges/${encodeURIComponent(id)}/sandbox/extend`, { minutes });
+    }
+
+    /** Resolves with what changed on disk: `{ total, added, removed, changed, errors }`. */
+    reloadChallenges() {
+        return this.post('/challenges/reload');
+    }
+
+    /** Every challenge folder with its raw challenge.json, including inactive ones (admins only). */
+    getAdminChallenges(options) {
+        return this.get('/challenges/admin', options);
+    }
+
+    /** Resolves with `{ valid, errors }`; nothing is written. */
+    validateChallenge(id, json) {
+        return this.post('/challenges/admin/validate', { id, json });
+    }
+
+    /**
+     * The save methods resolve with `{ message, reload }`. An invalid definition
+     * rejects with ValidationError, whose `data.errors` lists the problems.
+     */
+    createChallenge(id, json) {
+        return this.post('/challenges/admin', { id, json });
+    }
+
+    updateChallenge(id, json) {
+        return this.put(`/challenges/admin/${encodeURIComponent(id)}`, { id, json });
+    }
+
+    setChallengeActive(id, isActive) {
+        return this.post(`/challenges/admin/${encodeURIComponent(id)}/active`, { isActive });
+    }
+
+    /** Every submission for a challenge with `players` and `sharedFlags` summaries (admins only). */
+    getChallengeSubmissions(id, options) {
+        return this.get(`/challenges/admin/${encodeURIComponent(id)}/submissions`, options);
+    }
+
+    uploadChallengeFile(id, file) {
+        const form = new FormData();
+        form.append('file', file);
+        return this.post(`/challenges/admin/${encodeURIComponent(id)}/files`, form);
+    }
+
+    /** Size and SHA-256 of each of the challenge's files. */
+    getChallengeFiles(id, options) {
+        return this.get(`/challenges/${encodeURIComponent(id)}/files`, options);
+    }
+
+    /** Resolves with the raw Response so callers can read it as a Blob. */
+    downloadFile(id, filename, options = {}) {
+        return this.get(`/challenges/${encodeURIComponent(id)}/files/${encodeURIComponent(filename)}`, { ...options, raw: true });
+    }
+
+    /** All of the challenge's files as one zip; resolves with the raw Response like downloadFile. */
+    downloadAllFiles(id, options = {}) {
+        return this.get(`/challenges/${encodeURIComponent(id)}/files.zip`, { ...options, raw: true });
+    }
+
+    getScoreboard(options) {
+        return this.get('/challenges/scoreboard', options);
+    }
+
+    // =================================================================
+    // == LOGS =========================================================
+    // =================================================================
+
+    getLogs(query, options = {}) {
+        return this.get('/Logs', { ...options, query });
+    }
+
+    getLogStatistics(query, options = {}) {
+        return this.get('/Logs/statistics', { ...options, query });
+    }
+
+    getLogsByLevel(level, query, options = {}) {
+        return this.get(`/Logs/by-level/${encodeURIComponent(level)}`, { ...options, query });
+    }
+
+    getLogsByChallenge(challengeId, query, options = {}) {
+        return this.get(`/Logs/by-challenge/${encodeURIComponent(challengeId)}`, { ...options, query });
+    }
+
+    /** Resolves with the raw Response so callers can read it as a Blob. */
+    exportLogs(query, options = {}) {
+        return this.get('/Logs/export', { ...options, query, raw: true });
+    }
+
+    previewLogCleanup(olderThanDays) {
+        return this.get('/Logs/cleanup/preview', { query: { olderThanDays } });
+    }
+
+    cleanupLogs(cutoffDate) {
+        return this.post('/Logs/cleanup', { cutoffDate });
+    }
+
+    /** Live log entries; see stream(). */
+    streamLogs(query, options = {}) {
+        return this.stream('/Logs/stream', { ...options, query });
+    }
+
+    // =================================================================
+    // == USERS ========================================================
+    // =================================================================
+
+    getLeaderboard(query, options = {}) {
+        return this.get('/users/leaderboard', { ...options, query });
+    }
+
+    getLeaderboardTimeline(query, options = {}) {
+        return this.get('/users/leaderboard/timeline', { ...options, query });
+    }
+
+    getUserStats(userId, options = {}) {
+        return this.get(`/users/${encodeURIComponent(userId)}/stats`, options);
+    }
+
+    // =================================================================
+    // == TEAMS ========================================================
+    // =================================================================
+
+    getTeamLeaderboard(query, options = {}) {
+        return this.get('/teams/leaderboard', { ...options, query });
+    }
+
+    /** Rejects with NotFoundError when the user is not in a team. */
+    getMyTeam(options) {
+        return this.get('/teams/mine', options);
+    }
+
+    getTeam(id, options) {
+        return this.get(`/teams/${encodeURIComponent(id)}`, options);
+    }
+
+    createTeam(name) {
+        return this.post('/teams', { name });
+    }
+
+    joinTeam(joinCode) {
+        return this.post('/teams/join', { joinCode });
+    }
+
+    leaveTeam() {
+        return this.post('/teams/leave');
+    }
+
+    removeTeamMember(userId) {
+        return this.post(`/teams/mine/members/${encodeURIComponent(userId)}/remove`);
+    }
+
+    transferTeamCaptain(userId) {
+        return this.post('/teams/mine/captain', { userId });
+    }
+
+    regenerateTeamJoinCode() {
+        return this.post('/teams/mine/join-code');
+    }
+}
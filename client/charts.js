@@ -0,0 +1,252 @@
+// Dependency-free SVG charts for VulnArena dashboards.
+// Load this before script.js; it exposes VulnArenaCharts as a global.
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const CHART_COLORS = ['#00d4ff', '#00ff88', '#ffc107', '#ff6b6b', '#a78bfa', '#f472b6', '#34d399', '#fb923c', '#60a5fa', '#e5e7eb'];
+
+/**
+ * Creates an SVG element with the given attributes.
+ */
+function svgElement(tag, attributes = {}) {
+    const element = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    return element;
+}
+
+/**
+ * Adds a native tooltip to an SVG element.
+ */
+function svgTitle(element, text) {
+    const title = svgElement('title');
+    title.textContent = text;
+    element.appendChild(title);
+    return element;
+}
+
+/**
+ * Replaces the container's content with an "empty" message. Returns true if there was nothing to draw.
+ */
+function renderEmptyChart(container, isEmpty, message = 'No data for this period') {
+    if (!isEmpty) return false;
+    const empty = document.createElement('p');
+    empty.className = 'chart-empty';
+    empty.textContent = message;
+    container.replaceChildren(empty);
+    return true;
+}
+
+const VulnArenaCharts = {
+    colors: CHART_COLORS,
+
+    /**
+     * Area/line chart over time.
+     * @param {HTMLElement} container
+     * @param {Array<{label: string, values: number[]}>} series - One entry per line, all the same length.
+     * @param {string[]} labels - X axis labels, one per point.
+     * @param {object} [options]
+     * @param {number} [options.height]
+     * @param {number} [options.maxXLabels] - Labels are thinned out to at most this many.
+     */
+    timeline(container, series, labels, { height = 220, maxXLabels = 6 } = {}) {
+        const total = series.reduce((sum, s) => sum + s.values.reduce((a, b) => a + b, 0), 0);
+        if (renderEmptyChart(container, labels.length === 0 || total === 0)) return;
+
+        const width = 640;
+        const pad = { top: 10, right: 10, bottom: 28, left: 40 };
+        const plotWidth = width - pad.left - pad.right;
+        const plotHeight = height - pad.top - pad.bottom;
+        const max = Math.max(1, ...series.flatMap(s => s.values));
+        const x = (i) => pad.left + (labels.length === 1 ? plotWidth / 2 : (i / (labels.length - 1)) * plotWidth);
+        const y = (value) => pad.top + plotHeight - (value / max) * plotHeight;
+
+        const svg = svgElement('svg', { viewBox: `0 0 ${width} ${height}`, class: 'chart-svg', role: 'img' });
+
+        // Horizontal grid lines with y-axis values
+        [0, 0.5, 1].forEach(fraction => {
+            const value = Math.round(max * fraction);
+            svg.appendChild(svgElement('line', {
+                x1: pad.left, x2: width - pad.right, y1: y(value), y2: y(value), class: 'chart-grid'
+            }));
+            const label = svgElement('text', { x: pad.left - 6, y: y(value) + 4, 'text-anchor': 'end', class: 'chart-axis' });
+            label.textContent = value;
+            svg.appendChild(label);
+        });
+
+        const step = Math.max(1, Math.ceil(labels.length / maxXLabels));
+        labels.forEach((text, i) => {
+            if (i % step !== 0) return;
+            const label = svgElement('text', { x: x(i), y: height - 8, 'text-anchor': 'middle', class: 'chart-axis' });
+            label.textContent = text;
+            svg.appendChild(label);
+        });
+
+        series.forEach((s, index) => {
+            const color = s.color || CHART_COLORS[index % CHART_COLORS.length];
+            const points = s.values.map((value, i) => `${x(i)},${y(value)}`).join(' ');
+            if (index === 0) {
+                svg.appendChild(svgElement('polygon', {
+                    points: `${x(0)},${y(0)} ${points} ${x(s.values.length - 1)},${y(0)}`,
+                    fill: color, 'fill-opacity': 0.15
+                }));
+            }
+            svg.appendChild(svgElement('polyline', { points, fill: 'none', stroke: color, 'stroke-width': 2 }));
+            s.values.forEach((value, i) => {
+                svg.appendChild(svgTitle(svgElement('circle', { cx: x(i), cy: y(value), r: 3, fill: color }),
+                    `${labels[i]}: ${value} ${s.label}`));
+            });
+        });
+
+        container.replaceChildren(svg, this.legend(series.map((s, i) => ({
+            label: s.label, color: s.color || CHART_COLORS[i % CHART_COLORS.length]
+        }))));
+    },
+
+    /**
+     * Step chart of running totals on a real time axis, e.g. score progression.
+     * Each series starts at 0 on the left edge and holds its last value until the right edge.
+     * @param {HTMLElement} container
+     * @param {Array<{label: string, color?: string, points: Array<{time: number, value: number, title: string}>}>} series
+     *   Points are in time order; time is in milliseconds and title is the point's tooltip.
+     * @param {object} [options]
+     * @param {number} [options.start] - Left edge (ms); defaults to the earliest point.
+     * @param {number} [options.end] - Right edge (ms); defaults to now.
+     * @param {number} [options.height]
+     * @param {(time: number) => string} [options.formatTime] - X axis label formatter.
+     */
+    steps(container, series, { start, end = Date.now(), height = 280, formatTime = (t) => new Date(t).toLocaleDateString() } = {}) {
+        const allPoints = series.flatMap(s => s.points);
+        if (renderEmptyChart(container, allPoints.length === 0)) return;
+
+        const width = 640;
+        const pad = { top: 10, right: 10, bottom: 28, left: 48 };
+        const plotWidth = width - pad.left - pad.right;
+        const plotHeight = height - pad.top - pad.bottom;
+        const minTime = start ?? Math.min(...allPoints.map(p => p.time));
+        const maxTime = Math.max(end, minTime + 1);
+        const max = Math.max(1, ...allPoints.map(p => p.value));
+        const x = (time) => pad.left + ((time - minTime) / (maxTime - minTime)) * plotWidth;
+        const y = (value) => pad.top + plotHeight - (value / max) * plotHeight;
+
+        const svg = svgElement('svg', { viewBox: `0 0 ${width} ${height}`, class: 'chart-svg', role: 'img' });
+
+        [0, 0.5, 1].forEach(fraction => {
+            const value = Math.round(max * fraction);
+            svg.appendChild(svgElement('line', {
+                x1: pad.left, x2: width - pad.right, y1: y(value), y2: y(value), class: 'chart-grid'
+            }));
+            const label = svgElement('text', { x: pad.left - 6, y: y(value) + 4, 'text-anchor': 'end', class: 'chart-axis' });
+            label.textContent = value;
+            svg.appendChild(label);
+        });
+
+        [0, 0.25, 0.5, 0.75, 1].forEach(fraction => {
+            const time = minTime + (maxTime - minTime) * fraction;
+            const anchor = fraction === 0 ? 'start' : fraction === 1 ? 'end' : 'middle';
+            const label = svgElement('text', { x: x(time), y: height - 8, 'text-anchor': anchor, class: 'chart-axis' });
+            label.textContent = formatTime(time);
+            svg.appendChild(label);
+        });
+
+        const colored = series.map((s, i) => ({ ...s, color: s.color || CHART_COLORS[i % CHART_COLORS.length] }));
+        colored.forEach(s => {
+            let path = `M ${x(minTime)} ${y(0)}`;
+            s.points.forEach(p => {
+                path += ` H ${x(p.time)} V ${y(p.value)}`;
+            });
+            path += ` H ${x(maxTime)}`;
+            svg.appendChild(svgElement('path', { d: path, fill: 'none', stroke: s.color, 'stroke-width': 2 }));
+            s.points.forEach(p => {
+                svg.appendChild(svgTitle(svgElement('circle', { cx: x(p.time), cy: y(p.value), r: 4, fill: s.color }),
+                    `${s.label}: ${p.title}`));
+            });
+        });
+
+        container.replaceChildren(svg, this.legend(colored.map(s => ({ label: s.label, color: s.color }))));
+    },
+
+    /**
+     * Horizontal bar chart, largest first as given.
+     * @param {HTMLElement} container
+     * @param {Array<{label: string, value: number, color?: string}>} items
+     */
+    bars(container, items) {
+        if (renderEmptyChart(container, items.length === 0)) return;
+
+        const rowHeight = 26;
+        const width = 400;
+        const labelWidth = 130;
+        const max = Math.max(1, ...items.map(item => item.value));
+        const svg = svgElement('svg', {
+            viewBox: `0 0 ${width} ${items.length * rowHeight}`, class: 'chart-svg', role: 'img'
+        });
+
+        items.forEach((item, i) => {
+            const y = i * rowHeight;
+            const barWidth = ((width - labelWidth - 50) * item.value) / max;
+            const label = svgElement('text', { x: 0, y: y + 17, class: 'chart-label' });
+            label.textContent = item.label.length > 18 ? `${item.label.slice(0, 17)}…` : item.label;
+            svg.appendChild(svgTitle(label, item.label));
+            svg.appendChild(svgTitle(svgElement('rect', {
+                x: labelWidth, y: y + 5, width: Math.max(barWidth, 2), height: rowHeight - 10, rx: 4,
+                fill: item.color || CHART_COLORS[0]
+            }), `${item.label}: ${item.value}`));
+            const value = svgElement('text', { x: labelWidth + barWidth + 6, y: y + 17, class: 'chart-value' });
+            value.textContent = item.value;
+            svg.appendChild(value);
+        });
+
+        container.replaceChildren(svg);
+    },
+
+    /**
+     * Donut chart with a legend.
+     * @param {HTMLElement} container
+     * @param {Array<{label: string, value: number, color?: string}>} segments
+     */
+    donut(container, segments) {
+        const total = segments.reduce((sum, s) => sum + s.value, 0);
+        if (renderEmptyChart(container, total === 0)) return;
+
+        const size = 160;
+        const radius = 60;
+        const circumference = 2 * Math.PI * radius;
+        const svg = svgElement('svg', { viewBox: `0 0 ${size} ${size}`, class: 'chart-svg chart-donut', role: 'img' });
+
+        let offset = 0;
+        const withColors = segments.map((s, i) => ({ ...s, color: s.color || CHART_COLORS[i % CHART_COLORS.length] }));
+        withColors.filter(s => s.value > 0).forEach(s => {
+            const length = (s.value / total) * circumference;
+            svg.appendChild(svgTitle(svgElement('circle', {
+                cx: size / 2, cy: size / 2, r: radius, fill: 'none', stroke: s.color, 'stroke-width': 24,
+                'stroke-dasharray': `${length} ${circumference - length}`,
+                'stroke-dashoffset': -offset,
+                transform: `rotate(-90 ${size / 2} ${size / 2})`
+            }), `${s.label}: ${s.value} (${Math.round((s.value / total) * 100)}%)`));
+            offset += length;
+        });
+
+        const center = svgElement('text', { x: size / 2, y: size / 2 + 6, 'text-anchor': 'middle', class: 'chart-total' });
+        center.textContent = total;
+        svg.appendChild(center);
+
+        container.replaceChildren(svg, this.legend(withColors.map(s => ({ label: `${s.label} (${s.value})`, color: s.color }))));
+    },
+
+    /**
+     * Builds an HTML legend for a chart.
+     */
+    legend(entries) {
+        const list = document.createElement('ul');
+        list.className = 'chart-legend';
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            const swatch = document.createElement('span');
+            swatch.className = 'chart-swatch';
+            swatch.style.background = entry.color;
+            item.append(swatch, entry.label);
+            list.appendChild(item);
+        });
+        return list;
+    }
+};
@@ -0,0 +1,79 @@
+// HTML templating for VulnArena pages.
+// Load this before script.js; it exposes html, escapeHtml, setHtml and appendHtml as globals.
+//
+// Everything that goes into innerHTML goes through the `html` tag: interpolated values are
+// escaped unless they are themselves `html` templates, so usernames, log messages, challenge
+// text and filenames from the server can never become markup. setHtml/appendHtml refuse plain
+// strings, which keeps unescaped HTML out of the page even by accident.
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+    '`': '&#96;'
+};
+
+/**
+ * Markup produced by the `html` tag. Only instances of this class are inserted as HTML.
+ */
+class SafeHtml {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+/**
+ * Escapes a value for use in element content or a quoted attribute value.
+ * null and undefined become an empty string.
+ */
+function escapeHtml(value) {
+    if (value === null || value === undefined) return '';
+    return String(value).replace(/[&<>"'`]/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Tagged template that escapes every interpolated value. Nested `html` templates are inserted
+ * as-is, arrays are joined (so `${items.map(item => html`...`)}` works), and false, null and
+ * undefined render nothing, for `${condition && html`...`}`.
+ */
+function html(strings, ...values) {
+    const markup = strings.reduce((result, string, i) => {
+        if (i === 0) return string;
+        return result + renderHtmlValue(values[i - 1]) + string;
+    }, '');
+    return new SafeHtml(markup);
+}
+
+function renderHtmlValue(value) {
+    if (value instanceof SafeHtml) return value.markup;
+    if (Array.isArray(value)) return value.map(renderHtmlValue).join('');
+    if (value === false || value === null || value === undefined) return '';
+    return escapeHtml(value);
+}
+
+/**
+ * Replaces the element's content with an `html` template.
+ */
+function setHtml(element, template) {
+    element.innerHTML = requireSafeHtml(template);
+}
+
+/**
+ * Inserts an `html` template relative to the element (an insertAdjacentHTML position).
+ */
+function appendHtml(element, template, position = 'beforeend') {
+    element.insertAdjacentHTML(position, requireSafeHtml(template));
+}
+
+function requireSafeHtml(template) {
+    if (!(template instanceof SafeHtml)) {
+        throw new TypeError('Expected an html`...` template; plain strings are not inserted as HTML');
+    }
+    return template.markup;
+}
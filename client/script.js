@@ -3,45 +3,194 @@
 // A single global instance, available on all pages that include this script.
 let vulnArenaUI;
 
-// Global logout function, callable from any page's HTML via onclick="logout()"
+// Warn this long before the session token expires
+const SESSION_WARNING_MS = 5 * 60 * 1000;
+
+// Shown on index.html when another page sends the user back to log in (index.html?session=...)
+const SESSION_PROMPTS = {
+    'expired': 'Your session has expired. Please log in again.',
+    'password-changed': 'Password changed. Please log in with your new password.'
+};
+
+// Flag submission outcomes by their SubmissionOutcome enum value; also the #flag-result class
+const SUBMISSION_OUTCOMES = ['correct', 'incorrect', 'rate-limited', 'already-solved', 'challenge-inactive', 'competition-closed', 'error'];
+
+// Matches the UserRole enum on the server
+const USER_ROLES = ['User', 'Moderator', 'Admin'];
+
+// Matches the LogLevel enum on the server
+const LOG_LEVELS = ['Debug', 'Information', 'Warning', 'Error', 'Critical'];
+
+// Logs page: filters kept in the URL, and rows rendered per animation frame
+const LOG_QUERY_PARAMS = ['level', 'user', 'search', 'challengeId', 'ip', 'from', 'to', 'page', 'pageSize'];
+const LOG_DEFAULT_PAGE_SIZE = 50;
+const LOG_MAX_PAGE_SIZE = 200; // LogQuery.MaxPageSize on the server
+const LOG_RENDER_CHUNK_SIZE = 50;
+
+// Logs page: statistics time windows, in milliseconds (null = all time)
+const STATS_WINDOWS = { '1h': 3600000, '24h': 86400000, '7d': 7 * 86400000, '30d': 30 * 86400000, 'all': null };
+const LOG_LEVEL_COLORS = { Debug: '#6c757d', Info: '#00d4ff', Warning: '#ffc107', Error: '#ff6b6b', Critical: '#d63031' };
+
+// Logs page: live stream reconnect backoff, and the polling fallback used while it is down
+const LIVE_RETRY_MIN_MS = 2000;
+const LIVE_RETRY_MAX_MS = 60000;
+const LOG_POLL_INTERVAL_MS = 15000;
+const LIVE_SCROLL_IDLE_MS = 800;
+
+// Leaderboard page: time windows understood by /api/Users/leaderboard
+const LEADERBOARD_PERIODS = ['all', '30d', '7d', '24h'];
+const PROGRESSION_MAX_USERS = 10;
+
+// CSV exports: cells starting with these open as formulas in spreadsheet apps, so they get a leading '.
+// Keep in step with LogsController.CsvFormulaPrefixes on the server
+const CSV_FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+// Challenges page: difficulty names by their ChallengeDifficulty enum value, and the sort orders
+// offered next to the search box (the default keeps the server's order)
+const CHALLENGE_DIFFICULTIES = ['easy', 'medium', 'hard', 'expert'];
+const CHALLENGE_SORTS = ['default', 'points', 'solves', 'newest'];
+
+// Challenge cards re-fetch point values and solve counts this often; dynamic challenges lose value as others solve them
+const CHALLENGE_REFRESH_MS = 30000;
+
+// The header countdown re-renders this often
+const COUNTDOWN_TICK_MS = 1000;
+
+// Admin page: starting point for a new challenge.json. New challenges start inactive so they can be checked before players see them
+const NEW_CHALLENGE_TEMPLATE = {
+    title: '',
+    description: '',
+    category: '',
+    flag: 'flag{...}',
+    flagType: 'PlainText',
+    difficulty: 'Easy',
+    points: 100,
+    requiresContainer: false,
+    tags: [],
+    author: '',
+    isActive: false,
+    hints: [],
+    files: [],
+    metadata: {}
+};
+
+// Achievement toasts follow each other instead of stacking; notifications stay up for 3s
+const ACHIEVEMENT_TOAST_INTERVAL_MS = 3200;
+
+// Admin submissions view: players with this many attempts within one minute are highlighted
+const BRUTE_FORCE_ATTEMPTS_PER_MINUTE = 5;
+
+// Buttons declare what they do with data-action="..." instead of inline onclick handlers
+// (which the Content-Security-Policy blocks); one delegated listener runs the matching entry
+const UI_ACTIONS = {
+    'logout': () => logout(),
+    'load-challenges': ui => ui.loadChallenges(),
+    'close-challenge-modal': ui => ui.closeChallengeModal(),
+    'download-challenge-file': (ui, button) => ui.downloadChallengeFile(button.dataset.file, button),
+    'download-all-challenge-files': (ui, button) => ui.downloadAllChallengeFiles(button),
+    'close-scoreboard': () => document.getElementById('scoreboard').classList.add('hidden'),
+    'close-congratulations': ui => ui.closeCongratulations(),
+    'close-auth-modal': ui => ui.closeAuthModal(),
+    'load-leaderboard': ui => ui.loadLeaderboard(),
+    'toggle-leaderboard-view': ui => ui.toggleLeaderboardView(),
+    'load-logs': ui => ui.loadLogs()
+};
+
+// Global logout function, also used by the header's data-action="logout" button
 function logout() {
+    if (vulnArenaUI) {
+        vulnArenaUI.logout();
+        return;
+    }
     localStorage.removeItem('sessionToken');
     localStorage.removeItem('user');
-    // Redirect to home page for a clean login state.
+    localStorage.removeItem('sessionExpiresAt');
     window.location.href = 'index.html';
 }
 
 class VulnArenaUI {
     constructor() {
-        this.apiBaseUrl = 'http://localhost:5028/api';
+        this.api = new VulnArenaApi({ onUnauthorized: () => this.handleSessionExpired() }); // See api.js
+        this.sessionTimers = []; // Expiry warning/timeout for the current session
+        this.competition = null; // Competition window from the server, or null if it couldn't be loaded
+        this.competitionClockOffset = 0; // Server time minus local time, so the countdown ignores a wrong local clock
+        this.competitionTimer = null; // Ticks the header countdown
+        this.loggingOut = false; // Set while an explicit logout is in progress
         this.currentChallenge = null; // Used for the challenge modal
+        this.submittingFlag = false; // A flag submission is in flight; further submits are ignored
+        this.submitCooldownUntil = 0; // Rate limited until this time (ms); applies to every challenge
+        this.submitCooldownTimer = null; // Ticks the submit button's countdown
         this.challenges = []; // To store the list of challenges
-        this.logs = []; // For logs page
-        this.filteredLogs = []; // For logs page
-        this.autoRefreshInterval = null; // For logs page
-        this.refreshCountdown = 15; // For logs page
+        this.challengeQuery = this.emptyChallengeQuery(); // Search, filters and sort over this.challenges, mirrored in the URL
+        this.challengeRefreshInterval = null; // Keeps card values and solve counts current
+        this.nextChallengeId = null; // Suggested by the congratulations modal after a solve
+        this.challengesRequest = null; // AbortController for the in-flight challenge list request
+        this.logs = []; // For logs page: the current page of entries
+        this.logQuery = {}; // For logs page: filters and paging, mirrored in the URL
+        this.logPage = null; // For logs page: paging info from the last response
+        this.logsRequest = null; // AbortController for the in-flight logs request
+        this.logRenderId = 0; // Cancels an unfinished incremental render
+        this.liveStream = null; // For logs page: AbortController for the live log stream
+        this.liveRetryDelay = LIVE_RETRY_MIN_MS; // Reconnect backoff, doubled per failure
+        this.liveRetryTimer = null;
+        this.logPollInterval = null; // Polling fallback while the stream is down
+        this.pendingLiveLogs = []; // New entries held back while the user is scrolling
+        this.liveScrolling = false;
+        this.liveScrollTimer = null;
+        this.selectedLog = null; // Entry shown in the log detail drawer
+        this.leaderboardRequest = null; // AbortController for the in-flight leaderboard request
+        this.leaderboardData = null; // Last leaderboard response, used for exports
+        this.teamLeaderboardRequest = null; // AbortController for the in-flight team ranking request
+        this.progressionRequest = null; // AbortController for the in-flight score timeline request
+        this.progressionUsers = new Set(); // Players picked for the score chart; empty means the top 10
+        this.achievementsRequest = null; // AbortController for the current user's achievements on the leaderboard
+        this.cleanupPreview = null; // Last retention preview; its cutoff is what a confirmed cleanup deletes
+        this.sandboxes = {}; // Sandbox state per challenge id, kept across modal close/reopen
+        this.sandboxPollInterval = null; // Status polling while the challenge modal is open
+        this.sandboxCountdownInterval = null; // Ticks the expiry countdown every second
+        this.adminChallenges = []; // Admin page: every challenge folder, as last loaded
+        this.adminMaxUploadBytes = 0; // Admin page: attachment size limit from the server
+        this.editingChallengeId = null; // Admin page: challenge open in the editor, null for a new one
     }
 
     /**
      * Initializes the UI. Runs on every page load.
      * It's "defensive" - it checks if elements exist before using them.
      */
-    init() {
+    async init() {
         // Step 1: Render the initial state of the UI (e.g., show login button)
         this.updateUserInfo();
         
         // Step 2: Set up all event listeners for the whole document
         this.setupEventListeners();
+
+        // Step 3: Check the stored session with the server before loading data that depends on it
+        await this.validateSession();
+        this.showSessionPrompt();
+
+        // Step 4: The competition window decides what the challenge list shows, so load it first
+        await this.loadCompetition();
         
-        // Step 3: Load page-specific data
+        // Step 5: Load page-specific data
         if (document.getElementById('challenges')) {
-            this.loadChallenges();
+            this.initChallengeFilters();
+            this.loadChallenges().then(() => this.restorePendingFlag());
+            this.challengeRefreshInterval = setInterval(() => this.refreshChallengeStats(), CHALLENGE_REFRESH_MS);
         }
         if (document.getElementById('logs-table-body')) {
-            this.loadLogs();
+            this.initLogsPage();
         }
-        if (document.getElementById('leaderboard-table-body')) {
-            this.loadLeaderboard();
+        if (document.getElementById('leaderboardTable')) {
+            this.initLeaderboardPage();
+        }
+        if (document.getElementById('account-main')) {
+            this.initAccountPage();
+        }
+        if (document.getElementById('profile-main')) {
+            this.initProfilePage();
+        }
+        if (document.getElementById('admin-main')) {
+            this.initAdminPage();
         }
     }
 
@@ -54,8 +203,13 @@ class VulnArenaUI {
 
         // --- Event Delegation for Dynamic Elements ---
         doc.addEventListener('click', (e) => {
+            // Buttons with a data-action (see UI_ACTIONS)
+            const actionBtn = e.target.closest('[data-action]');
+            if (actionBtn && UI_ACTIONS[actionBtn.dataset.action]) {
+                UI_ACTIONS[actionBtn.dataset.action](this, actionBtn);
+            }
             // Login button in the header
-            if (e.target.matches('#auth-button')) {
+            if (e.target.closest('#auth-button')) {
                 this.showAuthModal();
             }
             // Challenge category filters
@@ -63,6 +217,11 @@ class VulnArenaUI {
             if (filterBtn) {
                 this.setActiveFilter(filterBtn.dataset.filter);
             }
+            // Challenge modal tabs (Details/My attempts)
+            const modalTab = e.target.closest('.modal-tab[data-modal-tab]');
+            if (modalTab) {
+                this.showModalTab(modalTab.dataset.modalTab);
+            }
             // Auth modal tabs (Login/Register)
             const authTab = e.target.closest('.auth-tab[data-form]');
             if (authTab) {
@@ -90,22 +249,134 @@ class VulnArenaUI {
             });
         }
 
+        // Leaderboard page controls
+        const leaderboardExportBtn = document.getElementById('leaderboard-export');
+        if (leaderboardExportBtn) {
+            leaderboardExportBtn.addEventListener('click', () => this.exportLeaderboard());
+        }
+        ['categoryFilter', 'timeFilter'].forEach(id => {
+            const select = document.getElementById(id);
+            if (select) {
+                select.addEventListener('change', () => this.loadLeaderboard());
+            }
+        });
+        // Leaderboard rows are rendered dynamically; clicking one adds that player to the score chart
+        const leaderboardTable = document.getElementById('leaderboardTable');
+        if (leaderboardTable) {
+            leaderboardTable.addEventListener('click', (e) => {
+                // Profile links navigate instead of selecting the row
+                if (e.target.closest('a')) return;
+                const row = e.target.closest('.table-row');
+                if (row) this.toggleProgressionUser(row.dataset.userId);
+            });
+        }
+        const progressionResetBtn = document.getElementById('progression-reset');
+        if (progressionResetBtn) {
+            progressionResetBtn.addEventListener('click', () => this.resetProgressionUsers());
+        }
+
         // Logs page controls
         const applyFiltersBtn = document.getElementById('apply-filters');
         if (applyFiltersBtn) {
             applyFiltersBtn.addEventListener('click', () => this.applyLogFilters());
         }
-        const exportJsonBtn = document.getElementById('export-json');
-        if (exportJsonBtn) {
-            exportJsonBtn.addEventListener('click', () => this.exportLogs('json'));
+        const exportLogsBtn = document.getElementById('export-logs');
+        if (exportLogsBtn) {
+            exportLogsBtn.addEventListener('click', () => this.exportLogs());
+        }
+        const retentionPreviewBtn = document.getElementById('retention-preview');
+        if (retentionPreviewBtn) {
+            retentionPreviewBtn.addEventListener('click', () => this.previewLogCleanup());
+        }
+        const retentionRunBtn = document.getElementById('retention-run');
+        if (retentionRunBtn) {
+            retentionRunBtn.addEventListener('click', () => this.runLogCleanup());
+        }
+        const retentionDays = document.getElementById('retention-days');
+        if (retentionDays) {
+            // A changed window invalidates the previous preview
+            retentionDays.addEventListener('input', () => this.resetLogCleanupPreview());
+        }
+        ['filter-user', 'filter-message', 'filter-challenge', 'filter-ip'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter') this.applyLogFilters();
+                });
+            }
+        });
+        // Log detail drawer: rows are rendered dynamically, so delegate from the table body
+        const logsTableBody = document.getElementById('logs-table-body');
+        if (logsTableBody) {
+            logsTableBody.addEventListener('click', (e) => {
+                const row = e.target.closest('.log-entry');
+                if (row) this.openLogDrawer(row.dataset.logId);
+            });
+            logsTableBody.addEventListener('keydown', (e) => {
+                const row = e.target.closest('.log-entry');
+                if (row && (e.key === 'Enter' || e.key === ' ')) {
+                    e.preventDefault();
+                    this.openLogDrawer(row.dataset.logId);
+                }
+            });
+        }
+        const logDrawer = document.getElementById('log-drawer');
+        if (logDrawer) {
+            document.getElementById('log-drawer-close').addEventListener('click', () => this.closeLogDrawer());
+            document.getElementById('log-drawer-backdrop').addEventListener('click', () => this.closeLogDrawer());
+            logDrawer.addEventListener('click', (e) => {
+                const pivot = e.target.closest('[data-pivot]');
+                if (pivot) this.pivotLogs(pivot.dataset.pivot);
+            });
+            document.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') this.closeLogDrawer();
+            });
+        }
+        const statsWindowSelect = document.getElementById('stats-window');
+        if (statsWindowSelect) {
+            statsWindowSelect.addEventListener('change', () => this.loadLogStats());
         }
-        const exportCsvBtn = document.getElementById('export-csv');
-        if (exportCsvBtn) {
-            exportCsvBtn.addEventListener('click', () => this.exportLogs('csv'));
+        const logsPrevBtn = document.getElementById('logs-prev');
+        if (logsPrevBtn) {
+            logsPrevBtn.addEventListener('click', () => this.goToLogPage(this.logQuery.page - 1));
         }
-        const autoRefreshToggle = document.getElementById('auto-refresh-toggle');
-        if (autoRefreshToggle) {
-            autoRefreshToggle.addEventListener('change', (e) => this.toggleAutoRefresh(e.target.checked));
+        const logsNextBtn = document.getElementById('logs-next');
+        if (logsNextBtn) {
+            logsNextBtn.addEventListener('click', () => this.goToLogPage(this.logQuery.page + 1));
+        }
+        const liveToggle = document.getElementById('live-toggle');
+        if (liveToggle) {
+            liveToggle.addEventListener('change', (e) => this.toggleLiveLogs(e.target.checked));
+            // Capture so scrolling inside any container counts, not just the window
+            document.addEventListener('scroll', () => this.onLogsScroll(), { capture: true, passive: true });
+        }
+
+        // Keep the session in sync with other open tabs
+        window.addEventListener('storage', (e) => this.handleStorageChange(e));
+
+        // Sandbox panel in the challenge modal
+        const sandboxStartBtn = document.getElementById('sandbox-start');
+        if (sandboxStartBtn) {
+            sandboxStartBtn.addEventListener('click', () => this.startSandbox());
+        }
+        const sandboxExtendBtn = document.getElementById('sandbox-extend');
+        if (sandboxExtendBtn) {
+            sandboxExtendBtn.addEventListener('click', () => this.extendSandbox());
+        }
+        const sandboxStopBtn = document.getElementById('sandbox-stop');
+        if (sandboxStopBtn) {
+            sandboxStopBtn.addEventListener('click', () => this.stopSandbox());
+        }
+        const hintList = document.getElementById('modal-hints');
+        if (hintList) {
+            hintList.addEventListener('click', (e) => {
+                const revealBtn = e.target.closest('[data-hint-index]');
+                if (revealBtn) this.revealHint(Number(revealBtn.dataset.hintIndex));
+            });
+        }
+        const nextChallengeBtn = document.getElementById('next-challenge');
+        if (nextChallengeBtn) {
+            nextChallengeBtn.addEventListener('click', () => this.openNextChallenge());
         }
     }
 
@@ -124,21 +395,22 @@ class VulnArenaUI {
         
         if (user && user.username) {
             // User is logged in
-            userInfoDiv.innerHTML = `
+            setHtml(userInfoDiv, html`
                 <div class="user-profile">
-                    <span class="username"><i class="fas fa-user"></i> ${user.username}</span>
-                    <button onclick="logout()" class="btn btn-secondary logout-btn">
+                    <a href="account.html" class="username" title="Account settings"><i class="fas fa-user"></i> ${user.username}</a>
+                    ${USER_ROLES[user.role] === 'Admin' && html`<a href="admin.html" class="btn btn-secondary" title="Manage challenges"><i class="fas fa-tools"></i> Admin</a>`}
+                    <button data-action="logout" class="btn btn-secondary logout-btn">
                         <i class="fas fa-sign-out-alt"></i> Logout
                     </button>
                 </div>
-            `;
+            `);
         } else {
             // User is not logged in
-            userInfoDiv.innerHTML = `
+            setHtml(userInfoDiv, html`
                 <button class="btn btn-primary" id="auth-button">
                     <i class="fas fa-sign-in-alt"></i> Login
                 </button>
-            `;
+            `);
         }
     }
 
@@ -147,60 +419,205 @@ class VulnArenaUI {
      */
     async login(username, password) {
         try {
-            console.log('Attempting login for username:', username);
-            const response = await fetch(`${this.apiBaseUrl}/Auth/login`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ username, password })
-            });
-            
-            console.log('Response status:', response.status);
-            console.log('Response headers:', Object.fromEntries(response.headers.entries()));
-            
-            const data = await response.json();
-            console.log('Login response data:', data);
-            console.log('Response data type:', typeof data);
-            console.log('sessionToken exists:', 'sessionToken' in data);
-            console.log('sessionToken value:', data.sessionToken);
-            
-            if (!response.ok) {
-                throw new Error(data.message || `HTTP ${response.status}: ${response.statusText}`);
-            }
-            
-            if (!data.sessionToken) {
+            const data = await this.api.login(username, password);
+
+            if (!data || !data.sessionToken) {
                 console.error('No sessionToken in response:', data);
                 throw new Error('Login failed: No token received.');
             }
 
             localStorage.setItem('sessionToken', data.sessionToken);
             localStorage.setItem('user', JSON.stringify(data.user));
+            if (data.expiresAt) {
+                localStorage.setItem('sessionExpiresAt', data.expiresAt);
+            }
 
             this.closeAuthModal();
             this.updateUserInfo();
-            this.loadChallenges();
+            this.scheduleSessionExpiry();
+            await this.loadChallenges();
+            this.restorePendingFlag();
         } catch (error) {
             console.error('Login error:', error);
             alert(`Login failed: ${error.message}`);
         }
     }
     
+    /**
+     * Logs out on the server so the token can't be reused, then clears it locally.
+     * Other tabs pick up the change through the storage event.
+     */
+    async logout() {
+        this.loggingOut = true;
+        try {
+            if (this.api.getToken()) await this.api.logout();
+        } catch (error) {
+            // The local session is dropped regardless
+            console.error('Logout error:', error);
+        }
+        this.clearSession();
+        window.location.href = 'index.html';
+    }
+
+    /**
+     * Removes the stored session and cancels its expiry timers.
+     */
+    clearSession() {
+        localStorage.removeItem('sessionToken');
+        localStorage.removeItem('user');
+        localStorage.removeItem('sessionExpiresAt');
+        this.clearSessionTimers();
+    }
+
+    clearSessionTimers() {
+        this.sessionTimers.forEach(timer => clearTimeout(timer));
+        this.sessionTimers = [];
+    }
+
+    /**
+     * Checks the stored token with the server on page load and refreshes the
+     * cached user from /Auth/me. A rejected token ends up in handleSessionExpired.
+     */
+    async validateSession() {
+        if (!this.api.getToken()) return;
+        try {
+            const session = await this.api.validateSession();
+            if (session && session.expiresAt) {
+                localStorage.setItem('sessionExpiresAt', session.expiresAt);
+            }
+            const user = await this.api.me();
+            localStorage.setItem('user', JSON.stringify(user));
+            this.updateUserInfo();
+            this.scheduleSessionExpiry();
+        } catch (error) {
+            // Keep the cached session if the server is just unreachable
+            if (!(error instanceof UnauthorizedError)) {
+                console.error('Error validating session:', error);
+            }
+        }
+    }
+
+    /**
+     * Schedules a warning shortly before the session expires, and the expiry itself.
+     */
+    scheduleSessionExpiry() {
+        this.clearSessionTimers();
+        const expiresAt = Date.parse(localStorage.getItem('sessionExpiresAt'));
+        if (!this.api.getToken() || Number.isNaN(expiresAt)) return;
+
+        const remaining = expiresAt - Date.now();
+        if (remaining > SESSION_WARNING_MS) {
+            this.sessionTimers.push(setTimeout(() => {
+                this.showNotification('Your session expires in 5 minutes. Log in again to keep working.', 'info');
+            }, remaining - SESSION_WARNING_MS));
+        }
+        this.sessionTimers.push(setTimeout(() => this.handleSessionExpired(), Math.max(remaining, 0)));
+    }
+
+    /**
+     * Called when the server rejects the token or it runs out. Clears the local
+     * session, keeps any half-typed flag for after re-login, and asks the user
+     * to log in again (on pages without a login form, via index.html).
+     */
+    handleSessionExpired() {
+        // Several requests can fail at once; only react to the first
+        if (this.loggingOut || !this.api.getToken()) return;
+
+        this.savePendingFlag();
+        this.clearSession();
+        this.updateUserInfo();
+
+        if (document.getElementById('login-modal')) {
+            this.showNotification('Your session has expired. Please log in again.', 'error');
+            this.showAuthModal();
+        } else {
+            window.location.href = 'index.html?session=expired';
+        }
+    }
+
+    /**
+     * Opens the login form if another page sent us here to log in again
+     * (expired session, changed password).
+     */
+    showSessionPrompt() {
+        const params = new URLSearchParams(window.location.search);
+        const reason = params.get('session');
+        const message = SESSION_PROMPTS[reason];
+        if (!message || !document.getElementById('login-modal')) return;
+
+        params.delete('session');
+        const query = params.toString();
+        history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : ''));
+
+        if (!this.api.getToken()) {
+            this.showNotification(message, reason === 'expired' ? 'error' : 'info');
+            this.showAuthModal();
+        }
+    }
+
+    /**
+     * Reacts to login/logout in another tab.
+     */
+    handleStorageChange(e) {
+        // key is null when another tab calls localStorage.clear()
+        if (e.key !== 'sessionToken' && e.key !== null) return;
+
+        if (this.api.getToken()) {
+            this.updateUserInfo();
+            this.scheduleSessionExpiry();
+            return;
+        }
+
+        this.clearSessionTimers();
+        if (document.getElementById('challenges')) {
+            if (this.currentChallenge) this.closeChallengeModal();
+            this.updateUserInfo();
+            this.loadChallenges();
+            this.showNotification('You were logged out in another tab.', 'info');
+        } else {
+            window.location.href = 'index.html';
+        }
+    }
+
+    /**
+     * Stashes the flag currently typed into the challenge modal so it survives re-login.
+     */
+    savePendingFlag() {
+        const flagInput = document.getElementById('flag-input');
+        if (!this.currentChallenge || !flagInput || !flagInput.value.trim()) return;
+        sessionStorage.setItem('pendingFlag', JSON.stringify({
+            challengeId: this.currentChallenge.id,
+            flag: flagInput.value
+        }));
+    }
+
+    /**
+     * Reopens the challenge and puts back the flag saved by savePendingFlag.
+     */
+    restorePendingFlag() {
+        const pending = JSON.parse(sessionStorage.getItem('pendingFlag') || 'null');
+        if (!pending || !this.api.getToken()) return;
+
+        const challenge = this.challenges.find(c => c.id === pending.challengeId);
+        if (!challenge) return;
+        sessionStorage.removeItem('pendingFlag');
+
+        if (!this.currentChallenge || this.currentChallenge.id !== challenge.id) {
+            this.openChallengeModal(challenge);
+        }
+        const flagInput = document.getElementById('flag-input');
+        if (flagInput) {
+            flagInput.value = pending.flag;
+            flagInput.focus();
+        }
+    }
+
     /**
      * Handles the registration process.
      */
     async register(username, email, password) {
         try {
-            console.log('Attempting registration for username:', username, 'email:', email);
-            const response = await fetch(`${this.apiBaseUrl}/Auth/register`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ username, email, password })
-            });
-            const data = await response.json();
-            console.log('Registration response:', data);
-            
-            if (!response.ok) {
-                throw new Error(data.message || 'Server error');
-            }
+            await this.api.register(username, email, password);
             alert('Registration successful! Please log in.');
             const loginTab = document.querySelector('.auth-tab[data-form="login"]');
             if(loginTab) loginTab.click();
@@ -211,84 +628,172 @@ class VulnArenaUI {
         }
     }
 
+    // =================================================================
+    // == COMPETITION COUNTDOWN (header, every page) ====================
+    // =================================================================
+
     /**
-     * Centralized fetch wrapper that includes the auth token.
-     * This is the cornerstone of the fix.
+     * Fetches the competition window and starts the header countdown. Without a
+     * start, end or freeze time configured there is nothing to show.
      */
-    async fetchWithAuth(url, options = {}) {
-        const baseHeaders = { 'Content-Type': 'application/json' };
-        const token = localStorage.getItem('sessionToken');
-        
-        console.log('fetchWithAuth called for URL:', url);
-        console.log('Token from localStorage:', token);
+    async loadCompetition() {
+        try {
+            const competition = await this.api.getCompetition();
+            this.competition = competition;
+            this.competitionClockOffset = Date.parse(competition.serverTime) - Date.now();
+        } catch (error) {
+            // The pages work without the countdown
+            console.error('Error loading competition status:', error);
+            return;
+        }
+
+        const { start, end, freezeAt } = this.competition;
+        if (!start && !end && !freezeAt) return;
+
+        const actions = document.querySelector('.header-actions');
+        if (!actions) return;
+        const countdown = document.createElement('div');
+        countdown.id = 'competition-countdown';
+        countdown.className = 'competition-countdown';
+        actions.prepend(countdown);
+
+        let phase = this.getCompetitionPhase();
+        this.renderCompetitionCountdown(phase);
+        clearInterval(this.competitionTimer);
+        this.competitionTimer = setInterval(() => {
+            const current = this.getCompetitionPhase();
+            this.renderCompetitionCountdown(current);
+            if (current !== phase) {
+                phase = current;
+                this.onCompetitionPhaseChange();
+            }
+        }, COUNTDOWN_TICK_MS);
+    }
+
+    getCompetitionNow() {
+        return Date.now() + this.competitionClockOffset;
+    }
+
+    /**
+     * 'upcoming', 'running', 'frozen' (running with the scoreboard frozen) or 'ended'.
+     */
+    getCompetitionPhase() {
+        const now = this.getCompetitionNow();
+        const { start, end, freezeAt } = this.competition;
+        if (start && now < Date.parse(start)) return 'upcoming';
+        if (end && now >= Date.parse(end)) return 'ended';
+        if (freezeAt && now >= Date.parse(freezeAt)) return 'frozen';
+        return 'running';
+    }
 
-        if (token && token !== 'undefined' && token !== 'null') {
-            baseHeaders['Authorization'] = `Bearer ${token}`;
-            console.log('Authorization header set:', `Bearer ${token.substring(0, 20)}...`);
+    renderCompetitionCountdown(phase) {
+        const countdown = document.getElementById('competition-countdown');
+        if (!countdown) return;
+
+        const { start, end } = this.competition;
+        const until = (time) => this.formatCountdown(Date.parse(time) - this.getCompetitionNow());
+        let icon, text;
+        if (phase === 'upcoming') {
+            icon = 'fa-hourglass-start';
+            text = `Starts in ${until(start)}`;
+        } else if (phase === 'ended') {
+            icon = 'fa-flag-checkered';
+            text = 'Competition ended';
         } else {
-            console.log('No valid token found in localStorage');
+            icon = phase === 'frozen' ? 'fa-snowflake' : 'fa-hourglass-half';
+            text = end ? `Ends in ${until(end)}` : 'Competition live';
+            if (phase === 'frozen') text += ' \u00b7 Scoreboard frozen';
         }
 
-        const mergedOptions = {
-            ...options,
-            headers: {
-                ...baseHeaders,
-                ...options.headers,
-            },
-        };
+        countdown.className = `competition-countdown ${phase}`;
+        const iconEl = document.createElement('i');
+        iconEl.className = `fas ${icon}`;
+        countdown.replaceChildren(iconEl, document.createTextNode(` ${text}`));
+    }
 
-        console.log('Making fetch request with options:', mergedOptions);
-        const response = await fetch(url, mergedOptions);
-        console.log('Response received:', response.status, response.statusText);
+    /**
+     * "2d 03:04:05", or "03:04:05" under a day.
+     */
+    formatCountdown(ms) {
+        const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+        const days = Math.floor(totalSeconds / 86400);
+        const clock = [Math.floor(totalSeconds / 3600) % 24, Math.floor(totalSeconds / 60) % 60, totalSeconds % 60]
+            .map(part => String(part).padStart(2, '0'))
+            .join(':');
+        return days > 0 ? `${days}d ${clock}` : clock;
+    }
 
-        if (response.status === 401) {
-            console.error("Session expired or invalid. Logging out.");
-            logout();
-            throw new Error('Unauthorized');
+    /**
+     * Challenges appear at the start, and the leaderboard freezes and unfreezes, without a reload.
+     */
+    onCompetitionPhaseChange() {
+        if (document.getElementById('challenges')) {
+            this.loadChallenges();
+        }
+        if (document.getElementById('leaderboardTable')) {
+            this.loadLeaderboard();
         }
-        return response;
     }
 
     // =================================================================
     // == CHALLENGES PAGE (index.html) =================================
     // =================================================================
     
-    async loadChallenges(category = '') {
+    /**
+     * Fetches every challenge; category, search and the other filters are applied on the client.
+     */
+    async loadChallenges() {
         const challengesGrid = document.getElementById('challenges');
         const loadingDiv = document.getElementById('loading');
         if (!challengesGrid || !loadingDiv) return;
 
+        // A reload (e.g. after logging in) replaces one still in flight
+        if (this.challengesRequest) this.challengesRequest.abort();
+        const request = new AbortController();
+        this.challengesRequest = request;
+
         loadingDiv.classList.remove('hidden');
-        
+        const errorDiv = document.getElementById('error');
+        if (errorDiv) errorDiv.classList.add('hidden');
+
         try {
-            let url = `${this.apiBaseUrl}/challenges`;
-            if (category && category !== 'all') url += `?category=${category}`;
- 
-            const response = await this.fetchWithAuth(url);
-            if (!response.ok) throw new Error(`Server error: ${response.status}`);
-            
-            const challenges = await response.json();
-            this.challenges = challenges; // Store challenges for later reference
-            this.renderChallenges(challenges);
+            this.challenges = await this.api.getChallenges({ signal: request.signal });
+            this.renderChallenges();
         } catch (error) {
-            if (error.message === 'Unauthorized') return;
-            const errorDiv = document.getElementById('error');
-            if(errorDiv) {
+            if (isAbortError(error) || error instanceof UnauthorizedError) return;
+            if (errorDiv) {
                 errorDiv.classList.remove('hidden');
                 document.getElementById('error-message').textContent = error.message;
             }
         } finally {
-            loadingDiv.classList.add('hidden');
+            if (this.challengesRequest === request) {
+                this.challengesRequest = null;
+                loadingDiv.classList.add('hidden');
+            }
         }
     }
 
-    renderChallenges(challenges) {
+    /**
+     * Renders the loaded challenges that match the current search and filters, in the chosen order.
+     */
+    renderChallenges() {
         const challengesGrid = document.getElementById('challenges');
         const emptyDiv = document.getElementById('empty');
         if (!challengesGrid || !emptyDiv) return;
 
-        challengesGrid.innerHTML = '';
+        const challenges = this.filterChallenges(this.challenges, this.challengeQuery);
+        this.renderChallengeFilterState(challenges.length);
+
+        challengesGrid.replaceChildren();
         if (challenges.length === 0) {
+            // Challenges are hidden until the competition starts
+            const notStarted = this.competition && !this.competition.hasStarted;
+            document.getElementById('empty-title').textContent = notStarted ? 'The Competition Has Not Started' : 'No Challenges Found';
+            document.getElementById('empty-message').textContent = notStarted
+                ? `Challenges will appear here when it starts on ${new Date(this.competition.start).toLocaleString()}.`
+                : this.challenges.length > 0
+                    ? 'No challenges match your search and filters.'
+                    : 'There are no challenges yet.';
             emptyDiv.classList.remove('hidden');
             challengesGrid.classList.add('hidden');
         } else {
@@ -301,25 +806,28 @@ class VulnArenaUI {
     createChallengeCard(challenge) {
         console.log('Creating challenge card for:', challenge.title);
         const card = document.createElement('div');
-        const difficultyMap = { 0: 'easy', 1: 'medium', 2: 'hard', 3: 'expert' };
-        const difficultyClass = difficultyMap[challenge.difficulty] || 'easy';
+        const difficultyClass = CHALLENGE_DIFFICULTIES[challenge.difficulty] || 'easy';
         const difficultyText = difficultyClass.charAt(0).toUpperCase() + difficultyClass.slice(1);
 
         card.className = `challenge-card difficulty-${difficultyClass} ${challenge.isSolved ? 'solved' : ''}`;
-        card.innerHTML = `
+        card.dataset.challengeId = challenge.id;
+        setHtml(card, html`
             <div class="card-header">
                 <h3>${challenge.title}</h3>
                 <span class="challenge-category">${challenge.category}</span>
-                    </div>
+            </div>
             <div class="card-body">
                 <p>${challenge.description}</p>
-                </div>
+            </div>
             <div class="card-footer">
-                <span class="challenge-points">${challenge.points} pts</span>
+                <span class="challenge-points" title="${challenge.dynamic ? this.describeDynamicScoring(challenge.dynamic) : ''}">
+                    ${challenge.dynamic && html`<i class="fas fa-chart-line"></i> `}<span class="challenge-points-value">${challenge.points}</span> pts
+                </span>
+                <span class="challenge-solves"><i class="fas fa-users"></i> <span class="challenge-solves-value">${this.formatSolveCount(challenge.solveCount)}</span></span>
                 <span class="challenge-difficulty-label">${difficultyText}</span>
-                ${challenge.isSolved ? '<span class="solved-badge"><i class="fas fa-check"></i> Solved</span>' : ''}
+                ${challenge.isSolved && html`<span class="solved-badge"><i class="fas fa-check"></i> Solved</span>`}
             </div>
-        `;
+        `);
         
         // Add click event listener
         card.addEventListener('click', () => {
@@ -331,360 +839,2762 @@ class VulnArenaUI {
         return card;
     }
 
-    setActiveFilter(filter) {
-        document.querySelectorAll('.nav-btn[data-filter]').forEach(btn => btn.classList.remove('active'));
-        const activeBtn = document.querySelector(`.nav-btn[data-filter="${filter}"]`);
-        if (activeBtn) activeBtn.classList.add('active');
-        this.loadChallenges(filter);
-    }
-    
-    openChallengeModal(challenge) {
-        console.log('Opening modal for challenge:', challenge.title);
-        console.log('Full challenge data:', challenge); // Debug: see all challenge properties
-        this.currentChallenge = challenge;
-        const modal = document.getElementById('challenge-modal');
-        if (!modal) {
-            console.error('Challenge modal not found!');
-            alert('Modal not found!');
-            return;
-        }
-        console.log('Modal found, updating content...');
-        
-        document.getElementById('modal-title').textContent = challenge.title;
-        document.getElementById('modal-category').textContent = challenge.category;
-        const difficultyMap = { 0: 'Easy', 1: 'Medium', 2: 'Hard', 3: 'Expert' };
-        document.getElementById('modal-difficulty').textContent = difficultyMap[challenge.difficulty] || 'N/A';
-        document.getElementById('modal-points').textContent = `${challenge.points} points`;
-        document.getElementById('modal-author').textContent = challenge.author || 'VulnArena Team';
-        document.getElementById('modal-description').textContent = challenge.description;
-        document.getElementById('modal-hint').textContent = challenge.hint || 'No hint available.';
-        
-        // Populate files section
-        const filesContainer = document.getElementById('modal-files');
-        console.log('Challenge files:', challenge.files); // Debug: see files data
-        if (challenge.files && challenge.files.length > 0) {
-            filesContainer.innerHTML = challenge.files.map(file => `
-                <div class="file-item">
-                    <span class="file-name">${file.name || file}</span>
-                    <button class="download-btn" onclick="vulnArenaUI.downloadFile('${file.url || file}', '${file.name || file}')">
-                        <i class="fas fa-download"></i> Download
-                    </button>
-                </div>
-            `).join('');
-        } else {
-            filesContainer.innerHTML = '<p>No files available for this challenge.</p>';
-        }
-        
-        // Populate tags section
-        const tagsContainer = document.getElementById('modal-tags');
-        console.log('Challenge tags:', challenge.tags); // Debug: see tags data
-        if (challenge.tags && challenge.tags.length > 0) {
-            tagsContainer.innerHTML = challenge.tags.map(tag => `
-                <span class="tag">${tag}</span>
-            `).join('');
-        } else {
-            tagsContainer.innerHTML = '<p>No tags available.</p>';
+    formatFileSize(bytes) {
+        const units = ['B', 'KB', 'MB', 'GB'];
+        let size = bytes;
+        let unit = 0;
+        while (size >= 1024 && unit < units.length - 1) {
+            size /= 1024;
+            unit++;
         }
-        
-        // Set up flag submission
-        const flagInput = document.getElementById('flag-input');
-        const submitButton = document.getElementById('submit-flag');
-        flagInput.value = '';
-        submitButton.onclick = () => this.submitFlag();
-        flagInput.onkeypress = (e) => {
-            if (e.key === 'Enter') this.submitFlag();
-        };
-        
-        // Show the modal
-        modal.classList.remove('hidden');
-        modal.classList.add('show');
-        console.log('Modal should now be visible');
+        return `${unit === 0 ? size : size.toFixed(1)} ${units[unit]}`;
     }
 
-    closeChallengeModal() {
-        const modal = document.getElementById('challenge-modal');
-        if (modal) {
-            modal.classList.remove('show');
-        modal.classList.add('hidden');
-        }
-        this.currentChallenge = null;
+    formatSolveCount(count) {
+        return `${count} solve${count === 1 ? '' : 's'}`;
     }
 
-    async submitFlag() {
-        if (!this.currentChallenge) {
-            this.showNotification('No challenge selected', 'error');
-            return;
-        }
-        
-        const flagInput = document.getElementById('flag-input');
-        const flag = flagInput.value.trim();
-        
-        if (!flag) {
-            this.showNotification('Please enter a flag', 'error');
-            return;
-        }
+    describeDynamicScoring(dynamic) {
+        return `Dynamic scoring: drops from ${dynamic.initial} to ${dynamic.minimum} points as more players solve it, for everyone who solved it`;
+    }
+
+    /**
+     * Updates point values and solve counts on the rendered cards without re-rendering them.
+     */
+    async refreshChallengeStats() {
+        // Skip while hidden or while a full reload is already in flight
+        if (document.hidden || this.challengesRequest) return;
 
         try {
-            const response = await this.fetchWithAuth(`${this.apiBaseUrl}/challenges/${this.currentChallenge.id}/submit`, {
-                method: 'POST',
-                body: JSON.stringify({ flag: flag })
+            const challenges = await this.api.getChallenges();
+            challenges.forEach(updated => {
+                const challenge = this.challenges.find(c => c.id === updated.id);
+                if (challenge) {
+                    challenge.points = updated.points;
+                    challenge.solveCount = updated.solveCount;
+                }
+
+                const card = document.querySelector(`.challenge-card[data-challenge-id="${CSS.escape(updated.id)}"]`);
+                if (!card) return;
+                card.querySelector('.challenge-points-value').textContent = updated.points;
+                card.querySelector('.challenge-solves-value').textContent = this.formatSolveCount(updated.solveCount);
             });
 
-            const result = await response.json();
-            
-            if (response.ok) {
-                if (result.correct) {
-                    this.showNotification('Correct flag! Challenge solved!', 'success');
-                    this.closeChallengeModal();
-                    this.loadChallenges(); // Refresh to show solved status
+            if (this.currentChallenge) {
+                document.getElementById('modal-points').textContent = `${this.currentChallenge.points} points`;
+            }
+        } catch (error) {
+            // Background refresh; the next tick tries again
+            if (error instanceof UnauthorizedError) return;
+            console.warn('Error refreshing challenge stats:', error);
+        }
+    }
+
+    setActiveFilter(filter) {
+        this.updateChallengeQuery({ category: filter === 'all' ? '' : filter });
+    }
+
+    // =================================================================
+    // == CHALLENGE SEARCH & FILTERS (index.html) ======================
+    // =================================================================
+
+    emptyChallengeQuery() {
+        return { category: '', search: '', difficulties: [], tags: [], hideSolved: false, sort: 'default' };
+    }
+
+    initChallengeFilters() {
+        this.challengeQuery = this.readChallengeQueryFromUrl();
+        this.fillChallengeFilterInputs(this.challengeQuery);
+
+        document.getElementById('challenge-search').addEventListener('input', (e) => {
+            this.updateChallengeQuery({ search: e.target.value });
+        });
+        document.getElementById('challenge-sort').addEventListener('change', (e) => {
+            this.updateChallengeQuery({ sort: e.target.value });
+        });
+        document.getElementById('difficulty-filter').addEventListener('change', () => {
+            const checked = document.querySelectorAll('#difficulty-filter input:checked');
+            this.updateChallengeQuery({ difficulties: Array.from(checked, input => input.value) });
+        });
+        document.getElementById('hide-solved').addEventListener('change', (e) => {
+            this.updateChallengeQuery({ hideSolved: e.target.checked });
+        });
+        document.getElementById('active-tags').addEventListener('click', (e) => {
+            const chip = e.target.closest('[data-tag]');
+            if (chip) this.updateChallengeQuery({ tags: this.challengeQuery.tags.filter(tag => tag !== chip.dataset.tag) });
+        });
+        document.getElementById('clear-challenge-filters').addEventListener('click', () => {
+            this.challengeQuery = this.emptyChallengeQuery();
+            this.fillChallengeFilterInputs(this.challengeQuery);
+            this.updateChallengeQuery({});
+        });
+
+        // Tags in the challenge modal filter the grid to challenges sharing that tag
+        document.getElementById('modal-tags').addEventListener('click', (e) => {
+            const tag = e.target.closest('[data-tag]');
+            if (!tag) return;
+            if (!this.challengeQuery.tags.includes(tag.dataset.tag)) {
+                this.updateChallengeQuery({ tags: [...this.challengeQuery.tags, tag.dataset.tag] });
+            }
+            this.closeChallengeModal();
+        });
+    }
+
+    /**
+     * Reads search, filters and sort from the page URL, so a filtered view can be shared as a link.
+     * e.g. index.html?category=Web&q=login&difficulty=easy,medium&tag=sql-injection&hideSolved=1&sort=points
+     */
+    readChallengeQueryFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const list = (name) => (params.get(name) || '').split(',').map(value => value.trim()).filter(Boolean);
+        const sort = params.get('sort');
+        return {
+            category: params.get('category') || '',
+            search: params.get('q') || '',
+            difficulties: list('difficulty').map(value => value.toLowerCase()).filter(value => CHALLENGE_DIFFICULTIES.includes(value)),
+            tags: list('tag'),
+            hideSolved: params.get('hideSolved') === '1',
+            sort: CHALLENGE_SORTS.includes(sort) ? sort : 'default'
+        };
+    }
+
+    writeChallengeQueryToUrl(query) {
+        const params = new URLSearchParams();
+        if (query.category) params.set('category', query.category);
+        if (query.search.trim()) params.set('q', query.search.trim());
+        if (query.difficulties.length) params.set('difficulty', query.difficulties.join(','));
+        if (query.tags.length) params.set('tag', query.tags.join(','));
+        if (query.hideSolved) params.set('hideSolved', '1');
+        if (query.sort !== 'default') params.set('sort', query.sort);
+        const search = params.toString();
+        history.replaceState(null, '', window.location.pathname + (search ? `?${search}` : ''));
+    }
+
+    fillChallengeFilterInputs(query) {
+        document.getElementById('challenge-search').value = query.search;
+        document.getElementById('challenge-sort').value = query.sort;
+        document.querySelectorAll('#difficulty-filter input').forEach(input => {
+            input.checked = query.difficulties.includes(input.value);
+        });
+        document.getElementById('hide-solved').checked = query.hideSolved;
+    }
+
+    /**
+     * Merges `changes` into the current query, mirrors it in the URL and re-renders the grid
+     * from the challenges already loaded.
+     */
+    updateChallengeQuery(changes) {
+        this.challengeQuery = { ...this.challengeQuery, ...changes };
+        this.writeChallengeQueryToUrl(this.challengeQuery);
+        this.renderChallenges();
+    }
+
+    /**
+     * Applies the category, difficulty, solved and tag filters plus the text search (every word
+     * must appear in the title, description or tags), then sorts.
+     */
+    filterChallenges(challenges, query) {
+        const terms = query.search.toLowerCase().split(/\s+/).filter(Boolean);
+        const category = query.category.toLowerCase();
+        const tags = query.tags.map(tag => tag.toLowerCase());
+
+        const matches = challenges.filter(challenge => {
+            const challengeTags = (challenge.tags || []).map(tag => tag.toLowerCase());
+            if (category && challenge.category.toLowerCase() !== category) return false;
+            if (query.difficulties.length && !query.difficulties.includes(CHALLENGE_DIFFICULTIES[challenge.difficulty])) return false;
+            if (query.hideSolved && challenge.isSolved) return false;
+            if (!tags.every(tag => challengeTags.includes(tag))) return false;
+
+            const text = [challenge.title, challenge.description, ...challengeTags].join(' ').toLowerCase();
+            return terms.every(term => text.includes(term));
+        });
+
+        return this.sortChallenges(matches, query.sort);
+    }
+
+    sortChallenges(challenges, sort) {
+        const comparators = {
+            points: (a, b) => b.points - a.points,
+            solves: (a, b) => b.solveCount - a.solveCount,
+            newest: (a, b) => new Date(b.createdAt) - new Date(a.createdAt)
+        };
+        const compare = comparators[sort];
+        return compare ? [...challenges].sort(compare) : challenges;
+    }
+
+    /**
+     * Syncs the controls that aren't inputs with the query: the active category button,
+     * removable tag chips, the result count and the clear button.
+     */
+    renderChallengeFilterState(shownCount) {
+        const query = this.challengeQuery;
+
+        document.querySelectorAll('.nav-btn[data-filter]').forEach(btn => {
+            const filter = btn.dataset.filter === 'all' ? '' : btn.dataset.filter;
+            btn.classList.toggle('active', filter.toLowerCase() === query.category.toLowerCase());
+        });
+
+        document.getElementById('active-tags').replaceChildren(...query.tags.map(tag => {
+            const chip = document.createElement('button');
+            chip.className = 'tag active-tag';
+            chip.dataset.tag = tag;
+            chip.title = 'Remove tag filter';
+            chip.textContent = tag;
+            appendHtml(chip, html` <i class="fas fa-times"></i>`);
+            return chip;
+        }));
+
+        const filtered = shownCount !== this.challenges.length;
+        const countLabel = document.getElementById('challenge-count');
+        countLabel.textContent = filtered ? `Showing ${shownCount} of ${this.challenges.length}` : '';
+
+        const isDefault = JSON.stringify(query) === JSON.stringify(this.emptyChallengeQuery());
+        document.getElementById('clear-challenge-filters').classList.toggle('hidden', isDefault);
+    }
+    
+    openChallengeModal(challenge) {
+        console.log('Opening modal for challenge:', challenge.title);
+        console.log('Full challenge data:', challenge); // Debug: see all challenge properties
+        this.currentChallenge = challenge;
+        const modal = document.getElementById('challenge-modal');
+        if (!modal) {
+            console.error('Challenge modal not found!');
+            alert('Modal not found!');
+            return;
+        }
+        console.log('Modal found, updating content...');
+        
+        document.getElementById('modal-title').textContent = challenge.title;
+        document.getElementById('modal-category').textContent = challenge.category;
+        const difficultyMap = { 0: 'Easy', 1: 'Medium', 2: 'Hard', 3: 'Expert' };
+        document.getElementById('modal-difficulty').textContent = difficultyMap[challenge.difficulty] || 'N/A';
+        document.getElementById('modal-points').textContent = `${challenge.points} points`;
+        document.getElementById('modal-author').textContent = challenge.author || 'VulnArena Team';
+        document.getElementById('modal-description').textContent = challenge.description;
+        this.renderChallengeHints(challenge);
+        
+        // Populate files section; sizes and hashes follow once they are loaded
+        this.renderModalFiles((challenge.files || []).map(name => ({ name })));
+        if (challenge.files && challenge.files.length > 0) {
+            this.loadModalFiles(challenge.id);
+        }
+        
+        // Populate tags section
+        const tagsContainer = document.getElementById('modal-tags');
+        console.log('Challenge tags:', challenge.tags); // Debug: see tags data
+        if (challenge.tags && challenge.tags.length > 0) {
+            tagsContainer.replaceChildren(...challenge.tags.map(tag => {
+                const button = document.createElement('button');
+                button.className = 'tag';
+                button.dataset.tag = tag;
+                button.title = 'Show challenges with this tag';
+                button.textContent = tag;
+                return button;
+            }));
+        } else {
+            setHtml(tagsContainer, html`<p>No tags available.</p>`);
+        }
+        
+        // Set up flag submission
+        const flagInput = document.getElementById('flag-input');
+        const submitButton = document.getElementById('submit-flag');
+        flagInput.value = '';
+        document.getElementById('flag-result').classList.add('hidden');
+        this.updateSubmitButton();
+        submitButton.onclick = () => this.submitFlag();
+        flagInput.onkeypress = (e) => {
+            if (e.key === 'Enter') this.submitFlag();
+        };
+
+        // Container-backed challenges get the sandbox panel
+        this.initSandboxPanel(challenge);
+
+        // Attempts are per player, so the tab needs a login
+        document.getElementById('attempts-tab').classList.toggle('hidden', !this.api.getToken());
+        this.showModalTab('details');
+        
+        // Show the modal
+        modal.classList.remove('hidden');
+        modal.classList.add('show');
+        console.log('Modal should now be visible');
+    }
+
+    /**
+     * Lists the open challenge's files. Each file is `{ name }`, plus `size` and `sha256` once known.
+     */
+    renderModalFiles(files) {
+        const filesContainer = document.getElementById('modal-files');
+        document.getElementById('download-all-files').classList.toggle('hidden', files.length === 0);
+        if (files.length === 0) {
+            setHtml(filesContainer, html`<p>No files available for this challenge.</p>`);
+            return;
+        }
+
+        setHtml(filesContainer, html`${files.map(file => html`
+            <div class="file-item">
+                <div class="file-info">
+                    <span class="file-name">${file.name}</span>
+                    ${file.sha256 && html`
+                        <span class="file-meta">${this.formatFileSize(file.size)}</span>
+                        <code class="file-hash" title="SHA-256">${file.sha256}</code>
+                    `}
+                </div>
+                <button class="download-btn" data-action="download-challenge-file" data-file="${file.name}">
+                    <i class="fas fa-download"></i> <span class="download-label">Download</span>
+                </button>
+            </div>
+        `)}`);
+    }
+
+    async loadModalFiles(challengeId) {
+        try {
+            const files = await this.api.getChallengeFiles(challengeId);
+            // The player may have moved on to another challenge meanwhile
+            if (this.currentChallenge && this.currentChallenge.id === challengeId) {
+                this.renderModalFiles(files);
+            }
+        } catch (error) {
+            // The names are already listed; downloads still work without the details
+            if (error instanceof UnauthorizedError) return;
+            console.warn('Error loading file details:', error);
+        }
+    }
+
+    showModalTab(name) {
+        document.querySelectorAll('.modal-tab[data-modal-tab]').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.modalTab === name);
+        });
+        document.getElementById('modal-tab-details').classList.toggle('hidden', name !== 'details');
+        document.getElementById('modal-tab-attempts').classList.toggle('hidden', name !== 'attempts');
+        if (name === 'attempts') this.loadAttempts();
+    }
+
+    /**
+     * Lists the player's past submissions for the open challenge, newest first, and whether
+     * they are currently rate limited.
+     */
+    async loadAttempts() {
+        const challenge = this.currentChallenge;
+        if (!challenge) return;
+        const list = document.getElementById('attempts-list');
+        const rateLimitText = document.getElementById('attempts-rate-limit');
+        setHtml(list, html`<li class="attempts-empty"><i class="fas fa-spinner fa-spin"></i> Loading attempts...</li>`);
+        rateLimitText.textContent = '';
+
+        try {
+            const data = await this.api.getMySubmissions(challenge.id);
+            if (this.currentChallenge !== challenge) return;
+
+            // The rate limit as it stands now; attempts it rejected are never recorded, so the list can't show them
+            const { rateLimit } = data;
+            rateLimitText.classList.toggle('limited', rateLimit.isRateLimited);
+            rateLimitText.textContent = rateLimit.isRateLimited
+                ? `Rate limited right now: you can submit again in ${rateLimit.retryAfterSeconds ?? 60} seconds.`
+                : `${rateLimit.remaining} of ${rateLimit.limit} submissions left this minute.`;
+
+            if (data.submissions.length === 0) {
+                setHtml(list, html`<li class="attempts-empty">You haven't submitted a flag for this challenge yet.</li>`);
+                return;
+            }
+            setHtml(list, html`${data.submissions.map(submission => html`
+                <li class="attempt-item ${submission.isCorrect ? 'correct' : 'incorrect'}">
+                    <i class="fas ${submission.isCorrect ? 'fa-check-circle' : 'fa-times-circle'}"></i>
+                    <code class="attempt-flag">${submission.flag}</code>
+                    <span class="attempt-result">${submission.isCorrect ? 'Correct' : 'Incorrect'}</span>
+                    <time class="attempt-time" datetime="${submission.submittedAt}">${new Date(submission.submittedAt).toLocaleString()}</time>
+                </li>
+            `)}`);
+        } catch (error) {
+            if (error instanceof UnauthorizedError) return;
+            console.error('Error loading attempts:', error);
+            setHtml(list, html`<li class="attempts-empty">Failed to load your attempts.</li>`);
+        }
+    }
+
+    closeChallengeModal() {
+        const modal = document.getElementById('challenge-modal');
+        if (modal) {
+            modal.classList.remove('show');
+        modal.classList.add('hidden');
+        }
+        this.stopSandboxTimers();
+        this.currentChallenge = null;
+    }
+
+    async submitFlag() {
+        if (!this.currentChallenge) {
+            this.showNotification('No challenge selected', 'error');
+            return;
+        }
+        // Enter and the button both end up here; ignore them while a submission is in flight or cooling down
+        if (this.submittingFlag || Date.now() < this.submitCooldownUntil) return;
+        
+        const flagInput = document.getElementById('flag-input');
+        const flag = flagInput.value.trim();
+        
+        if (!flag) {
+            this.showFlagResult('Please enter a flag.', 'incorrect');
+            return;
+        }
+
+        const challenge = this.currentChallenge;
+        this.submittingFlag = true;
+        this.updateSubmitButton();
+        document.getElementById('flag-result').classList.add('hidden');
+
+        try {
+            const result = await this.api.submitFlag(challenge.id, flag);
+            const outcome = SUBMISSION_OUTCOMES[result.outcome];
+
+            if (outcome === 'correct') {
+                this.closeChallengeModal();
+                if (result.solve) {
+                    this.showCongratulations(result.solve);
                 } else {
-                    this.showNotification('Incorrect flag. Try again!', 'error');
+                    this.showNotification('Correct flag! Challenge solved!', 'success');
                 }
-            } else {
-                this.showNotification(result.message || 'Error submitting flag', 'error');
+                this.announceAchievements(result.newAchievements);
+                this.loadChallenges(); // Refresh to show solved status
+                return;
+            }
+
+            if (this.currentChallenge !== challenge) return;
+            this.showFlagResult(result.message, outcome);
+            if (outcome === 'incorrect') {
+                flagInput.select();
+            } else if (outcome === 'already-solved' || outcome === 'challenge-inactive') {
+                // Solved by a teammate or deactivated since the list was loaded
+                this.loadChallenges();
+            }
+        } catch (error) {
+            if (error instanceof UnauthorizedError) return;
+            if (error instanceof RateLimitedError) {
+                this.startSubmitCooldown(error.retryAfter || 60);
+                if (this.currentChallenge === challenge) this.showFlagResult(error.message, 'rate-limited');
+                return;
+            }
+            console.error('Error submitting flag:', error);
+            if (this.currentChallenge === challenge) this.showFlagResult(error.message || 'Error submitting flag', 'error');
+        } finally {
+            this.submittingFlag = false;
+            this.updateSubmitButton();
+        }
+    }
+
+    /**
+     * Explains a rejected flag below the submit button. `outcome` is one of SUBMISSION_OUTCOMES.
+     */
+    showFlagResult(message, outcome) {
+        const icons = {
+            'incorrect': 'fa-times-circle',
+            'rate-limited': 'fa-hourglass-half',
+            'already-solved': 'fa-check-circle',
+            'challenge-inactive': 'fa-ban',
+            'competition-closed': 'fa-lock',
+            'error': 'fa-exclamation-triangle'
+        };
+        const result = document.getElementById('flag-result');
+        result.className = `flag-result ${outcome}`;
+        setHtml(result, html`<i class="fas ${icons[outcome] || icons.error}"></i> ${message}`);
+    }
+
+    startSubmitCooldown(seconds) {
+        this.submitCooldownUntil = Date.now() + seconds * 1000;
+        clearInterval(this.submitCooldownTimer);
+        this.submitCooldownTimer = setInterval(() => this.updateSubmitButton(), 1000);
+        this.updateSubmitButton();
+    }
+
+    /**
+     * Disables the submit button while a submission is in flight or the rate limit cools down,
+     * with the seconds left on the button.
+     */
+    updateSubmitButton() {
+        const button = document.getElementById('submit-flag');
+        if (!button) return;
+
+        const secondsLeft = Math.ceil((this.submitCooldownUntil - Date.now()) / 1000);
+        if (secondsLeft <= 0 && this.submitCooldownTimer) {
+            clearInterval(this.submitCooldownTimer);
+            this.submitCooldownTimer = null;
+            // The rate-limit message no longer applies
+            const result = document.getElementById('flag-result');
+            if (result.classList.contains('rate-limited')) result.classList.add('hidden');
+        }
+
+        button.disabled = this.submittingFlag || secondsLeft > 0;
+        if (this.submittingFlag) {
+            setHtml(button, html`<i class="fas fa-spinner fa-spin"></i> Submitting...`);
+        } else if (secondsLeft > 0) {
+            setHtml(button, html`<i class="fas fa-hourglass-half"></i> Wait ${secondsLeft}s`);
+        } else {
+            setHtml(button, html`<i class="fas fa-flag"></i> Submit Flag`);
+        }
+    }
+
+    /**
+     * Hints are revealed in order. Locked ones show their cost; only the next one can be revealed.
+     */
+    renderChallengeHints(challenge) {
+        const list = document.getElementById('modal-hints');
+        const hints = challenge.hints || [];
+
+        if (hints.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'hint-empty';
+            empty.textContent = 'No hints available.';
+            list.replaceChildren(empty);
+            return;
+        }
+
+        const nextIndex = hints.findIndex(h => !h.unlocked);
+        list.replaceChildren(...hints.map(hint => {
+            const item = document.createElement('li');
+            item.className = `hint-item${hint.unlocked ? '' : ' locked'}`;
+            if (hint.unlocked) {
+                item.textContent = hint.text;
+                return item;
+            }
+
+            const label = document.createElement('span');
+            label.textContent = `Hint ${hint.index + 1} – ${this.formatHintCost(hint.cost)}`;
+            item.appendChild(label);
+            if (hint.index === nextIndex) {
+                const revealBtn = document.createElement('button');
+                revealBtn.type = 'button';
+                revealBtn.className = 'btn btn-secondary btn-sm';
+                revealBtn.dataset.hintIndex = hint.index;
+                setHtml(revealBtn, html`<i class="fas fa-lightbulb"></i> Reveal`);
+                item.appendChild(revealBtn);
             }
+            return item;
+        }));
+    }
+
+    formatHintCost(cost) {
+        return cost > 0 ? `costs ${cost} point${cost === 1 ? '' : 's'}` : 'free';
+    }
+
+    async revealHint(index) {
+        const challenge = this.currentChallenge;
+        if (!challenge) return;
+        if (!this.api.getToken()) {
+            this.showAuthModal();
+            return;
+        }
+
+        const hint = challenge.hints[index];
+        const warnings = [];
+        if (challenge.isSolved) {
+            warnings.push('You have already solved this challenge, so it costs nothing.');
+        } else {
+            if (hint.cost > 0) warnings.push(`${hint.cost} points will be deducted when you solve this challenge.`);
+            warnings.push('Solving it will no longer count towards the Pure Skill achievement.');
+        }
+        if (!confirm(`Reveal hint ${index + 1}?\n\n${warnings.join('\n')}`)) return;
+
+        try {
+            challenge.hints[index] = await this.api.revealHint(challenge.id, index);
+            this.renderChallengeHints(challenge);
+        } catch (error) {
+            if (error instanceof UnauthorizedError) return;
+            console.error('Error revealing hint:', error);
+            this.showNotification(error.message || 'Error revealing hint', 'error');
+        }
+    }
+
+    /**
+     * Shows the points breakdown, solve position and new rank returned for a correct flag.
+     */
+    showCongratulations(solve) {
+        const modal = document.getElementById('congratulations-modal');
+        if (!modal) return;
+
+        const { score } = solve;
+        document.getElementById('earned-points').textContent = score.total;
+        let message = 'Challenge solved!';
+        if (score.isFirstBlood) {
+            message = 'First blood! Nobody solved this challenge before you.';
+        } else if (solve.solvePosition) {
+            message = `You were the ${this.formatOrdinal(solve.solvePosition)} player to solve this challenge.`;
+        }
+        document.getElementById('congratulations-message').textContent = message;
+
+        const breakdown = document.getElementById('score-breakdown');
+        breakdown.replaceChildren();
+        [
+            [score.isDynamic ? 'Current value' : 'Base points', score.basePoints],
+            ['Time bonus', score.timeBonus],
+            ['First blood bonus', score.firstBloodBonus],
+            [`Hints used (${score.hintsUsed})`, -score.hintPenalty]
+        ].filter(([, points], i) => i === 0 || points !== 0).forEach(([label, points]) => {
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const value = document.createElement('dd');
+            value.textContent = points < 0 ? `\u2212${-points}` : `+${points}`;
+            value.classList.toggle('negative', points < 0);
+            breakdown.append(term, value);
+        });
+
+        let standing = '';
+        if (solve.frozenAt) {
+            standing = 'The scoreboard is frozen; your new rank is revealed when the competition ends.';
+        } else if (solve.rank > 0) {
+            standing = `You are now ranked #${solve.rank} with ${solve.totalPoints.toLocaleString()} points.`;
+        }
+        document.getElementById('solve-standing').textContent = standing;
+
+        this.nextChallengeId = solve.nextChallenge ? solve.nextChallenge.id : null;
+        document.getElementById('next-challenge').classList.toggle('hidden', !solve.nextChallenge);
+        if (solve.nextChallenge) {
+            document.getElementById('next-challenge-title').textContent = solve.nextChallenge.title;
+        }
+
+        modal.classList.remove('hidden');
+        modal.classList.add('show');
+    }
+
+    closeCongratulations() {
+        const modal = document.getElementById('congratulations-modal');
+        if (modal) {
+            modal.classList.remove('show');
+            modal.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Opens the challenge suggested by the congratulations modal; it may be outside the current filter.
+     */
+    async openNextChallenge() {
+        const id = this.nextChallengeId;
+        this.closeCongratulations();
+        if (!id) return;
+
+        try {
+            const challenge = this.challenges.find(c => c.id === id) || await this.api.getChallenge(id);
+            this.openChallengeModal(challenge);
+        } catch (error) {
+            if (error instanceof UnauthorizedError) return;
+            console.error('Error opening next challenge:', error);
+            this.showNotification(error.message || 'Error loading challenge', 'error');
+        }
+    }
+
+    formatOrdinal(n) {
+        const suffixes = { one: 'st', two: 'nd', few: 'rd', other: 'th' };
+        return `${n}${suffixes[new Intl.PluralRules('en', { type: 'ordinal' }).select(n)]}`;
+    }
+
+    /**
+     * One toast per newly unlocked achievement, queued after the solve announcement.
+     */
+    announceAchievements(achievements = []) {
+        achievements.forEach((achievement, i) => {
+            setTimeout(() => {
+                this.showNotification(`Achievement unlocked: ${achievement.name} - ${achievement.description}`, 'success');
+            }, (i + 1) * ACHIEVEMENT_TOAST_INTERVAL_MS);
+        });
+    }
+
+    // =================================================================
+    // == SANDBOX PANEL (challenge modal) ==============================
+    // =================================================================
+
+    /**
+     * Shows the sandbox panel for container-backed challenges and re-syncs
+     * any instance we already know about with the server.
+     */
+    initSandboxPanel(challenge) {
+        const panel = document.getElementById('sandbox-panel');
+        if (!panel) return;
+
+        this.stopSandboxTimers();
+        if (!challenge.requiresContainer) {
+            panel.classList.add('hidden');
+            return;
+        }
+
+        panel.classList.remove('hidden');
+        this.setSandboxMessage('');
+        this.renderSandboxPanel(challenge.id);
+        this.refreshSandboxStatus(challenge.id);
+
+        this.sandboxPollInterval = setInterval(() => this.refreshSandboxStatus(challenge.id), 15000);
+        this.sandboxCountdownInterval = setInterval(() => this.updateSandboxCountdown(challenge.id), 1000);
+    }
+
+    stopSandboxTimers() {
+        clearInterval(this.sandboxPollInterval);
+        clearInterval(this.sandboxCountdownInterval);
+        this.sandboxPollInterval = null;
+        this.sandboxCountdownInterval = null;
+    }
+
+    /**
+     * Polls GET /challenges/{id}/sandbox. A 404 means no instance is running.
+     */
+    async refreshSandboxStatus(challengeId) {
+        if (!localStorage.getItem('sessionToken')) {
+            delete this.sandboxes[challengeId];
+            this.renderSandboxPanel(challengeId);
+            return;
+        }
+
+        try {
+            const status = await this.api.getSandbox(challengeId);
+            this.sandboxes[challengeId] = {
+                port: status.port,
+                expiresAt: status.expiresAt,
+                isHealthy: status.isHealthy
+            };
+        } catch (error) {
+            if (error instanceof UnauthorizedError) return;
+            if (error instanceof NotFoundError) {
+                delete this.sandboxes[challengeId];
+            } else {
+                console.error('Error fetching sandbox status:', error);
+            }
+        }
+        this.renderSandboxPanel(challengeId);
+    }
+
+    async startSandbox() {
+        const challenge = this.currentChallenge;
+        if (!challenge) return;
+        if (!localStorage.getItem('sessionToken')) {
+            this.showAuthModal();
+            return;
+        }
+
+        this.setSandboxBusy(true);
+        this.setSandboxMessage('Launching instance...');
+        try {
+            const data = await this.api.startChallenge(challenge.id);
+
+            if (data && data.sandbox) {
+                this.sandboxes[challenge.id] = {
+                    port: data.sandbox.port,
+                    expiresAt: data.sandbox.expiresAt,
+                    isHealthy: false
+                };
+            }
+            this.setSandboxMessage('');
+            this.showNotification('Instance launched', 'success');
+        } catch (error) {
+            if (error instanceof UnauthorizedError) return;
+            console.error('Error starting sandbox:', error);
+            this.setSandboxMessage(error.message, true);
+        } finally {
+            this.setSandboxBusy(false);
+            this.renderSandboxPanel(challenge.id);
+        }
+    }
+
+    async extendSandbox(minutes = 30) {
+        const challenge = this.currentChallenge;
+        if (!challenge) return;
+
+        this.setSandboxBusy(true);
+        try {
+            const data = await this.api.extendSandbox(challenge.id, minutes);
+            this.showNotification((data && data.message) || `Instance extended by ${minutes} minutes`, 'success');
+            await this.refreshSandboxStatus(challenge.id);
+        } catch (error) {
+            if (error instanceof UnauthorizedError) return;
+            console.error('Error extending sandbox:', error);
+            this.setSandboxMessage(error.message, true);
+        } finally {
+            this.setSandboxBusy(false);
+        }
+    }
+
+    async stopSandbox() {
+        const challenge = this.currentChallenge;
+        if (!challenge) return;
+
+        this.setSandboxBusy(true);
+        try {
+            await this.api.stopChallenge(challenge.id);
+            delete this.sandboxes[challenge.id];
+            this.setSandboxMessage('');
+            this.showNotification('Instance stopped', 'info');
+        } catch (error) {
+            if (error instanceof UnauthorizedError) return;
+            console.error('Error stopping sandbox:', error);
+            this.setSandboxMessage(error.message, true);
+        } finally {
+            this.setSandboxBusy(false);
+            this.renderSandboxPanel(challenge.id);
+        }
+    }
+
+    renderSandboxPanel(challengeId) {
+        // The modal may have moved on to another challenge while a request was in flight
+        if (!this.currentChallenge || this.currentChallenge.id !== challengeId) return;
+
+        const state = document.getElementById('sandbox-state');
+        const connection = document.getElementById('sandbox-connection');
+        const urlLink = document.getElementById('sandbox-url');
+        const startBtn = document.getElementById('sandbox-start');
+        const extendBtn = document.getElementById('sandbox-extend');
+        const stopBtn = document.getElementById('sandbox-stop');
+        if (!state || !connection || !urlLink || !startBtn || !extendBtn || !stopBtn) return;
+
+        const sandbox = this.sandboxes[challengeId];
+        if (sandbox) {
+            const url = this.getSandboxUrl(sandbox.port);
+            state.textContent = sandbox.isHealthy ? 'Running' : 'Starting';
+            state.className = `sandbox-state ${sandbox.isHealthy ? 'running' : 'starting'}`;
+            urlLink.href = url;
+            urlLink.textContent = url;
+            connection.classList.remove('hidden');
+            startBtn.classList.add('hidden');
+            extendBtn.classList.remove('hidden');
+            stopBtn.classList.remove('hidden');
+        } else {
+            state.textContent = localStorage.getItem('sessionToken') ? 'Not running' : 'Login to launch an instance';
+            state.className = 'sandbox-state stopped';
+            connection.classList.add('hidden');
+            startBtn.classList.remove('hidden');
+            extendBtn.classList.add('hidden');
+            stopBtn.classList.add('hidden');
+        }
+        this.updateSandboxCountdown(challengeId);
+    }
+
+    updateSandboxCountdown(challengeId) {
+        const countdown = document.getElementById('sandbox-countdown');
+        if (!countdown) return;
+
+        const sandbox = this.sandboxes[challengeId];
+        if (!sandbox) {
+            countdown.textContent = '';
+            return;
+        }
+
+        const remaining = new Date(sandbox.expiresAt).getTime() - Date.now();
+        if (remaining <= 0) {
+            delete this.sandboxes[challengeId];
+            this.setSandboxMessage('Instance expired. Launch a new one to continue.');
+            this.renderSandboxPanel(challengeId);
+            return;
+        }
+        countdown.textContent = `Expires in ${this.formatDuration(remaining)}`;
+        countdown.classList.toggle('expiring', remaining < 5 * 60 * 1000);
+    }
+
+    /**
+     * Builds the connection URL from the API host, since the backend only reports a port.
+     */
+    getSandboxUrl(port) {
+        const apiUrl = new URL(this.api.baseUrl, window.location.href);
+        return `${apiUrl.protocol}//${apiUrl.hostname}:${port}`;
+    }
+
+    setSandboxBusy(busy) {
+        ['sandbox-start', 'sandbox-extend', 'sandbox-stop'].forEach(id => {
+            const btn = document.getElementById(id);
+            if (btn) btn.disabled = busy;
+        });
+    }
+
+    setSandboxMessage(message, isError = false) {
+        const messageEl = document.getElementById('sandbox-message');
+        if (!messageEl) return;
+        messageEl.textContent = message;
+        messageEl.classList.toggle('hidden', !message);
+        messageEl.classList.toggle('error', isError);
+    }
+
+    formatDuration(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m ${seconds}s`;
+        return `${minutes}m ${seconds}s`;
+    }
+
+    // =================================================================
+    // == LOGS PAGE (logs.html) ========================================
+    // =================================================================
+    
+    initLogsPage() {
+        this.logQuery = this.readLogQueryFromUrl();
+        this.fillLogFilterInputs(this.logQuery);
+        this.loadLogs().then(() => {
+            // Only go live once we know this user can read logs
+            if (this.logPage && this.isLiveEnabled()) this.startLiveLogs();
+        });
+        this.loadLogStats();
+
+        const user = JSON.parse(localStorage.getItem('user') || 'null');
+        const retentionPanel = document.getElementById('retention-panel');
+        if (retentionPanel && user && USER_ROLES[user.role] === 'Admin') {
+            retentionPanel.classList.remove('hidden');
+        }
+    }
+
+    /**
+     * Reads the log filters from the page URL, so filtered views can be shared as links.
+     */
+    readLogQueryFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const query = {};
+        LOG_QUERY_PARAMS.forEach(name => {
+            const value = params.get(name);
+            if (value) query[name] = value;
+        });
+        query.page = Math.max(1, parseInt(query.page, 10) || 1);
+        query.pageSize = Math.min(LOG_MAX_PAGE_SIZE, Math.max(1, parseInt(query.pageSize, 10) || LOG_DEFAULT_PAGE_SIZE));
+        return query;
+    }
+
+    writeLogQueryToUrl(query) {
+        const params = new URLSearchParams();
+        LOG_QUERY_PARAMS.forEach(name => {
+            const value = query[name];
+            if (value === undefined || value === null || value === '') return;
+            if (name === 'page' && value === 1) return;
+            if (name === 'pageSize' && value === LOG_DEFAULT_PAGE_SIZE) return;
+            params.set(name, value);
+        });
+        const search = params.toString();
+        history.replaceState(null, '', window.location.pathname + (search ? `?${search}` : ''));
+    }
+
+    fillLogFilterInputs(query) {
+        document.getElementById('filter-level').value = query.level || '';
+        document.getElementById('filter-user').value = query.user || '';
+        document.getElementById('filter-message').value = query.search || '';
+        document.getElementById('filter-challenge').value = query.challengeId || '';
+        document.getElementById('filter-ip').value = query.ip || '';
+        document.getElementById('filter-from').value = this.toDateTimeInputValue(query.from);
+        document.getElementById('filter-to').value = this.toDateTimeInputValue(query.to);
+        document.getElementById('filter-page-size').value = String(query.pageSize);
+    }
+
+    /**
+     * Converts an ISO timestamp to the local "YYYY-MM-DDTHH:mm" format used by datetime-local inputs.
+     */
+    toDateTimeInputValue(iso) {
+        const date = iso ? new Date(iso) : null;
+        if (!date || Number.isNaN(date.getTime())) return '';
+        const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+        return local.toISOString().slice(0, 16);
+    }
+
+    fromDateTimeInputValue(value) {
+        return value ? new Date(value).toISOString() : '';
+    }
+    
+    async loadLogs() {
+        const loadingDiv = document.getElementById('logs-loading');
+        const errorDiv = document.getElementById('logs-error');
+        if (!loadingDiv || !errorDiv) return;
+
+        // A newer filter/page request replaces one still in flight
+        if (this.logsRequest) this.logsRequest.abort();
+        const request = new AbortController();
+        this.logsRequest = request;
+
+        loadingDiv.classList.remove('hidden');
+        errorDiv.classList.add('hidden');
+
+        try {
+            const page = await this.api.getLogs(this.logQuery, { signal: request.signal });
+
+            // Filters can shrink the result set under the current page; jump back to the last one
+            if (page.items.length === 0 && page.totalCount > 0 && this.logQuery.page > 1) {
+                this.logQuery.page = page.totalPages;
+                this.writeLogQueryToUrl(this.logQuery);
+                return this.loadLogs();
+            }
+
+            this.logPage = page;
+            this.logs = page.items;
+            this.pendingLiveLogs = []; // Already part of the fresh page
+            this.renderLogs();
+            this.renderLogPagination();
+        } catch (error) {
+            if (isAbortError(error)) return;
+            console.error('Error loading logs:', error);
+            if (!(error instanceof UnauthorizedError)) {
+                errorDiv.classList.remove('hidden');
+                const errorMessage = document.getElementById('logs-error-message');
+                if (errorMessage) errorMessage.textContent = error.message;
+            }
+        } finally {
+            if (this.logsRequest === request) {
+                this.logsRequest = null;
+                loadingDiv.classList.add('hidden');
+            }
+        }
+    }
+    
+    applyLogFilters() {
+        this.logQuery = {
+            level: document.getElementById('filter-level').value,
+            user: document.getElementById('filter-user').value.trim(),
+            search: document.getElementById('filter-message').value.trim(),
+            challengeId: document.getElementById('filter-challenge').value.trim(),
+            ip: document.getElementById('filter-ip').value.trim(),
+            from: this.fromDateTimeInputValue(document.getElementById('filter-from').value),
+            to: this.fromDateTimeInputValue(document.getElementById('filter-to').value),
+            page: 1,
+            pageSize: parseInt(document.getElementById('filter-page-size').value, 10) || LOG_DEFAULT_PAGE_SIZE
+        };
+        this.writeLogQueryToUrl(this.logQuery);
+        this.loadLogs();
+        // The stream is filtered server-side, so reconnect with the new filters
+        if (this.isLiveEnabled()) this.startLiveLogs();
+    }
+
+    goToLogPage(page) {
+        if (!this.logPage || page < 1 || page > this.logPage.totalPages) return;
+        this.logQuery.page = page;
+        this.writeLogQueryToUrl(this.logQuery);
+        this.loadLogs();
+    }
+    
+    /**
+     * Renders the current page of logs in chunks, one chunk per animation frame,
+     * so large pages don't block the UI. A newer render cancels an unfinished one.
+     */
+    renderLogs() {
+        const tableBody = document.getElementById('logs-table-body');
+        const emptyDiv = document.getElementById('logs-empty');
+        if (!tableBody || !emptyDiv) return;
+
+        const renderId = ++this.logRenderId;
+        const logs = this.logs;
+        tableBody.replaceChildren();
+        emptyDiv.classList.toggle('hidden', logs.length > 0);
+
+        const renderChunk = (start) => {
+            if (renderId !== this.logRenderId) return;
+            const fragment = document.createDocumentFragment();
+            logs.slice(start, start + LOG_RENDER_CHUNK_SIZE).forEach(log => fragment.appendChild(this.createLogRow(log)));
+            tableBody.appendChild(fragment);
+            if (start + LOG_RENDER_CHUNK_SIZE < logs.length) {
+                requestAnimationFrame(() => renderChunk(start + LOG_RENDER_CHUNK_SIZE));
+            }
+        };
+        renderChunk(0);
+    }
+
+    createLogRow(log) {
+        const row = document.createElement('div');
+        row.className = 'log-entry';
+        row.dataset.logId = log.id;
+        row.tabIndex = 0;
+        row.title = 'Show details';
+
+        const addCell = (label, content) => {
+            const cell = document.createElement('div');
+            cell.className = 'log-cell';
+            cell.dataset.label = label;
+            cell.append(content);
+            row.appendChild(cell);
+            return cell;
+        };
+
+        addCell('Timestamp', new Date(log.timestamp).toLocaleString());
+
+        const levelName = this.getLogLevelName(log.level);
+        const badge = document.createElement('span');
+        badge.className = `log-level-badge level-${levelName}`;
+        badge.textContent = levelName;
+        addCell('Level', badge);
+
+        addCell('User', log.username || log.userId || 'System');
+
+        const message = addCell('Message', '');
+        const eventType = document.createElement('strong');
+        eventType.className = 'log-event-type';
+        eventType.textContent = log.eventType;
+        message.append(eventType, log.details || '');
+        if (log.challengeId) {
+            const challenge = document.createElement('span');
+            challenge.className = 'log-challenge';
+            challenge.textContent = log.challengeId;
+            message.append(challenge);
+        }
+
+        return row;
+    }
+
+    /**
+     * Opens the detail drawer with every field of a log entry on the current page.
+     */
+    openLogDrawer(logId) {
+        const log = this.logs.find(l => l.id === logId);
+        if (!log) return;
+        this.selectedLog = log;
+
+        const fields = document.getElementById('log-drawer-fields');
+        fields.replaceChildren();
+        const addField = (label, value) => {
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const detail = document.createElement('dd');
+            detail.textContent = value === null || value === undefined || value === '' ? '—' : value;
+            fields.append(term, detail);
+        };
+
+        const timestamp = new Date(log.timestamp);
+        addField('ID', log.id);
+        addField('Timestamp', `${timestamp.toLocaleString()} (${timestamp.toISOString()})`);
+        addField('Level', this.getLogLevelName(log.level));
+        addField('Event Type', log.eventType);
+        addField('User', log.username ? `${log.username} (${log.userId})` : log.userId);
+        addField('Challenge', log.challengeId);
+        addField('Details', log.details);
+        addField('IP Address', log.ipAddress);
+        addField('User Agent', log.userAgent);
+
+        const metadata = log.metadata || {};
+        document.getElementById('log-drawer-metadata').textContent =
+            Object.keys(metadata).length ? JSON.stringify(metadata, null, 2) : 'No metadata';
+
+        // Pivots that would match nothing useful are disabled
+        document.querySelector('[data-pivot="ip"]').disabled = !log.ipAddress || log.ipAddress === 'Unknown';
+        document.querySelector('[data-pivot="challenge"]').disabled = !log.challengeId;
+        document.querySelector('[data-pivot="user"]').disabled = !log.userId;
+
+        document.getElementById('log-drawer-backdrop').classList.remove('hidden');
+        const drawer = document.getElementById('log-drawer');
+        drawer.classList.remove('hidden');
+        document.getElementById('log-drawer-close').focus();
+    }
+
+    closeLogDrawer() {
+        const drawer = document.getElementById('log-drawer');
+        if (!drawer || drawer.classList.contains('hidden')) return;
+        drawer.classList.add('hidden');
+        document.getElementById('log-drawer-backdrop').classList.add('hidden');
+
+        // Return focus to the row the drawer was opened from
+        const row = this.selectedLog && document.querySelector(`.log-entry[data-log-id="${CSS.escape(this.selectedLog.id)}"]`);
+        if (row) row.focus();
+        this.selectedLog = null;
+    }
+
+    /**
+     * Re-queries the logs for everything sharing the selected entry's IP, challenge or user.
+     */
+    pivotLogs(kind) {
+        const log = this.selectedLog;
+        if (!log) return;
+
+        const pivots = {
+            ip: { ip: log.ipAddress },
+            challenge: { challengeId: log.challengeId },
+            user: { user: log.userId }
+        };
+        this.closeLogDrawer();
+        this.logQuery = { ...pivots[kind], page: 1, pageSize: this.logQuery.pageSize || LOG_DEFAULT_PAGE_SIZE };
+        this.fillLogFilterInputs(this.logQuery);
+        this.writeLogQueryToUrl(this.logQuery);
+        this.loadLogs();
+        if (this.isLiveEnabled()) this.startLiveLogs();
+    }
+
+    /**
+     * The API sends levels as enum numbers; the UI shows "Info" for Information.
+     */
+    getLogLevelName(level) {
+        const name = typeof level === 'number' ? LOG_LEVELS[level] : level;
+        return name === 'Information' ? 'Info' : (name || 'Info');
+    }
+
+    renderLogPagination() {
+        const pagination = document.getElementById('logs-pagination');
+        if (!pagination || !this.logPage) return;
+
+        const { page, totalPages, totalCount } = this.logPage;
+        pagination.classList.toggle('hidden', totalCount === 0);
+        document.getElementById('logs-page-info').textContent =
+            `Page ${page} of ${Math.max(totalPages, 1)} \u00b7 ${totalCount.toLocaleString()} matching events`;
+        document.getElementById('logs-prev').disabled = page <= 1;
+        document.getElementById('logs-next').disabled = page >= totalPages;
+    }
+
+    /**
+     * Loads /Logs/statistics for the selected time window and updates the
+     * sidebar counters and the activity charts.
+     */
+    async loadLogStats() {
+        const windowSelect = document.getElementById('stats-window');
+        const windowMs = STATS_WINDOWS[windowSelect ? windowSelect.value : '24h'];
+        const query = windowMs ? { from: new Date(Date.now() - windowMs).toISOString() } : {};
+
+        try {
+            const stats = await this.api.getLogStatistics(query);
+            const byLevel = stats.logsByLevel || {};
+            document.getElementById('stat-total-logs').textContent = stats.totalLogs;
+            document.getElementById('stat-error-count').textContent = (byLevel.Error || 0) + (byLevel.Critical || 0);
+            document.getElementById('stat-warning-count').textContent = byLevel.Warning || 0;
+            this.renderLogCharts(stats);
+        } catch (error) {
+            if (!(error instanceof UnauthorizedError)) {
+                console.error('Error loading log statistics:', error);
+            }
+        }
+    }
+
+    renderLogCharts(stats) {
+        if (typeof VulnArenaCharts === 'undefined') return; // charts.js not loaded on this page
+
+        const timeline = document.getElementById('chart-timeline');
+        if (timeline) {
+            // Show times for sub-day buckets, dates otherwise
+            const formatBucket = stats.bucketSeconds < 86400
+                ? (start) => new Date(start).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+                : (start) => new Date(start).toLocaleDateString([], { month: 'short', day: 'numeric' });
+            VulnArenaCharts.timeline(timeline, [
+                { label: 'events', values: stats.timeline.map(b => b.count) },
+                { label: 'errors', values: stats.timeline.map(b => b.errorCount), color: LOG_LEVEL_COLORS.Error }
+            ], stats.timeline.map(b => formatBucket(b.start)));
+        }
+
+        const levels = document.getElementById('chart-levels');
+        if (levels) {
+            VulnArenaCharts.donut(levels, LOG_LEVELS.map(level => {
+                const name = this.getLogLevelName(level);
+                return { label: name, value: stats.logsByLevel[level] || 0, color: LOG_LEVEL_COLORS[name] };
+            }));
+        }
+
+        const eventTypes = document.getElementById('chart-event-types');
+        if (eventTypes) {
+            VulnArenaCharts.bars(eventTypes, Object.entries(stats.logsByEventType)
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, 10)
+                .map(([label, value]) => ({ label, value })));
+        }
+
+        const topUsers = document.getElementById('chart-top-users');
+        if (topUsers) {
+            VulnArenaCharts.bars(topUsers, stats.topUsers.map(u => ({ label: u.label, value: u.count, color: '#00ff88' })));
+        }
+
+        const topChallenges = document.getElementById('chart-top-challenges');
+        if (topChallenges) {
+            VulnArenaCharts.bars(topChallenges, stats.topChallenges.map(c => ({ label: c.label, value: c.count, color: '#a78bfa' })));
+        }
+    }
+    
+    isLiveEnabled() {
+        const liveToggle = document.getElementById('live-toggle');
+        return !!(liveToggle && liveToggle.checked);
+    }
+
+    toggleLiveLogs(enabled) {
+        if (enabled) {
+            this.startLiveLogs();
+        } else {
+            this.stopLiveLogs();
+            this.flushPendingLiveLogs(true);
+        }
+    }
+
+    /**
+     * Connects to /Logs/stream and adds entries as they arrive. If the stream
+     * drops, falls back to polling and reconnects with exponential backoff.
+     */
+    async startLiveLogs() {
+        this.stopLiveLogs();
+        const controller = new AbortController();
+        this.liveStream = controller;
+        this.setLiveStatus('Connecting…');
+
+        // The stream only filters what the server can check per entry; paging and dates are handled locally
+        const { page, pageSize, from, to, ...filters } = this.logQuery;
+        try {
+            for await (const message of this.api.streamLogs(filters, { signal: controller.signal })) {
+                if (message.event === 'connected') {
+                    this.liveRetryDelay = LIVE_RETRY_MIN_MS;
+                    if (this.logPollInterval) {
+                        // Catch up on anything missed while we were polling
+                        this.stopLogPolling();
+                        this.loadLogs();
+                    }
+                    this.setLiveStatus('Live');
+                } else if (message.event === 'log') {
+                    this.receiveLiveLog(JSON.parse(message.data));
+                } else if (message.event === 'session-expired') {
+                    this.stopLiveLogs();
+                    this.handleSessionExpired();
+                    return;
+                }
+            }
+        } catch (error) {
+            if (isAbortError(error) || error instanceof UnauthorizedError) return;
+            if (error instanceof ForbiddenError) {
+                this.setLiveStatus('Unavailable');
+                return;
+            }
+            console.error('Live log stream error:', error);
+        }
+
+        if (this.liveStream !== controller) return;
+        // Stream ended or failed: poll until it comes back
+        this.liveStream = null;
+        this.startLogPolling();
+        this.liveRetryTimer = setTimeout(() => this.startLiveLogs(), this.liveRetryDelay);
+        this.liveRetryDelay = Math.min(this.liveRetryDelay * 2, LIVE_RETRY_MAX_MS);
+    }
+
+    stopLiveLogs() {
+        if (this.liveStream) {
+            this.liveStream.abort();
+            this.liveStream = null;
+        }
+        clearTimeout(this.liveRetryTimer);
+        this.liveRetryTimer = null;
+        this.stopLogPolling();
+        this.setLiveStatus('');
+    }
+
+    startLogPolling() {
+        this.setLiveStatus('Reconnecting… (polling)');
+        if (this.logPollInterval) return;
+        this.logPollInterval = setInterval(() => {
+            this.loadLogs();
+            this.loadLogStats();
+        }, LOG_POLL_INTERVAL_MS);
+    }
+
+    stopLogPolling() {
+        clearInterval(this.logPollInterval);
+        this.logPollInterval = null;
+    }
+
+    setLiveStatus(text) {
+        const status = document.getElementById('live-status');
+        if (status) status.textContent = text;
+    }
+
+    receiveLiveLog(log) {
+        // Outside the selected date range
+        if (this.logQuery.to && new Date(log.timestamp) > new Date(this.logQuery.to)) return;
+
+        if (this.logPage) {
+            this.logPage.totalCount++;
+            this.logPage.totalPages = Math.ceil(this.logPage.totalCount / this.logPage.pageSize);
+            this.renderLogPagination();
+        }
+
+        // Newest entries only belong on the first page
+        if (this.logQuery.page > 1) return;
+
+        this.pendingLiveLogs.push(log);
+        this.flushPendingLiveLogs();
+    }
+
+    /**
+     * New rows are held back while the user is scrolling or reading further
+     * down the list, so the rows under them don't jump.
+     */
+    isLiveViewPaused() {
+        const tableBody = document.getElementById('logs-table-body');
+        return this.liveScrolling || (tableBody && tableBody.getBoundingClientRect().top < 0);
+    }
+
+    onLogsScroll() {
+        this.liveScrolling = true;
+        clearTimeout(this.liveScrollTimer);
+        this.liveScrollTimer = setTimeout(() => {
+            this.liveScrolling = false;
+            this.flushPendingLiveLogs();
+        }, LIVE_SCROLL_IDLE_MS);
+    }
+
+    /**
+     * Prepends held-back live entries, highlighting them briefly, and trims the
+     * page back to its size. Pass force to skip the scroll check.
+     */
+    flushPendingLiveLogs(force = false) {
+        const tableBody = document.getElementById('logs-table-body');
+        if (!tableBody || this.pendingLiveLogs.length === 0) return;
+
+        if (!force && this.isLiveViewPaused()) {
+            this.setLiveStatus(`Paused · ${this.pendingLiveLogs.length} new`);
+            return;
+        }
+
+        this.pendingLiveLogs.forEach(log => {
+            const row = this.createLogRow(log);
+            row.classList.add('log-entry-new');
+            tableBody.prepend(row);
+            this.logs.unshift(log);
+        });
+        this.pendingLiveLogs = [];
+
+        const pageSize = this.logPage ? this.logPage.pageSize : LOG_DEFAULT_PAGE_SIZE;
+        while (this.logs.length > pageSize) {
+            this.logs.pop();
+            if (tableBody.lastElementChild) tableBody.lastElementChild.remove();
+        }
+
+        document.getElementById('logs-empty').classList.add('hidden');
+        if (this.liveStream) this.setLiveStatus('Live');
+    }
+    
+    /**
+     * Exports every log matching the current filters (not just the visible page) via the server,
+     * in the format and columns picked in the sidebar.
+     */
+    async exportLogs() {
+        const { page, pageSize, ...filters } = this.logQuery;
+        const format = document.getElementById('export-format').value;
+        const columns = [...document.querySelectorAll('#export-columns input:checked')].map(input => input.value);
+        if (columns.length === 0) {
+            this.showNotification('Select at least one column to export', 'error');
+            return;
+        }
+
+        const button = document.getElementById('export-logs');
+        button.disabled = true;
+        try {
+            const response = await this.api.exportLogs({ ...filters, format, columns: columns.join(',') });
+            const dataBlob = await response.blob();
+            // Prefer the server's timestamped file name
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const match = disposition.match(/filename="?([^";]+)"?/);
+            this.saveBlob(dataBlob, match ? match[1] : `logs.${format}`);
+        } catch (error) {
+            if (error instanceof UnauthorizedError) return;
+            console.error('Error exporting logs:', error);
+            this.showNotification(`Export failed: ${error.message}`, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Shows how many entries a cleanup would delete before anything is removed.
+     */
+    async previewLogCleanup() {
+        const days = parseInt(document.getElementById('retention-days').value, 10);
+        if (!days || days < 1) {
+            this.showNotification('Enter a number of days of at least 1', 'error');
+            return;
+        }
+
+        try {
+            const preview = await this.api.previewLogCleanup(days);
+            this.cleanupPreview = preview;
+            const summary = document.getElementById('retention-summary');
+            const runButton = document.getElementById('retention-run');
+            if (preview.count === 0) {
+                summary.textContent = `No log entries are older than ${days} days.`;
+                runButton.classList.add('hidden');
+            } else {
+                const oldest = new Date(preview.oldestTimestamp).toLocaleString();
+                summary.textContent = `${preview.count.toLocaleString()} entries older than ${days} days will be deleted (oldest: ${oldest}).`;
+                runButton.classList.remove('hidden');
+            }
+            document.getElementById('retention-result').classList.remove('hidden');
+        } catch (error) {
+            if (error instanceof UnauthorizedError) return;
+            console.error('Error previewing log cleanup:', error);
+            this.showNotification(`Preview failed: ${error.message}`, 'error');
+        }
+    }
+
+    resetLogCleanupPreview() {
+        this.cleanupPreview = null;
+        document.getElementById('retention-result').classList.add('hidden');
+    }
+
+    /**
+     * Deletes the previewed entries after confirmation. Uses the previewed cutoff so the
+     * deletion matches what the admin saw.
+     */
+    async runLogCleanup() {
+        const preview = this.cleanupPreview;
+        if (!preview || preview.count === 0) return;
+        if (!confirm(`Permanently delete ${preview.count.toLocaleString()} log entries? This cannot be undone.`)) return;
+
+        const button = document.getElementById('retention-run');
+        button.disabled = true;
+        try {
+            const result = await this.api.cleanupLogs(preview.cutoffDate);
+            this.showNotification(result.message, 'success');
+            this.resetLogCleanupPreview();
+            this.loadLogs();
+            this.loadLogStats();
+        } catch (error) {
+            if (error instanceof UnauthorizedError) return;
+            console.error('Error cleaning up logs:', error);
+            this.showNotification(`Cleanup failed: ${error.message}`, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+    
+    // =================================================================
+    // == LEADERBOARD PAGE (leaderboard.html) ==========================
+    // =================================================================
+    
+    initLeaderboardPage() {
+        const params = new URLSearchParams(window.location.search);
+        const category = params.get('category') || '';
+        const period = params.get('period');
+        document.getElementById('categoryFilter').value = category;
+        document.getElementById('timeFilter').value = LEADERBOARD_PERIODS.includes(period) ? period : 'all';
+        this.loadLeaderboard();
+    }
+
+    /**
+     * Reads the category/period filters, mirrors them in the URL and fetches the matching ranking.
+     */
+    async loadLeaderboard() {
+        const category = document.getElementById('categoryFilter').value;
+        const period = document.getElementById('timeFilter').value;
+
+        const params = new URLSearchParams();
+        if (category) params.set('category', category);
+        if (period !== 'all') params.set('period', period);
+        const search = params.toString();
+        history.replaceState(null, '', window.location.pathname + (search ? `?${search}` : ''));
+
+        if (this.leaderboardRequest) this.leaderboardRequest.abort();
+        const request = new AbortController();
+        this.leaderboardRequest = request;
+
+        const loader = document.getElementById('loadingSpinner');
+        if (loader) loader.classList.remove('hidden');
+
+        try {
+            const query = { period };
+            if (category) query.category = category;
+            const data = await this.api.getLeaderboard(query, { signal: request.signal });
+            this.leaderboardData = data;
+            this.renderLeaderboard(data);
+            this.renderPersonalStats(data.currentUser);
+            this.loadScoreProgression();
+            this.loadTeamLeaderboard(query);
+        } catch (error) {
+            if (isAbortError(error)) return;
+            console.error('Error loading leaderboard:', error);
+            this.showNotification(`Failed to load leaderboard: ${error.message}`, 'error');
+        } finally {
+            if (this.leaderboardRequest === request) {
+                this.leaderboardRequest = null;
+                if (loader) loader.classList.add('hidden');
+            }
+        }
+    }
+
+    renderLeaderboard(data) {
+        const table = document.getElementById('leaderboardTable');
+        if (!table) return;
+
+        const frozen = document.getElementById('leaderboard-frozen');
+        frozen.classList.toggle('hidden', !data.frozenAt);
+        if (data.frozenAt) {
+            document.getElementById('leaderboard-frozen-message').textContent =
+                `Scoreboard frozen at ${new Date(data.frozenAt).toLocaleString()}. Later solves are revealed when the competition ends.`;
+        }
+
+        document.getElementById('totalUsers').textContent = data.totalUsers.toLocaleString();
+        document.getElementById('totalChallenges').textContent = data.totalSolves.toLocaleString();
+        document.getElementById('totalPoints').textContent = data.totalPoints.toLocaleString();
+
+        // Top 3 podium; places without a scorer are hidden
+        [1, 2, 3].forEach(rank => {
+            const place = document.getElementById(`podium-${rank}`);
+            const entry = data.leaderboard[rank - 1];
+            if (!place) return;
+            place.classList.toggle('hidden', !entry || entry.totalPoints === 0);
+            if (!entry) return;
+            const avatar = place.querySelector('.podium-avatar img');
+            avatar.src = this.getAvatarUrl(entry.username);
+            avatar.alt = entry.username;
+            const name = document.createElement('a');
+            name.href = this.getProfileUrl(entry.userId);
+            name.textContent = entry.username;
+            place.querySelector('.podium-name').replaceChildren(name);
+            place.querySelector('.podium-score').textContent = `${entry.totalPoints.toLocaleString()} pts`;
+        });
+
+        if (data.leaderboard.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'no-data';
+            const icon = document.createElement('i');
+            icon.className = 'fas fa-flag';
+            const message = document.createElement('p');
+            message.textContent = 'No solves match these filters yet.';
+            empty.append(icon, message);
+            table.replaceChildren(empty);
+            return;
+        }
+
+        const currentUserId = data.currentUser ? data.currentUser.userId : null;
+        table.replaceChildren(...data.leaderboard.map(entry => this.createLeaderboardRow(entry, entry.userId === currentUserId)));
+    }
+
+    createLeaderboardRow(entry, isCurrentUser) {
+        const row = document.createElement('div');
+        row.className = 'table-row';
+        row.dataset.userId = entry.userId;
+        row.title = 'Click to compare on the score chart';
+        if (isCurrentUser) row.classList.add('current-user');
+        if (this.progressionUsers.has(entry.userId)) row.classList.add('selected');
+
+        const cell = (className, ...children) => {
+            const element = document.createElement('div');
+            element.className = `table-cell ${className}`;
+            element.append(...children);
+            row.appendChild(element);
+            return element;
+        };
+        const span = (className, text) => {
+            const element = document.createElement('span');
+            element.className = className;
+            element.textContent = text;
+            return element;
+        };
+
+        const rankCell = cell('rank-cell', span('rank-number', entry.rank));
+        if (entry.rank <= 3) {
+            const badge = span(`rank-badge rank-${entry.rank}`, '');
+            setHtml(badge, html`<i class="fas fa-medal"></i>`);
+            rankCell.appendChild(badge);
+        }
+
+        const avatar = document.createElement('img');
+        avatar.className = 'user-avatar';
+        avatar.src = this.getAvatarUrl(entry.username);
+        avatar.alt = '';
+        const profileLink = document.createElement('a');
+        profileLink.className = 'username';
+        profileLink.href = this.getProfileUrl(entry.userId);
+        profileLink.textContent = entry.username;
+        cell('user-cell', avatar, profileLink);
+
+        cell('score-cell', span('score-value', entry.totalPoints.toLocaleString()), span('score-label', 'pts'));
+        cell('challenges-cell', span('challenges-value', entry.solvedChallenges), span('challenges-label', 'solved'));
+
+        const categories = document.createElement('div');
+        categories.className = 'categories-list';
+        entry.categories.forEach(category => {
+            categories.appendChild(span(`category-badge category-${category.toLowerCase()}`, category));
+        });
+        cell('categories-cell', categories);
+
+        const streak = span('streak-value', ` ${entry.streak}`);
+        appendHtml(streak, html`<i class="fas fa-fire"></i>`, 'afterbegin');
+        cell('streak-cell', streak, span('streak-label', entry.streak === 1 ? 'day' : 'days'));
+
+        cell('last-active-cell', span('last-active-value',
+            entry.lastSolvedAt ? new Date(entry.lastSolvedAt).toLocaleDateString() : 'Never'));
+
+        return row;
+    }
+
+    /**
+     * Team ranking for the same category/period filters as the player ranking.
+     */
+    async loadTeamLeaderboard(query) {
+        const table = document.getElementById('teamLeaderboardTable');
+        if (!table) return;
+
+        if (this.teamLeaderboardRequest) this.teamLeaderboardRequest.abort();
+        const request = new AbortController();
+        this.teamLeaderboardRequest = request;
+
+        try {
+            const data = await this.api.getTeamLeaderboard(query, { signal: request.signal });
+            document.getElementById('totalTeams').textContent =
+                `${data.totalTeams.toLocaleString()} team${data.totalTeams === 1 ? '' : 's'} scoring`;
+
+            if (data.leaderboard.length === 0) {
+                const empty = document.createElement('div');
+                empty.className = 'no-data';
+                const icon = document.createElement('i');
+                icon.className = 'fas fa-users';
+                const message = document.createElement('p');
+                message.textContent = 'No team has scored with these filters yet.';
+                empty.append(icon, message);
+                table.replaceChildren(empty);
+                return;
+            }
+
+            const currentTeamId = data.currentTeam ? data.currentTeam.teamId : null;
+            table.replaceChildren(...data.leaderboard.map(entry => this.createTeamLeaderboardRow(entry, entry.teamId === currentTeamId)));
+        } catch (error) {
+            if (isAbortError(error)) return;
+            console.error('Error loading team leaderboard:', error);
+            this.showNotification(`Failed to load team rankings: ${error.message}`, 'error');
+        } finally {
+            if (this.teamLeaderboardRequest === request) this.teamLeaderboardRequest = null;
+        }
+    }
+
+    createTeamLeaderboardRow(entry, isCurrentTeam) {
+        const row = document.createElement('div');
+        row.className = 'table-row';
+        if (isCurrentTeam) row.classList.add('current-user');
+
+        const cell = (className, ...children) => {
+            const element = document.createElement('div');
+            element.className = `table-cell ${className}`;
+            element.append(...children);
+            row.appendChild(element);
+            return element;
+        };
+        const span = (className, text) => {
+            const element = document.createElement('span');
+            element.className = className;
+            element.textContent = text;
+            return element;
+        };
+
+        const rankCell = cell('rank-cell', span('rank-number', entry.rank));
+        if (entry.rank <= 3) {
+            const badge = span(`rank-badge rank-${entry.rank}`, '');
+            setHtml(badge, html`<i class="fas fa-medal"></i>`);
+            rankCell.appendChild(badge);
+        }
+
+        const avatar = document.createElement('img');
+        avatar.className = 'user-avatar';
+        avatar.src = this.getAvatarUrl(entry.name);
+        avatar.alt = '';
+        cell('user-cell', avatar, span('username', entry.name));
+
+        cell('score-cell', span('score-value', entry.totalPoints.toLocaleString()), span('score-label', 'pts'));
+        cell('challenges-cell', span('challenges-value', entry.solvedChallenges), span('challenges-label', 'solved'));
+
+        const categories = document.createElement('div');
+        categories.className = 'categories-list';
+        entry.categories.forEach(category => {
+            categories.appendChild(span(`category-badge category-${category.toLowerCase()}`, category));
+        });
+        cell('categories-cell', categories);
+
+        const members = document.createElement('div');
+        members.className = 'team-member-links';
+        entry.members.forEach(member => {
+            const link = document.createElement('a');
+            link.href = this.getProfileUrl(member.userId);
+            link.textContent = member.username;
+            members.appendChild(link);
+        });
+        cell('members-cell', members);
+
+        cell('last-active-cell', span('last-active-value',
+            entry.lastSolvedAt ? new Date(entry.lastSolvedAt).toLocaleDateString() : 'Never'));
+
+        return row;
+    }
+
+    /**
+     * Plots cumulative score over time for the picked players, or the top 10 of the current view.
+     */
+    async loadScoreProgression() {
+        const container = document.getElementById('score-progression-chart');
+        if (!container || typeof VulnArenaCharts === 'undefined') return;
+
+        if (this.progressionRequest) this.progressionRequest.abort();
+        const request = new AbortController();
+        this.progressionRequest = request;
+
+        const category = document.getElementById('categoryFilter').value;
+        const period = document.getElementById('timeFilter').value;
+        const query = { period };
+        if (category) query.category = category;
+        if (this.progressionUsers.size > 0) query.users = [...this.progressionUsers].join(',');
+
+        const picked = this.progressionUsers.size;
+        document.getElementById('progression-caption').textContent = picked > 0
+            ? `Comparing ${picked} selected player${picked === 1 ? '' : 's'}. Click players in the rankings to add or remove them.`
+            : 'Top 10 players. Click players in the rankings below to compare them instead.';
+        document.getElementById('progression-reset').classList.toggle('hidden', picked === 0);
+
+        try {
+            const timeline = await this.api.getLeaderboardTimeline(query, { signal: request.signal });
+            const formatTime = period === '24h'
+                ? (time) => new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+                : (time) => new Date(time).toLocaleDateString([], { month: 'short', day: 'numeric' });
+            const series = timeline.series.map(s => ({
+                label: `#${s.rank} ${s.username}`,
+                points: s.solves.map(solve => ({
+                    time: Date.parse(solve.solvedAt),
+                    value: solve.totalPoints,
+                    title: `${solve.challengeTitle} (+${solve.points}) \u2192 ${solve.totalPoints} pts, ${new Date(solve.solvedAt).toLocaleString()}`
+                }))
+            }));
+            VulnArenaCharts.steps(container, series, {
+                start: timeline.since ? Date.parse(timeline.since) : undefined,
+                end: Date.parse(timeline.until),
+                formatTime
+            });
+        } catch (error) {
+            if (isAbortError(error)) return;
+            console.error('Error loading score progression:', error);
+            const message = document.createElement('p');
+            message.className = 'chart-empty';
+            message.textContent = 'Could not load the score chart.';
+            container.replaceChildren(message);
+        } finally {
+            if (this.progressionRequest === request) this.progressionRequest = null;
+        }
+    }
+
+    toggleProgressionUser(userId) {
+        if (this.progressionUsers.has(userId)) {
+            this.progressionUsers.delete(userId);
+        } else if (this.progressionUsers.size >= PROGRESSION_MAX_USERS) {
+            this.showNotification(`You can compare up to ${PROGRESSION_MAX_USERS} players`, 'error');
+            return;
+        } else {
+            this.progressionUsers.add(userId);
+        }
+        document.querySelectorAll('#leaderboardTable .table-row').forEach(row => {
+            row.classList.toggle('selected', this.progressionUsers.has(row.dataset.userId));
+        });
+        this.loadScoreProgression();
+    }
+
+    resetProgressionUsers() {
+        this.progressionUsers.clear();
+        document.querySelectorAll('#leaderboardTable .table-row.selected').forEach(row => row.classList.remove('selected'));
+        this.loadScoreProgression();
+    }
+
+    getAvatarUrl(username) {
+        return `https://api.dicebear.com/7.x/avataaars/svg?seed=${encodeURIComponent(username)}`;
+    }
+
+    renderPersonalStats(entry) {
+        const section = document.getElementById('userStatsSection');
+        if (!section) return;
+        // Only shown for a logged-in user who appears in the current ranking
+        if (!entry) {
+            section.classList.add('hidden');
+            return;
+        }
+        document.getElementById('userRank').textContent = `#${entry.rank}`;
+        document.getElementById('userScore').textContent = entry.totalPoints.toLocaleString();
+        document.getElementById('userChallenges').textContent = entry.solvedChallenges;
+        document.getElementById('userStreak').textContent = entry.streak;
+        document.getElementById('userProfileLink').href = this.getProfileUrl(entry.userId);
+        section.classList.remove('hidden');
+        this.loadPersonalAchievements(entry.userId);
+    }
+
+    /**
+     * Unlocked achievements for the "Your Performance" panel; they come with the public profile.
+     */
+    async loadPersonalAchievements(userId) {
+        const list = document.getElementById('userAchievements');
+        if (!list) return;
+
+        if (this.achievementsRequest) this.achievementsRequest.abort();
+        const request = new AbortController();
+        this.achievementsRequest = request;
+
+        try {
+            const profile = await this.api.getUserStats(userId, { signal: request.signal });
+            const unlocked = profile.achievements.achievements.filter(a => a.unlocked);
+            list.replaceChildren(...unlocked.map(a => this.createAchievementItem(a)));
+            list.classList.toggle('hidden', unlocked.length === 0);
+        } catch (error) {
+            if (isAbortError(error)) return;
+            // The panel is still useful without achievements
+            console.error('Error loading achievements:', error);
+            list.classList.add('hidden');
+        } finally {
+            if (this.achievementsRequest === request) this.achievementsRequest = null;
+        }
+    }
+
+    toggleLeaderboardView() {
+        const container = document.querySelector('.leaderboard-table-container');
+        if (container) {
+            container.classList.toggle('grid-view');
+        }
+    }
+
+    /**
+     * Exports the leaderboard as currently filtered. "ctftime" produces the CTFtime scoreboard feed
+     * ({ standings: [{ pos, team, score, lastAccept }] }) for publishing final standings.
+     */
+    exportLeaderboard() {
+        const data = this.leaderboardData;
+        if (!data || data.leaderboard.length === 0) {
+            this.showNotification('There are no standings to export', 'error');
+            return;
+        }
+
+        const format = document.getElementById('leaderboard-export-format').value;
+        const baseName = ['leaderboard', data.category, data.period !== 'all' ? data.period : null]
+            .filter(Boolean).join('-').toLowerCase();
+        const rows = data.leaderboard.map(entry => ({
+            rank: entry.rank,
+            username: entry.username,
+            points: entry.totalPoints,
+            solved: entry.solvedChallenges,
+            categories: entry.categories.join(' '),
+            lastSolvedAt: entry.lastSolvedAt
+        }));
+
+        if (format === 'csv') {
+            const header = ['Rank', 'Username', 'Points', 'Solved', 'Categories', 'LastSolvedAt'];
+            const lines = [header, ...rows.map(row => Object.values(row))]
+                .map(values => values.map(value => this.toCsvField(value)).join(','));
+            this.saveBlob(new Blob([lines.join('\r\n')], { type: 'text/csv' }), `${baseName}.csv`);
+        } else if (format === 'ctftime') {
+            const feed = {
+                standings: data.leaderboard
+                    .filter(entry => entry.totalPoints > 0)
+                    .map(entry => ({
+                        pos: entry.rank,
+                        team: entry.username,
+                        score: entry.totalPoints,
+                        lastAccept: entry.lastSolvedAt ? Math.floor(new Date(entry.lastSolvedAt).getTime() / 1000) : 0
+                    }))
+            };
+            this.saveBlob(new Blob([JSON.stringify(feed, null, 2)], { type: 'application/json' }), `${baseName}-ctftime.json`);
+        } else {
+            const json = {
+                category: data.category,
+                period: data.period,
+                exportedAt: new Date().toISOString(),
+                standings: rows
+            };
+            this.saveBlob(new Blob([JSON.stringify(json, null, 2)], { type: 'application/json' }), `${baseName}.json`);
+        }
+    }
+
+    toCsvField(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (CSV_FORMULA_PREFIXES.includes(text.charAt(0))) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // =================================================================
+    // == PROFILE PAGE (profile.html) ==================================
+    // =================================================================
+
+    getProfileUrl(userId) {
+        return `profile.html?id=${encodeURIComponent(userId)}`;
+    }
+
+    async initProfilePage() {
+        const userId = new URLSearchParams(window.location.search).get('id');
+        const notFound = document.getElementById('profile-not-found');
+        if (!userId) {
+            notFound.classList.remove('hidden');
+            return;
+        }
+
+        try {
+            const profile = await this.api.getUserStats(userId);
+            this.renderProfile(profile);
+            document.getElementById('profile-content').classList.remove('hidden');
+        } catch (error) {
+            console.error('Error loading profile:', error);
+            if (!(error instanceof NotFoundError)) {
+                document.getElementById('profile-not-found-message').textContent = `Could not load this profile: ${error.message}`;
+            }
+            notFound.classList.remove('hidden');
+        }
+    }
+
+    renderProfile(profile) {
+        const { stats } = profile;
+        const firstBloods = new Set(stats.firstBloods);
+        document.title = `${profile.username} - VulnArena`;
+
+        const avatar = document.getElementById('profile-avatar');
+        avatar.src = this.getAvatarUrl(profile.username);
+        avatar.alt = profile.username;
+        document.getElementById('profile-username').textContent = profile.username;
+        document.getElementById('profile-member-since').textContent =
+            `Member since ${new Date(profile.createdAt).toLocaleDateString()}`;
+
+        const badges = document.getElementById('profile-badges');
+        badges.replaceChildren();
+        if (firstBloods.size > 0) {
+            const badge = document.createElement('span');
+            badge.className = 'achievement-badge first-blood-badge';
+            badge.textContent = `${firstBloods.size} first blood${firstBloods.size === 1 ? '' : 's'}`;
+            badges.appendChild(badge);
+        }
+
+        document.getElementById('profile-rank').textContent = stats.rank > 0 ? `#${stats.rank}` : 'Unranked';
+        document.getElementById('profile-points').textContent = stats.totalPoints.toLocaleString();
+        document.getElementById('profile-solved').textContent = stats.solvedChallenges;
+        document.getElementById('profile-first-bloods').textContent = firstBloods.size;
+        document.getElementById('profile-average-time').textContent =
+            stats.averageSolveSeconds > 0 ? this.formatDuration(stats.averageSolveSeconds * 1000) : '-';
+        document.getElementById('profile-last-solve').textContent =
+            stats.lastSolvedAt ? new Date(stats.lastSolvedAt).toLocaleString() : 'Never';
+
+        const { achievements } = profile;
+        document.getElementById('profile-streak').textContent =
+            `${achievements.currentStreak} day${achievements.currentStreak === 1 ? '' : 's'}`;
+        document.getElementById('profile-longest-streak').textContent =
+            `${achievements.longestStreak} day${achievements.longestStreak === 1 ? '' : 's'}`;
+        const unlockedCount = achievements.achievements.filter(a => a.unlocked).length;
+        document.getElementById('profile-achievement-count').textContent =
+            `${unlockedCount} / ${achievements.achievements.length}`;
+        // Unlocked first, most recent first; locked ones keep their server order
+        const sorted = [...achievements.achievements].sort((a, b) =>
+            (b.unlockedAt ? Date.parse(b.unlockedAt) : 0) - (a.unlockedAt ? Date.parse(a.unlockedAt) : 0));
+        document.getElementById('profile-achievements').replaceChildren(...sorted.map(a => this.createAchievementItem(a)));
+
+        const categories = document.getElementById('profile-categories');
+        if (typeof VulnArenaCharts !== 'undefined') {
+            VulnArenaCharts.bars(categories, stats.categoryBreakdown.map(c => ({
+                label: `${c.category} (${c.solvedCount})`,
+                value: c.totalPoints
+            })));
+        }
+
+        const tableBody = document.getElementById('profile-solves-body');
+        document.getElementById('profile-solves-empty').classList.toggle('hidden', stats.solves.length > 0);
+        tableBody.replaceChildren(...stats.solves.map(solve => {
+            const row = document.createElement('tr');
+            const addCell = (...children) => {
+                const cell = document.createElement('td');
+                cell.append(...children);
+                row.appendChild(cell);
+                return cell;
+            };
+            const title = addCell(solve.title || solve.challengeId);
+            if (firstBloods.has(solve.challengeId)) {
+                const badge = document.createElement('span');
+                badge.className = 'achievement-badge first-blood-badge';
+                badge.textContent = 'First blood';
+                badge.title = 'First player to solve this challenge';
+                title.append(' ', badge);
+            }
+            const category = document.createElement('span');
+            category.className = `category-badge category-${(solve.category || '').toLowerCase()}`;
+            category.textContent = solve.category || '-';
+            addCell(category);
+            addCell(String(solve.points));
+            addCell(new Date(solve.solvedAt).toLocaleString());
+            return row;
+        }));
+    }
+
+    createAchievementItem(achievement) {
+        const item = document.createElement('li');
+        item.className = `achievement${achievement.unlocked ? '' : ' locked'}`;
+        item.title = achievement.unlocked
+            ? `${achievement.description} (unlocked ${new Date(achievement.unlockedAt).toLocaleDateString()})`
+            : `${achievement.description} (locked)`;
+
+        const icon = document.createElement('i');
+        icon.className = `fas ${achievement.unlocked ? achievement.icon : 'fa-lock'} achievement-icon`;
+        const text = document.createElement('div');
+        const name = document.createElement('strong');
+        name.textContent = achievement.name;
+        const description = document.createElement('span');
+        description.className = 'achievement-description';
+        description.textContent = achievement.description;
+        text.append(name, description);
+
+        item.append(icon, text);
+        return item;
+    }
+
+    // =================================================================
+    // == ACCOUNT PAGE (account.html) ==================================
+    // =================================================================
+
+    async initAccountPage() {
+        const content = document.getElementById('account-content');
+        const loginRequired = document.getElementById('account-login-required');
+
+        if (!this.api.getToken()) {
+            loginRequired.classList.remove('hidden');
+            return;
+        }
+
+        try {
+            const user = await this.api.me();
+            this.renderAccountProfile(user);
+            content.classList.remove('hidden');
+            this.initTeamPanel();
         } catch (error) {
-            console.error('Error submitting flag:', error);
-            this.showNotification('Error submitting flag', 'error');
+            if (error instanceof UnauthorizedError) return;
+            console.error('Error loading account:', error);
+            this.showNotification(`Failed to load account: ${error.message}`, 'error');
         }
+
+        const form = document.getElementById('change-password-form');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.changePassword(form);
+        });
+        form.newPassword.addEventListener('input', () => this.updatePasswordStrength(form.newPassword.value));
+        this.updatePasswordStrength('');
     }
 
-    // =================================================================
-    // == LOGS PAGE (logs.html) ========================================
-    // =================================================================
-    
-    initLogsPage() {
-        // All listeners are now in setupEventListeners()
-        this.loadLogs();
+    renderAccountProfile(user) {
+        const formatDate = (value) => value ? new Date(value).toLocaleString() : 'Never';
+        document.getElementById('account-username').textContent = user.username;
+        document.getElementById('account-email').textContent = user.email;
+        document.getElementById('account-role').textContent = USER_ROLES[user.role] || user.role;
+        document.getElementById('account-points').textContent = user.totalPoints;
+        document.getElementById('account-solved').textContent = user.solvedChallenges;
+        document.getElementById('account-created').textContent = formatDate(user.createdAt);
+        document.getElementById('account-last-login').textContent = formatDate(user.lastLoginAt);
     }
-    
-    async loadLogs() {
-        const loadingDiv = document.getElementById('logs-loading');
-        const errorDiv = document.getElementById('logs-error');
-        if (!loadingDiv || !errorDiv) return;
 
-        loadingDiv.classList.remove('hidden');
-        errorDiv.classList.add('hidden');
+    initTeamPanel() {
+        const createForm = document.getElementById('create-team-form');
+        createForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveTeam(() => this.api.createTeam(createForm.name.value.trim()), 'Team created!');
+        });
 
-        try {
-            console.log('Attempting to load logs...');
-            const url = `${this.apiBaseUrl}/Logs`;
-            console.log('Logs API URL:', url);
-            
-            const response = await this.fetchWithAuth(url);
-            console.log('Logs response status:', response.status);
-            console.log('Logs response headers:', Object.fromEntries(response.headers.entries()));
-            
-            if (!response.ok) {
-                const errorData = await response.text();
-                console.error('Logs API error response:', errorData);
-                throw new Error(`Failed to fetch logs: ${response.status} ${errorData}`);
+        const joinForm = document.getElementById('join-team-form');
+        joinForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveTeam(() => this.api.joinTeam(joinForm.joinCode.value.trim()), 'Welcome to the team!');
+        });
+
+        document.getElementById('team-copy-code').addEventListener('click', () => this.copyTeamJoinCode());
+        document.getElementById('team-regenerate-code').addEventListener('click', () => {
+            if (!confirm('Generate a new join code? The current code will stop working.')) return;
+            this.saveTeam(() => this.api.regenerateTeamJoinCode(), 'New join code generated.');
+        });
+        document.getElementById('team-leave').addEventListener('click', () => this.leaveTeam());
+
+        // Captain actions on member rows
+        document.getElementById('team-members').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-team-action]');
+            if (!button) return;
+            const { teamAction, userId, username } = button.dataset;
+            if (teamAction === 'captain') {
+                if (!confirm(`Make ${username} the team captain? You will no longer be able to manage the team.`)) return;
+                this.saveTeam(() => this.api.transferTeamCaptain(userId), `${username} is now the captain.`);
+            } else if (teamAction === 'remove') {
+                if (!confirm(`Remove ${username} from the team?`)) return;
+                this.saveTeam(() => this.api.removeTeamMember(userId), `${username} was removed from the team.`);
             }
-            
-            const logsData = await response.json();
-            console.log('Logs data received:', logsData);
-            console.log('Number of logs:', logsData.length);
-            
-            this.logs = logsData;
-            this.filteredLogs = this.logs;
-            this.renderLogs();
-            this.updateLogStats();
-            console.log('Logs loaded successfully');
+        });
+
+        this.loadTeam();
+    }
+
+    async loadTeam() {
+        try {
+            this.renderTeam(await this.api.getMyTeam());
         } catch (error) {
-            console.error('Error loading logs:', error);
-            if (error.message !== 'Unauthorized') {
-                errorDiv.classList.remove('hidden');
-                document.getElementById('logs-error-message').textContent = error.message;
+            if (error instanceof UnauthorizedError) return;
+            if (error instanceof NotFoundError) {
+                this.renderTeam(null);
+                return;
             }
-        } finally {
-            loadingDiv.classList.add('hidden');
+            console.error('Error loading team:', error);
+            this.showNotification(`Failed to load team: ${error.message}`, 'error');
         }
     }
-    
-    applyLogFilters() {
-        const level = document.getElementById('filter-level').value;
-        const user = document.getElementById('filter-user').value.toLowerCase();
-        const message = document.getElementById('filter-message').value.toLowerCase();
 
-        this.filteredLogs = this.logs.filter(log => {
-            const levelMatch = !level || log.level === level;
-            const userMatch = !user || (log.user && log.user.toLowerCase().includes(user));
-            const messageMatch = !message || log.message.toLowerCase().includes(message);
-            return levelMatch && userMatch && messageMatch;
-        });
-        this.renderLogs();
+    /**
+     * Runs a team action that resolves with the updated team, and shows it. Rule violations
+     * (name taken, team full, bad code...) come back as plain-text 400s.
+     */
+    async saveTeam(action, successMessage) {
+        const errorEl = document.getElementById('team-error');
+        errorEl.classList.add('hidden');
+        try {
+            this.renderTeam(await action());
+            this.showNotification(successMessage, 'success');
+        } catch (error) {
+            if (error instanceof UnauthorizedError) return;
+            if (error instanceof ValidationError && !document.getElementById('team-none').classList.contains('hidden')) {
+                errorEl.textContent = error.message;
+                errorEl.classList.remove('hidden');
+                return;
+            }
+            console.error('Error updating team:', error);
+            this.showNotification(error.message, 'error');
+        }
     }
-    
-    renderLogs() {
-        const tableBody = document.getElementById('logs-table-body');
-        const emptyDiv = document.getElementById('logs-empty');
-        if (!tableBody || !emptyDiv) return;
 
-        tableBody.innerHTML = '';
-        if (this.filteredLogs.length === 0) {
-            emptyDiv.classList.remove('hidden');
-            tableBody.parentElement.classList.add('hidden');
-        } else {
-            emptyDiv.classList.add('hidden');
-            tableBody.parentElement.classList.remove('hidden');
-            this.filteredLogs.forEach(log => {
-                const row = tableBody.insertRow();
-                const levelClass = log.level ? log.level.toLowerCase() : 'info';
-                row.innerHTML = `
-                    <td>${new Date(log.timestamp).toLocaleString()}</td>
-                    <td><span class="log-level ${levelClass}">${log.level}</span></td>
-                    <td>${log.user || 'System'}</td>
-                    <td>${log.message}</td>
-                `;
-            });
+    async leaveTeam() {
+        if (!confirm('Leave your team? Your solves will no longer count for it.')) return;
+        try {
+            const result = await this.api.leaveTeam();
+            this.renderTeam(null);
+            this.showNotification(result.message, 'success');
+        } catch (error) {
+            if (error instanceof UnauthorizedError) return;
+            console.error('Error leaving team:', error);
+            this.showNotification(`Failed to leave team: ${error.message}`, 'error');
         }
     }
 
-    updateLogStats() {
-        document.getElementById('stat-total-logs').textContent = this.logs.length;
-        document.getElementById('stat-error-count').textContent = this.logs.filter(l => l.level === 'Error' || l.level === 'Critical').length;
-        document.getElementById('stat-warning-count').textContent = this.logs.filter(l => l.level === 'Warning').length;
+    async copyTeamJoinCode() {
+        const code = document.getElementById('team-join-code').textContent;
+        try {
+            await navigator.clipboard.writeText(code);
+            this.showNotification('Join code copied. Share it with your teammates.', 'success');
+        } catch (error) {
+            this.showNotification(`Could not copy the code: ${code}`, 'error');
+        }
     }
-    
-    toggleAutoRefresh(enabled) {
-        const timerSpan = document.getElementById('refresh-timer');
-        if (enabled) {
-            this.refreshCountdown = 15;
-            timerSpan.textContent = `(${this.refreshCountdown}s)`;
-            this.autoRefreshInterval = setInterval(() => {
-                this.refreshCountdown--;
-                if (this.refreshCountdown <= 0) {
-                    this.loadLogs();
-                    this.refreshCountdown = 15;
-                }
-                timerSpan.textContent = `(${this.refreshCountdown}s)`;
-            }, 1000);
-        } else {
-            clearInterval(this.autoRefreshInterval);
-            timerSpan.textContent = '';
+
+    /**
+     * Shows the team, or the create/join forms when team is null.
+     */
+    renderTeam(team) {
+        document.getElementById('team-none').classList.toggle('hidden', !!team);
+        document.getElementById('team-details').classList.toggle('hidden', !team);
+        if (!team) {
+            document.getElementById('create-team-form').reset();
+            document.getElementById('join-team-form').reset();
+            return;
         }
+
+        const user = JSON.parse(localStorage.getItem('user') || 'null');
+        const isCaptain = !!user && team.captainId === user.id;
+
+        document.getElementById('team-name').textContent = team.name;
+        document.getElementById('team-rank').textContent = team.rank > 0 ? `#${team.rank}` : 'Unranked';
+        document.getElementById('team-points').textContent = team.totalPoints.toLocaleString();
+        document.getElementById('team-solved').textContent = team.solvedChallenges;
+        document.getElementById('team-join-code').textContent = team.joinCode;
+        document.getElementById('team-regenerate-code').classList.toggle('hidden', !isCaptain);
+        document.getElementById('team-member-count').textContent = `(${team.members.length}/${team.maxSize})`;
+
+        document.getElementById('team-members').replaceChildren(...team.members.map(member => {
+            const item = document.createElement('li');
+            item.className = 'team-member';
+
+            const avatar = document.createElement('img');
+            avatar.className = 'user-avatar';
+            avatar.src = this.getAvatarUrl(member.username);
+            avatar.alt = '';
+
+            const name = document.createElement('a');
+            name.className = 'username';
+            name.href = this.getProfileUrl(member.userId);
+            name.textContent = member.username;
+
+            const role = document.createElement('span');
+            role.className = 'team-member-role';
+            role.textContent = member.isCaptain ? 'Captain' : `Joined ${new Date(member.joinedAt).toLocaleDateString()}`;
+            if (member.isCaptain) appendHtml(role, html`<i class="fas fa-crown"></i> `, 'afterbegin');
+
+            item.append(avatar, name, role);
+
+            if (isCaptain && !member.isCaptain) {
+                const actions = document.createElement('span');
+                actions.className = 'team-member-actions';
+                [['captain', 'fa-crown', 'Make captain'], ['remove', 'fa-user-minus', 'Remove from team']].forEach(([action, icon, title]) => {
+                    const button = document.createElement('button');
+                    button.className = 'btn btn-sm';
+                    button.title = title;
+                    button.dataset.teamAction = action;
+                    button.dataset.userId = member.userId;
+                    button.dataset.username = member.username;
+                    setHtml(button, html`<i class="fas ${icon}"></i>`);
+                    actions.appendChild(button);
+                });
+                item.appendChild(actions);
+            }
+
+            return item;
+        }));
     }
-    
-    exportLogs(format) {
-        const dataStr = format === 'json' ? JSON.stringify(this.filteredLogs, null, 2) : this.convertToCSV(this.filteredLogs);
-        const dataBlob = new Blob([dataStr], { type: format === 'json' ? 'application/json' : 'text/csv' });
-        const url = URL.createObjectURL(dataBlob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = `logs.${format}`;
-        link.click();
-        URL.revokeObjectURL(url);
+
+    /**
+     * Returns which password rules the value satisfies. The server only
+     * enforces the length; the rest is guidance for the strength meter.
+     */
+    checkPasswordRules(password) {
+        return {
+            length: password.length >= 8,
+            lower: /[a-z]/.test(password),
+            upper: /[A-Z]/.test(password),
+            digit: /\d/.test(password),
+            symbol: /[^A-Za-z0-9]/.test(password)
+        };
     }
-    
-    convertToCSV(data) {
-        const headers = ['timestamp', 'level', 'user', 'message'];
-        const csvRows = [headers.join(',')];
-        data.forEach(log => {
-            const values = headers.map(header => {
-                const escaped = ('' + log[header]).replace(/"/g, '""');
-                return `"${escaped}"`;
-            });
-            csvRows.push(values.join(','));
+
+    updatePasswordStrength(password) {
+        const rules = this.checkPasswordRules(password);
+        const passed = Object.values(rules).filter(Boolean).length;
+
+        document.querySelectorAll('#password-requirements li').forEach(item => {
+            item.classList.toggle('met', rules[item.dataset.rule]);
         });
-        return csvRows.join('\n');
+
+        const bar = document.getElementById('password-strength-bar');
+        bar.style.width = `${(passed / 5) * 100}%`;
+        bar.className = 'password-strength-bar ' + (passed <= 2 ? 'weak' : passed <= 4 ? 'fair' : 'strong');
     }
-    
+
+    /**
+     * Validates the change-password form, sends it, and on success forces a
+     * fresh login (the server drops all of the user's sessions).
+     */
+    async changePassword(form) {
+        const errorEl = document.getElementById('change-password-error');
+        const submitBtn = document.getElementById('change-password-submit');
+        const currentPassword = form.currentPassword.value;
+        const newPassword = form.newPassword.value;
+        const rules = this.checkPasswordRules(newPassword);
+
+        const showError = (message) => {
+            errorEl.textContent = message;
+            errorEl.classList.remove('hidden');
+        };
+        errorEl.classList.add('hidden');
+
+        if (!currentPassword || !newPassword) {
+            return showError('Current password and new password are required.');
+        }
+        if (!rules.length) {
+            return showError('New password must be at least 8 characters long.');
+        }
+        if (Object.values(rules).filter(Boolean).length < 4) {
+            return showError('New password is too weak. Mix upper and lowercase letters, numbers and symbols.');
+        }
+        if (newPassword === currentPassword) {
+            return showError('New password must be different from the current password.');
+        }
+        if (newPassword !== form.confirmPassword.value) {
+            return showError('New passwords do not match.');
+        }
+
+        submitBtn.disabled = true;
+        try {
+            await this.api.changePassword(currentPassword, newPassword);
+            // Our token is gone on the server now; don't let the 401 handler treat it as an expiry
+            this.loggingOut = true;
+            this.clearSession();
+            window.location.href = 'index.html?session=password-changed';
+        } catch (error) {
+            if (error instanceof UnauthorizedError) return;
+            if (error instanceof ValidationError) {
+                // Plain-text messages from the controller, or model-binding errors per field
+                const fieldMessages = Object.values(error.fieldErrors).flat();
+                showError(fieldMessages.length ? fieldMessages.join(' ') : error.message);
+            } else {
+                showError(`Failed to change password: ${error.message}`);
+            }
+            submitBtn.disabled = false;
+        }
+    }
+
     // =================================================================
-    // == LEADERBOARD PAGE (leaderboard.html) ==========================
+    // == ADMIN PAGE (admin.html) ======================================
     // =================================================================
-    
-    initLeaderboardPage() {
-        // All listeners are now in setupEventListeners()
-        this.loadLeaderboard();
+
+    async initAdminPage() {
+        // The server checks the role on every call; this only decides what to show
+        const user = JSON.parse(localStorage.getItem('user') || 'null');
+        if (!user || USER_ROLES[user.role] !== 'Admin') {
+            document.getElementById('admin-access-denied').classList.remove('hidden');
+            return;
+        }
+        document.getElementById('admin-content').classList.remove('hidden');
+
+        document.getElementById('admin-new-challenge').addEventListener('click', () => this.openChallengeEditor(null));
+        document.getElementById('admin-reload').addEventListener('click', () => this.reloadAdminChallenges());
+        document.getElementById('admin-validate').addEventListener('click', () => this.validateChallengeEditor());
+        document.getElementById('admin-cancel').addEventListener('click', () => {
+            document.getElementById('admin-editor').classList.add('hidden');
+            this.editingChallengeId = null;
+        });
+        document.getElementById('admin-challenge-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveChallengeEditor();
+        });
+
+        const uploadForm = document.getElementById('admin-upload-form');
+        uploadForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.uploadChallengeFile(uploadForm);
+        });
+
+        document.getElementById('admin-submissions-close').addEventListener('click', () => {
+            document.getElementById('admin-submissions').classList.add('hidden');
+        });
+
+        // Edit and submissions buttons and active toggles on the challenge rows
+        const rows = document.getElementById('admin-challenges');
+        rows.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-admin-edit]');
+            if (button) this.openChallengeEditor(button.dataset.adminEdit);
+            const submissionsButton = e.target.closest('[data-admin-submissions]');
+            if (submissionsButton) this.loadAdminSubmissions(submissionsButton.dataset.adminSubmissions);
+        });
+        rows.addEventListener('change', (e) => {
+            if (e.target.matches('[data-admin-active]')) {
+                this.setChallengeActive(e.target.dataset.adminActive, e.target);
+            }
+        });
+
+        await this.loadAdminChallenges();
     }
-    
-    async loadLeaderboard() {
-        const loader = document.getElementById('leaderboard-loader');
-        if(loader) loader.style.display = 'flex';
 
+    async loadAdminChallenges() {
         try {
-            const response = await this.fetchWithAuth(`${this.apiBaseUrl}/users/leaderboard`);
-            if (!response.ok) {
-                throw new Error(`Failed to fetch leaderboard: ${response.status}`);
+            const data = await this.api.getAdminChallenges();
+            this.adminChallenges = data.challenges;
+            this.adminMaxUploadBytes = data.maxUploadBytes;
+            this.renderAdminChallenges();
+        } catch (error) {
+            if (error instanceof UnauthorizedError) return;
+            console.error('Error loading challenges:', error);
+            this.showNotification(`Failed to load challenges: ${error.message}`, 'error');
+        }
+    }
+
+    renderAdminChallenges() {
+        document.getElementById('admin-challenges').replaceChildren(...this.adminChallenges.map(challenge => {
+            const row = document.createElement('tr');
+            row.classList.toggle('inactive', !challenge.isActive);
+
+            const name = document.createElement('td');
+            const title = document.createElement('strong');
+            title.textContent = challenge.title || challenge.id;
+            const id = document.createElement('small');
+            id.className = 'admin-challenge-id';
+            id.textContent = challenge.id;
+            name.append(title, id);
+            if (challenge.loadError) {
+                const error = document.createElement('small');
+                error.className = 'admin-load-error';
+                error.textContent = `Not loaded: ${challenge.loadError}`;
+                name.appendChild(error);
             }
-            const data = await response.json();
-            this.renderLeaderboard(data);
-            this.renderPersonalStats(data.currentUser);
+
+            const cell = (text) => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                return td;
+            };
+
+            const active = document.createElement('td');
+            const toggle = document.createElement('input');
+            toggle.type = 'checkbox';
+            toggle.checked = challenge.isActive;
+            toggle.disabled = !challenge.isLoaded;
+            toggle.title = challenge.isActive ? 'Visible to players' : 'Hidden from players';
+            toggle.dataset.adminActive = challenge.id;
+            active.appendChild(toggle);
+
+            const actions = document.createElement('td');
+            const edit = document.createElement('button');
+            edit.className = 'btn btn-sm btn-secondary';
+            edit.dataset.adminEdit = challenge.id;
+            setHtml(edit, html`<i class="fas fa-edit"></i> Edit`);
+            const submissions = document.createElement('button');
+            submissions.className = 'btn btn-sm btn-secondary';
+            submissions.dataset.adminSubmissions = challenge.id;
+            submissions.title = 'Every flag submitted for this challenge';
+            setHtml(submissions, html`<i class="fas fa-history"></i> Submissions`);
+            actions.append(edit, submissions);
+
+            row.append(
+                name,
+                cell(challenge.category),
+                cell(challenge.points ?? '-'),
+                cell(challenge.solveCount),
+                active,
+                actions);
+            return row;
+        }));
+    }
+
+    /**
+     * Shows every submission for a challenge with a per-player summary. Players with bursts of
+     * attempts and wrong flags shared between players are highlighted.
+     */
+    async loadAdminSubmissions(id) {
+        try {
+            const data = await this.api.getChallengeSubmissions(id);
+            this.renderAdminSubmissions(data);
+            const section = document.getElementById('admin-submissions');
+            section.classList.remove('hidden');
+            section.scrollIntoView({ behavior: 'smooth' });
         } catch (error) {
-            console.error(error);
-            const errorDiv = document.getElementById('leaderboard-error');
-            if (errorDiv) errorDiv.style.display = 'block';
-        } finally {
-            if(loader) loader.style.display = 'none';
+            if (error instanceof UnauthorizedError) return;
+            console.error('Error loading submissions:', error);
+            this.showNotification(error instanceof ForbiddenError ? 'Admin access required.' : 'Failed to load submissions.', 'error');
         }
     }
-    
-    renderLeaderboard(data) {
-        const tableBody = document.getElementById('leaderboard-table-body');
-        const podium1 = document.getElementById('podium-1');
-        const podium2 = document.getElementById('podium-2');
-        const podium3 = document.getElementById('podium-3');
-        if (!tableBody || !podium1 || !podium2 || !podium3) return;
-
-        // Top 3 Podium
-        const topUsers = data.leaderboard.slice(0, 3);
-        const podiums = [podium1, podium2, podium3];
-        topUsers.forEach((user, index) => {
-            if (podiums[index]) {
-                podiums[index].innerHTML = `
-                    <div class="podium-rank">${user.rank}</div>
-                    <div class="podium-name">${user.username}</div>
-                    <div class="podium-score">${user.score} pts</div>
-                `;
-            }
-        });
-
-        // Full Table
-        tableBody.innerHTML = '';
-        data.leaderboard.forEach(user => {
-            const row = tableBody.insertRow();
-            row.innerHTML = `
-                <td>${user.rank}</td>
-                <td>${user.username}</td>
-                <td>${user.score}</td>
-                <td>${user.challengesSolved}</td>
-            `;
-        });
-    }
-
-    renderPersonalStats(user) {
-        const statsContainer = document.getElementById('personal-stats-content');
-        if (!statsContainer) return;
-        if (user) {
-            statsContainer.innerHTML = `
-                <div class="stat-item">
-                    <h4>Your Rank</h4>
-                    <p>#${user.rank}</p>
-                </div>
-                <div class="stat-item">
-                    <h4>Your Score</h4>
-                    <p>${user.score}</p>
-                    </div>
-                <div class="stat-item">
-                    <h4>Challenges Solved</h4>
-                    <p>${user.challengesSolved}</p>
-                </div>
-            `;
+
+    renderAdminSubmissions(data) {
+        const time = value => new Date(value).toLocaleString();
+        const sharedFlags = new Set(data.sharedFlags.map(shared => shared.flag));
+
+        document.getElementById('admin-submissions-title').textContent = data.title || data.challengeId;
+        const solvers = data.players.filter(player => player.solvedAt).length;
+        document.getElementById('admin-submissions-summary').textContent =
+            `${data.submissions.length} submissions from ${data.players.length} players; ${solvers} solved it.`;
+
+        setHtml(document.getElementById('admin-submission-players'), data.players.length === 0
+            ? html`<tr><td colspan="7" class="admin-hint">No submissions yet.</td></tr>`
+            : html`${data.players.map(player => html`
+                <tr class="${player.peakPerMinute >= BRUTE_FORCE_ATTEMPTS_PER_MINUTE ? 'suspicious' : ''}">
+                    <td><a href="${this.getProfileUrl(player.userId)}">${player.username}</a></td>
+                    <td>${player.attempts}</td>
+                    <td>${player.incorrect}</td>
+                    <td>${player.peakPerMinute}</td>
+                    <td>${player.solvedAt ? time(player.solvedAt) : '-'}</td>
+                    <td>${time(player.lastAttemptAt)}</td>
+                    <td>${player.ipAddresses.join(', ')}</td>
+                </tr>
+            `)}`);
+
+        document.getElementById('admin-shared-flags-section').classList.toggle('hidden', data.sharedFlags.length === 0);
+        setHtml(document.getElementById('admin-shared-flags'), html`${data.sharedFlags.map(shared => html`
+            <li><code>${shared.flag}</code> <span class="admin-hint">${shared.usernames.join(', ')}</span></li>
+        `)}`);
+
+        setHtml(document.getElementById('admin-submission-list'), data.submissions.length === 0
+            ? html`<tr><td colspan="5" class="admin-hint">No submissions yet.</td></tr>`
+            : html`${data.submissions.map(submission => html`
+                <tr class="${sharedFlags.has(submission.flag.trim()) ? 'shared' : ''}">
+                    <td>${time(submission.submittedAt)}</td>
+                    <td>${submission.username}</td>
+                    <td><code class="admin-submitted-flag">${submission.flag}</code></td>
+                    <td class="${submission.isCorrect ? 'correct' : 'incorrect'}">${submission.isCorrect ? 'Correct' : 'Wrong'}</td>
+                    <td title="${submission.userAgent || ''}">${submission.ipAddress}</td>
+                </tr>
+            `)}`);
+    }
+
+    /**
+     * Opens the editor on a challenge's challenge.json, or on a template when `id` is null.
+     */
+    openChallengeEditor(id) {
+        const challenge = id ? this.adminChallenges.find(c => c.id === id) : null;
+        if (id && !challenge) return;
+
+        this.editingChallengeId = challenge ? challenge.id : null;
+        document.getElementById('admin-editor-title').textContent = challenge
+            ? `Edit ${challenge.category}/${challenge.id}`
+            : 'New Challenge';
+
+        const idInput = document.getElementById('admin-challenge-id');
+        idInput.value = challenge ? challenge.id : '';
+        idInput.readOnly = !!challenge;
+        document.getElementById('admin-challenge-json').value = challenge
+            ? challenge.json
+            : JSON.stringify(NEW_CHALLENGE_TEMPLATE, null, 2);
+        this.showChallengeErrors([]);
+
+        // Files go into the challenge folder, so a new challenge has to be saved first
+        document.getElementById('admin-files-panel').classList.toggle('hidden', !challenge);
+        if (challenge) this.renderChallengeFiles(challenge);
+
+        const editor = document.getElementById('admin-editor');
+        editor.classList.remove('hidden');
+        editor.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    /**
+     * Picks up a save, toggle or upload for the challenge in the editor. Unsaved edits are
+     * left alone; only an untouched editor is refreshed.
+     */
+    refreshChallengeEditor(previousJson) {
+        const challenge = this.adminChallenges.find(c => c.id === this.editingChallengeId);
+        if (!challenge) return;
+
+        const textarea = document.getElementById('admin-challenge-json');
+        if (textarea.value === previousJson) {
+            textarea.value = challenge.json;
         } else {
-            statsContainer.innerHTML = '<p>Login to see your personal stats.</p>';
+            this.showNotification('challenge.json changed on disk. Reopen the editor to see the update.', 'info');
         }
+        this.renderChallengeFiles(challenge);
     }
 
-    toggleLeaderboardView() {
-        const container = document.querySelector('.leaderboard-table-container');
-        if (container) {
-            container.classList.toggle('grid-view');
+    renderChallengeFiles(challenge) {
+        let listed = [];
+        try {
+            listed = JSON.parse(challenge.json).files || [];
+        } catch {
+            // A broken challenge.json is reported by the row; the folder contents still help
         }
+
+        const list = document.getElementById('admin-files');
+        if (challenge.filesOnDisk.length === 0) {
+            setHtml(list, html`<li class="admin-hint">No files yet.</li>`);
+            return;
+        }
+        list.replaceChildren(...challenge.filesOnDisk.map(file => {
+            const item = document.createElement('li');
+            item.textContent = file;
+            if (!listed.includes(file)) {
+                const note = document.createElement('small');
+                note.className = 'admin-hint';
+                note.textContent = ' (not listed in "files")';
+                item.appendChild(note);
+            }
+            return item;
+        }));
     }
 
-    exportLeaderboard() {
-        // For now, just show a notification that export is not implemented
-        this.showNotification('Export functionality coming soon!', 'info');
+    /**
+     * Returns the editor contents, or null after showing why they can't be sent.
+     * Syntax is checked here; everything else is left to the server's validation.
+     */
+    readChallengeEditor() {
+        const id = document.getElementById('admin-challenge-id').value.trim();
+        const json = document.getElementById('admin-challenge-json').value;
+        try {
+            JSON.parse(json);
+        } catch (error) {
+            this.showChallengeErrors([`Invalid JSON: ${error.message}`]);
+            return null;
+        }
+        return { id, json };
+    }
+
+    showChallengeErrors(errors) {
+        const list = document.getElementById('admin-validation-errors');
+        list.classList.toggle('hidden', errors.length === 0);
+        list.replaceChildren(...errors.map(message => {
+            const item = document.createElement('li');
+            item.textContent = message;
+            return item;
+        }));
+    }
+
+    async validateChallengeEditor() {
+        const editor = this.readChallengeEditor();
+        if (!editor) return;
+
+        try {
+            const result = await this.api.validateChallenge(this.editingChallengeId || editor.id, editor.json);
+            this.showChallengeErrors(result.errors);
+            if (result.valid) this.showNotification('The challenge definition is valid.', 'success');
+        } catch (error) {
+            if (error instanceof UnauthorizedError) return;
+            this.showNotification(`Validation failed: ${error.message}`, 'error');
+        }
+    }
+
+    async saveChallengeEditor() {
+        const editor = this.readChallengeEditor();
+        if (!editor) return;
+
+        try {
+            const result = this.editingChallengeId
+                ? await this.api.updateChallenge(this.editingChallengeId, editor.json)
+                : await this.api.createChallenge(editor.id, editor.json);
+            this.showNotification(result.message, 'success');
+            this.renderReloadResult(result.reload);
+            await this.loadAdminChallenges();
+            // Stay in the editor, now on the saved file, so attachments can be uploaded next
+            this.openChallengeEditor(this.editingChallengeId || editor.id);
+        } catch (error) {
+            if (error instanceof UnauthorizedError) return;
+            const errors = error.data && Array.isArray(error.data.errors) && error.data.errors.length
+                ? error.data.errors
+                : [error.message];
+            this.showChallengeErrors(errors);
+        }
+    }
+
+    async setChallengeActive(id, toggle) {
+        const isActive = toggle.checked;
+        const previousJson = (this.adminChallenges.find(c => c.id === id) || {}).json;
+        toggle.disabled = true;
+        try {
+            const result = await this.api.setChallengeActive(id, isActive);
+            this.showNotification(result.message, 'success');
+            this.renderReloadResult(result.reload);
+            await this.loadAdminChallenges();
+            if (this.editingChallengeId === id) this.refreshChallengeEditor(previousJson);
+        } catch (error) {
+            toggle.checked = !isActive;
+            toggle.disabled = false;
+            if (error instanceof UnauthorizedError) return;
+            this.showNotification(`Failed to update challenge: ${error.message}`, 'error');
+        }
+    }
+
+    async uploadChallengeFile(form) {
+        const id = this.editingChallengeId;
+        const file = form.file.files[0];
+        if (!id || !file) return;
+
+        if (this.adminMaxUploadBytes && file.size > this.adminMaxUploadBytes) {
+            this.showNotification(`Files can be at most ${Math.floor(this.adminMaxUploadBytes / (1024 * 1024))} MB.`, 'error');
+            return;
+        }
+
+        const previousJson = (this.adminChallenges.find(c => c.id === id) || {}).json;
+        const button = form.querySelector('button[type="submit"]');
+        button.disabled = true;
+        try {
+            const result = await this.api.uploadChallengeFile(id, file);
+            this.showNotification(result.message, 'success');
+            this.renderReloadResult(result.reload);
+            form.reset();
+            await this.loadAdminChallenges();
+            if (this.editingChallengeId === id) this.refreshChallengeEditor(previousJson);
+        } catch (error) {
+            if (error instanceof UnauthorizedError) return;
+            this.showNotification(`Upload failed: ${error.message}`, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    async reloadAdminChallenges() {
+        const button = document.getElementById('admin-reload');
+        button.disabled = true;
+        try {
+            const result = await this.api.reloadChallenges();
+            this.renderReloadResult(result);
+            this.showNotification('Challenges reloaded.', 'success');
+            await this.loadAdminChallenges();
+        } catch (error) {
+            if (error instanceof UnauthorizedError) return;
+            this.showNotification(`Reload failed: ${error.message}`, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Shows what a reload picked up: added, removed and changed challenges, and any that failed to load.
+     */
+    renderReloadResult(reload) {
+        if (!reload) return;
+
+        const { added, removed, changed, errors } = reload;
+        document.getElementById('admin-reload-summary').textContent =
+            `${reload.total} challenges loaded: ${added.length} added, ${removed.length} removed, ` +
+            `${changed.length} changed, ${errors.length} failed to load.`;
+
+        const item = (type, icon, text) => {
+            const li = document.createElement('li');
+            li.className = type;
+            setHtml(li, html`<i class="fas ${icon}"></i> `);
+            li.append(text);
+            return li;
+        };
+        document.getElementById('admin-reload-changes').replaceChildren(
+            ...added.map(id => item('added', 'fa-plus', id)),
+            ...removed.map(id => item('removed', 'fa-minus', id)),
+            ...changed.map(change => item('changed', 'fa-pen', `${change.id}: ${change.fields.join(', ')}`)),
+            ...errors.map(error => item('error', 'fa-exclamation-triangle', error)));
+
+        document.getElementById('admin-reload-result').classList.remove('hidden');
     }
 
     // =================================================================
@@ -700,13 +3610,13 @@ class VulnArenaUI {
         if (!loginForm || !registerForm || !loginTab || !registerTab) return;
 
         if (formName === 'login') {
-            loginForm.style.display = 'block';
-            registerForm.style.display = 'none';
+            loginForm.classList.remove('hidden');
+            registerForm.classList.add('hidden');
             loginTab.classList.add('active');
             registerTab.classList.remove('active');
         } else {
-            loginForm.style.display = 'none';
-            registerForm.style.display = 'block';
+            loginForm.classList.add('hidden');
+            registerForm.classList.remove('hidden');
             loginTab.classList.remove('active');
             registerTab.classList.add('active');
         }
@@ -740,6 +3650,77 @@ class VulnArenaUI {
         document.body.removeChild(link);
     }
 
+    /**
+     * Downloads one of the open challenge's files through the API, which needs the session token
+     */
+    async downloadChallengeFile(fileName, button) {
+        if (!this.currentChallenge) return;
+        const challengeId = this.currentChallenge.id;
+        await this.downloadWithProgress(button, fileName, () => this.api.downloadFile(challengeId, fileName));
+    }
+
+    async downloadAllChallengeFiles(button) {
+        if (!this.currentChallenge) return;
+        const challengeId = this.currentChallenge.id;
+        await this.downloadWithProgress(button, `${challengeId}.zip`, () => this.api.downloadAllFiles(challengeId));
+    }
+
+    /**
+     * Fetches a file as a Blob and saves it, showing the progress in the button's .download-label.
+     * The button stays disabled meanwhile so a double click doesn't download twice.
+     */
+    async downloadWithProgress(button, fileName, fetchFile) {
+        if (button.disabled) return;
+        const label = button.querySelector('.download-label');
+        const labelText = label.textContent;
+        button.disabled = true;
+
+        try {
+            const response = await fetchFile();
+            const blob = await this.readBlobWithProgress(response, percent => {
+                label.textContent = percent === null ? 'Downloading...' : `${percent}%`;
+            });
+            this.saveBlob(blob, fileName);
+        } catch (error) {
+            if (error instanceof UnauthorizedError) return;
+            console.error('Error downloading file:', error);
+            this.showNotification(error instanceof NotFoundError ? 'File not found.' : 'Failed to download file.', 'error');
+        } finally {
+            button.disabled = false;
+            label.textContent = labelText;
+        }
+    }
+
+    /**
+     * Reads a response body into a Blob, calling onProgress with 0-100, or null when the size is unknown.
+     */
+    async readBlobWithProgress(response, onProgress) {
+        const total = Number(response.headers.get('Content-Length')) || 0;
+        if (!response.body) return response.blob();
+
+        const reader = response.body.getReader();
+        const chunks = [];
+        let received = 0;
+        onProgress(total ? 0 : null);
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            received += value.length;
+            onProgress(total ? Math.min(100, Math.floor((received / total) * 100)) : null);
+        }
+        return new Blob(chunks, { type: response.headers.get('Content-Type') || 'application/octet-stream' });
+    }
+
+    /**
+     * Saves generated content (a Blob) as a file download
+     */
+    saveBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        this.downloadFile(url, fileName);
+        URL.revokeObjectURL(url);
+    }
+
     /**
      * Shows a notification to the user
      */